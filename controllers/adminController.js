@@ -1,42 +1,201 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const BlockedCallAttempt = require('../models/BlockedCallAttempt');
+const ImportJob = require('../models/ImportJob');
+const ImportJobRow = require('../models/ImportJobRow');
+const ColumnMappingTemplate = require('../models/ColumnMappingTemplate');
 const excelParser = require('../utils/excelParser');
 const chartUtils = require('../utils/charts');
 const callTimeUtils = require('../utils/callTimeUtils');
+const leadDistribution = require('../utils/leadDistribution');
+const leadExport = require('../utils/leadExport');
+const importJobs = require('../utils/importJobs');
+const { REVOKE_REASONS, revokeUserSessions } = require('../utils/refreshTokens');
+const AuditEntry = require('../models/AuditEntry');
+const { auditLogger, AUDIT_EVENTS, diffChanges } = require('../utils/auditLogger');
+const auditChain = require('../utils/auditChain');
+const loginThrottle = require('../utils/loginThrottle');
+const LoginThrottle = require('../models/LoginThrottle');
+const rolePermissions = require('../utils/permissions');
+const { leadScopeFilter, userScopeFilter, teamFilter, applyScope, canAccessUser, canAccessLead, canManageUser, getScopedUserIds } = require('../utils/teamScope');
+const { escapeRegex } = require('../utils/regex');
+const { DEFAULT_TIME_ZONE, startOfDayInZone } = require('../utils/timeZone');
+
+// Request details stored with each audit entry
+const requestInfo = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+// Translate an assignee filter (user id, 'Unassigned' or a name fragment) into a lead query
+const resolveAssigneeFilter = async (value) => {
+  if (value === 'Unassigned') {
+    return { assignee: null };
+  }
+
+  if (/^[a-f\d]{24}$/i.test(value)) {
+    return { assignee: value };
+  }
+
+  const users = await User.find({ name: { $regex: escapeRegex(value), $options: 'i' } }, '_id');
+  return { assignee: { $in: users.map(user => user._id) } };
+};
+
+// Group leads by assignee, labelling each group with the assignee's current name
+const groupLeadsByAssignee = async (match = {}) => {
+  const groups = await Lead.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$assignee',
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { count: -1 }
+    }
+  ]);
+
+  const names = await User.getNames(groups.map(group => group._id));
+  return groups.map(group => ({
+    _id: group._id ? names.get(group._id.toString()) || 'Unknown user' : 'Unassigned',
+    employeeId: group._id,
+    count: group.count
+  }));
+};
+
+// Count already loaded leads by assignee id; returns [{ employeeId, name, count }], largest first
+const countLeadsByAssignee = async (leads) => {
+  const counts = new Map();
+  leads.forEach(lead => {
+    const key = lead.assignee ? lead.assignee.toString() : null;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+
+  const names = await User.getNames([...counts.keys()]);
+  return [...counts].map(([employeeId, count]) => ({
+    employeeId,
+    name: employeeId ? names.get(employeeId) || 'Unknown user' : 'Unassigned',
+    count
+  })).sort((a, b) => b.count - a.count);
+};
+
+// Assignee filter options for the leads in scope: [{ id, name }] sorted by name, id null for unassigned leads
+const assigneeOptions = async (leadScope) => {
+  const ids = await Lead.distinct('assignee', leadScope);
+  const names = await User.getNames(ids);
+
+  const options = ids.filter(Boolean)
+    .map(id => ({ id, name: names.get(id.toString()) || 'Unknown user' }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  if (ids.some(id => !id)) {
+    options.push({ id: null, name: 'Unassigned' });
+  }
+  return options;
+};
+
+// Group leads by the team of their assignee so floor teams can be compared
+const groupLeadsByTeam = async (match = {}) => {
+  const groups = await Lead.aggregate([
+    { $match: match },
+    { $match: { assignee: { $ne: null } } },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'assignee',
+        foreignField: '_id',
+        as: 'assigneeUser'
+      }
+    },
+    { $unwind: '$assigneeUser' },
+    {
+      $group: {
+        _id: '$assigneeUser.team',
+        totalLeads: { $sum: 1 },
+        activeLeads: { $sum: { $cond: [{ $in: ['$status', ['New', 'Hot']] }, 1, 0] } },
+        completedLeads: { $sum: { $cond: [{ $eq: ['$status', 'Interested'] }, 1, 0] } },
+        agents: { $addToSet: '$assignee' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'teams',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'team'
+      }
+    },
+    {
+      $sort: { totalLeads: -1 }
+    }
+  ]);
+
+  return groups.map(group => ({
+    teamId: group._id,
+    name: group.team[0] ? group.team[0].name : 'No team',
+    totalLeads: group.totalLeads,
+    activeLeads: group.activeLeads,
+    completedLeads: group.completedLeads,
+    agents: group.agents.length,
+    conversionRate: group.totalLeads > 0 ? Math.round((group.completedLeads / group.totalLeads) * 100) : 0
+  }));
+};
 
 // Dashboard statistics controller
 const getDashboardStats = async (req, res) => {
   try {
+    const { team } = req.query;
+
+    if (team && !mongoose.Types.ObjectId.isValid(team)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team ID'
+      });
+    }
+
+    // Managers only see their own team
+    const visibleLeads = await leadScopeFilter(req.user);
+    let leadScope = visibleLeads;
+    let userScope = await userScopeFilter(req.user);
+
+    // Optionally narrow the figures to one team
+    if (team) {
+      leadScope = applyScope(leadScope, await teamFilter(team));
+      userScope = applyScope(userScope, { team: new mongoose.Types.ObjectId(team) });
+    }
+
     // Get total users count
-    const totalUsers = await User.countDocuments();
+    const totalUsers = await User.countDocuments(userScope);
 
     // Get list of users with basic info
-    const users = await User.find({}, 'name email role createdAt').sort({ createdAt: -1 });
+    const users = await User.find(userScope, 'name email role createdAt').sort({ createdAt: -1 });
 
     // Get total leads count
-    const totalLeads = await Lead.countDocuments();
+    const totalLeads = await Lead.countDocuments(leadScope);
 
     // Get active leads (New or Hot)
-    const activeLeads = await Lead.countDocuments({
+    const activeLeads = await Lead.countDocuments(applyScope({
       status: { $in: ['New', 'Hot'] }
-    });
+    }, leadScope));
 
     // Get completed leads (Interested)
-    const completedLeads = await Lead.countDocuments({
+    const completedLeads = await Lead.countDocuments(applyScope({
       status: 'Interested'
-    });
+    }, leadScope));
 
     // Get pending leads (Not Interested or unassigned)
-    const pendingLeads = await Lead.countDocuments({
+    const pendingLeads = await Lead.countDocuments(applyScope({
       $or: [
         { status: 'Not Interested' },
-        { assignedTo: 'Unassigned' }
+        { assignee: null }
       ]
-    });
+    }, leadScope));
 
     // Get leads by status breakdown
     const leadsByStatus = await Lead.aggregate([
+      {
+        $match: leadScope
+      },
       {
         $group: {
           _id: '$status',
@@ -50,12 +209,16 @@ const getDashboardStats = async (req, res) => {
       {
         $match: {
           callTime: { $exists: true, $ne: null, $ne: '' },
-          assignedTo: { $ne: 'Unassigned' }
+          assignee: { $ne: null }
         }
       },
+      {
+        $match: leadScope
+      },
       {
         $group: {
-          _id: '$assignedTo',
+          _id: '$assignee',
+          employee: { $first: '$assignedTo' },
           totalLeads: { $sum: 1 },
           totalCallTime: { $sum: { $cond: ['$callTime', 1, 0] } },
           completedLeads: {
@@ -70,29 +233,38 @@ const getDashboardStats = async (req, res) => {
     ]);
 
     // Get leads by assignment breakdown
-    const leadsByAssignment = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$assignedTo',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const leadsByAssignment = await groupLeadsByAssignee(leadScope);
+
+    // Get leads by team breakdown across every team the user can see
+    const leadsByTeam = await groupLeadsByTeam(visibleLeads);
 
     // Get recent leads (last 7 days)
     const sevenDaysAgo = new Date();
     sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
 
     const recentLeads = await Lead.find(
-      { createdAt: { $gte: sevenDaysAgo } },
-      'name phone status assignedTo callTime createdAt'
+      applyScope({ createdAt: { $gte: sevenDaysAgo } }, leadScope),
+      'name phone status assignee assignedTo callTime createdAt'
     ).sort({ createdAt: -1 });
 
+    // Get callbacks that have passed their scheduled time without a call
+    const now = new Date();
+    const overdueCallbackLeads = await Lead.findDueCallbacks(now, leadScope)
+      .select('name phone status assignee assignedTo callback');
+
+    const overdueByEmployee = await countLeadsByAssignee(overdueCallbackLeads);
+
+    // Get calls refused today by campaign calling rules; "today" is the app's calendar day, not the server's
+    const startOfToday = startOfDayInZone(new Date(), DEFAULT_TIME_ZONE);
+    const agentScope = await getScopedUserIds(req.user);
+    let agentFilter = agentScope ? { agent: { $in: agentScope } } : {};
+    if (team) agentFilter = applyScope(agentFilter, await teamFilter(team, 'agent'));
+    const blockedCallAttemptsToday = await BlockedCallAttempt.countDocuments(
+      applyScope({ createdAt: { $gte: startOfToday } }, agentFilter)
+    );
+
     // Get call time statistics
-    const callTimeStats = await callTimeUtils.getCallTimeStats(Lead);
+    const callTimeStats = await callTimeUtils.getCallTimeStats(Lead, leadScope);
 
     // Calculate overall call time metrics
     const totalCallTimeSeconds = callTimeStats.reduce((sum, stat) => sum + callTimeUtils.durationToSeconds(stat.totalCallTime), 0);
@@ -113,6 +285,7 @@ const getDashboardStats = async (req, res) => {
       pendingLeads,
       leadsByStatus,
       leadsByAssignment,
+      leadsByTeam,
       callTimeStats: dashboardCallTimeStats,
       totalCallTime: callTimeUtils.secondsToDuration(totalCallTimeSeconds),
       totalCompletedCalls,
@@ -124,9 +297,24 @@ const getDashboardStats = async (req, res) => {
         phone: lead.phone,
         status: lead.status,
         callTime: lead.callTime,
+        assignee: lead.assignee,
         assignedTo: lead.assignedTo,
         createdAt: lead.createdAt
-      }))
+      })),
+      blockedCallAttemptsToday,
+      overdueCallbacks: {
+        total: overdueCallbackLeads.length,
+        byEmployee: overdueByEmployee,
+        leads: overdueCallbackLeads.slice(0, 10).map(lead => ({
+          id: lead._id,
+          name: lead.name,
+          phone: lead.phone,
+          status: lead.status,
+          assignee: lead.assignee,
+          assignedTo: lead.assignedTo,
+          callback: lead.getCallbackSummary(now)
+        }))
+      }
     };
 
     res.status(200).json({
@@ -186,9 +374,9 @@ const getDailyTrendData = async (req, res) => {
     // Aggregate leads by day
     const dailyData = await Lead.aggregate([
       {
-        $match: {
+        $match: applyScope({
           createdAt: { $gte: startDate, $lte: endDate }
-        }
+        }, await leadScopeFilter(req.user))
       },
       {
         $group: {
@@ -239,6 +427,9 @@ const getDailyTrendData = async (req, res) => {
 const getSectorDistributionData = async (req, res) => {
   try {
     const sectorData = await Lead.aggregate([
+      {
+        $match: await leadScopeFilter(req.user)
+      },
       {
         $group: {
           _id: '$sector',
@@ -279,22 +470,12 @@ const getSectorDistributionData = async (req, res) => {
 // Get lead assignment distribution data
 const getAssignmentDistributionData = async (req, res) => {
   try {
-    const assignmentData = await Lead.aggregate([
-      {
-        $group: {
-          _id: '$assignedTo',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ]);
+    const assignmentData = await groupLeadsByAssignee(
+      applyScope({ assignee: { $ne: null } }, await leadScopeFilter(req.user))
+    );
 
-    // Filter out unassigned and limit to top 10 employees
-    const filteredData = assignmentData
-      .filter(item => item._id && item._id !== 'Unassigned')
-      .slice(0, 10);
+    // Limit to top 10 employees
+    const filteredData = assignmentData.slice(0, 10);
 
     res.status(200).json({
       success: true,
@@ -316,6 +497,9 @@ const getAssignmentDistributionData = async (req, res) => {
 const getStatusDistributionData = async (req, res) => {
   try {
     const statusData = await Lead.aggregate([
+      {
+        $match: await leadScopeFilter(req.user)
+      },
       {
         $group: {
           _id: '$status',
@@ -347,18 +531,19 @@ const getStatusDistributionData = async (req, res) => {
 const getRecentActivity = async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
+    const leadScope = await leadScopeFilter(req.user);
 
     // Get recent user registrations
-    const recentUsers = await User.find({})
+    const recentUsers = await User.find(await userScopeFilter(req.user))
       .sort({ createdAt: -1 })
       .limit(limit)
       .select('name email role createdAt');
 
     // Get recent lead assignments
-    const recentAssignments = await Lead.find({
-      assignedTo: { $ne: 'Unassigned' },
+    const recentAssignments = await Lead.find(applyScope({
+      assignee: { $ne: null },
       assignedDate: { $exists: true }
-    })
+    }, leadScope))
       .sort({ assignedDate: -1 })
       .limit(limit)
       .select('name assignedTo assignedDate status');
@@ -367,9 +552,9 @@ const getRecentActivity = async (req, res) => {
     const oneDayAgo = new Date();
     oneDayAgo.setDate(oneDayAgo.getDate() - 1);
 
-    const recentStatusUpdates = await Lead.find({
+    const recentStatusUpdates = await Lead.find(applyScope({
       updatedAt: { $gte: oneDayAgo }
-    })
+    }, leadScope))
       .sort({ updatedAt: -1 })
       .limit(limit)
       .select('name status updatedAt');
@@ -441,10 +626,18 @@ const getAllLeads = async (req, res) => {
       sector,
       location,
       search,
+      team,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
+    if (team && !mongoose.Types.ObjectId.isValid(team)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team ID'
+      });
+    }
+
     // Build filter object
     const filter = {};
 
@@ -453,25 +646,33 @@ const getAllLeads = async (req, res) => {
     }
 
     if (assignedTo) {
-      filter.assignedTo = assignedTo;
+      Object.assign(filter, await resolveAssigneeFilter(assignedTo));
     }
 
     if (sector) {
-      filter.sector = { $regex: sector, $options: 'i' };
+      filter.sector = { $regex: escapeRegex(sector), $options: 'i' };
     }
 
     if (location) {
-      filter.location = { $regex: location, $options: 'i' };
+      filter.location = { $regex: escapeRegex(location), $options: 'i' };
     }
 
     if (search) {
       filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-        { website: { $regex: search, $options: 'i' } }
+        { name: { $regex: escapeRegex(search), $options: 'i' } },
+        { phone: { $regex: escapeRegex(search), $options: 'i' } },
+        { website: { $regex: escapeRegex(search), $options: 'i' } }
       ];
     }
 
+    // Managers only see their team's leads
+    const leadScope = await leadScopeFilter(req.user);
+    let scopedFilter = applyScope(filter, leadScope);
+
+    if (team) {
+      scopedFilter = applyScope(scopedFilter, await teamFilter(team));
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit);
@@ -481,7 +682,7 @@ const getAllLeads = async (req, res) => {
     sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
     // Get leads with pagination
-    let leadsQuery = Lead.find(filter).sort(sort);
+    let leadsQuery = Lead.find(scopedFilter).sort(sort);
     
     // Apply pagination only if limit is specified
     if (limit) {
@@ -491,13 +692,13 @@ const getAllLeads = async (req, res) => {
     const leads = await leadsQuery;
 
     // Get total count for pagination
-    const total = await Lead.countDocuments(filter);
+    const total = await Lead.countDocuments(scopedFilter);
 
     // Get unique values for filter dropdowns
-    const statusOptions = await Lead.distinct('status');
-    const assignedToOptions = await Lead.distinct('assignedTo');
-    const sectorOptions = await Lead.distinct('sector');
-    const locationOptions = await Lead.distinct('location');
+    const statusOptions = await Lead.distinct('status', leadScope);
+    const assignedToOptions = await assigneeOptions(leadScope);
+    const sectorOptions = await Lead.distinct('sector', leadScope);
+    const locationOptions = await Lead.distinct('location', leadScope);
 
     res.status(200).json({
       success: true,
@@ -513,6 +714,7 @@ const getAllLeads = async (req, res) => {
           status: lead.status,
           notes: lead.notes,
           callTime: lead.callTime,
+          assignee: lead.assignee,
           assignedTo: lead.assignedTo,
           assignedDate: lead.assignedDate,
           createdAt: lead.createdAt,
@@ -558,6 +760,13 @@ const getLeadById = async (req, res) => {
       });
     }
 
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this lead'
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Lead retrieved successfully',
@@ -572,6 +781,7 @@ const getLeadById = async (req, res) => {
         status: lead.status,
         notes: lead.notes,
         callTime: lead.callTime,
+        assignee: lead.assignee,
         assignedTo: lead.assignedTo,
         assignedDate: lead.assignedDate,
         createdAt: lead.createdAt,
@@ -589,6 +799,91 @@ const getLeadById = async (req, res) => {
   }
 };
 
+// Get the activity timeline for a lead
+const getLeadTimeline = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { types, error: typeError } = LeadActivity.parseTypes(req.query.type);
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lead ID'
+      });
+    }
+
+    if (typeError) {
+      return res.status(400).json({
+        success: false,
+        message: typeError
+      });
+    }
+
+    if (req.query.actor !== undefined && !mongoose.Types.ObjectId.isValid(req.query.actor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid actor ID'
+      });
+    }
+
+    const lead = await Lead.findById(id, 'name phone status assignee assignedTo');
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this lead'
+      });
+    }
+
+    const filters = { types, actor: req.query.actor };
+
+    const [entries, totalEntries] = await Promise.all([
+      LeadActivity.getTimeline(lead._id, { ...filters, skip: (page - 1) * limit, limit }),
+      LeadActivity.countTimeline(lead._id, filters)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead timeline retrieved successfully',
+      data: {
+        lead: {
+          id: lead._id,
+          name: lead.name,
+          phone: lead.phone,
+          status: lead.status,
+          assignee: lead.assignee,
+          assignedTo: lead.assignedTo
+        },
+        timeline: entries.map(entry => entry.toTimelineEntry()),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalEntries / limit),
+          totalEntries,
+          hasNextPage: page * limit < totalEntries,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getLeadTimeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve lead timeline',
+      error: error.message
+    });
+  }
+};
+
 // Assign leads to employees
 const assignLeads = async (req, res) => {
   try {
@@ -624,23 +919,66 @@ const assignLeads = async (req, res) => {
       });
     }
 
+    // Managers can only move their own team's leads between their own team members
+    if (!(await canAccessUser(req.user, employee._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign leads to employees on your team'
+      });
+    }
+
+    const leadFilter = applyScope({ _id: { $in: leadIds } }, await leadScopeFilter(req.user));
+
+    // Capture current assignments so the timeline can show who held each lead before
+    const previousLeads = await Lead.find(leadFilter, 'assignee assignedTo');
+
+    if (previousLeads.length < await Lead.countDocuments({ _id: { $in: leadIds } })) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only assign leads that belong to your team'
+      });
+    }
+
     // Update leads assignment
     const result = await Lead.updateMany(
-      { _id: { $in: leadIds } },
+      leadFilter,
       {
+        assignee: employee._id,
         assignedTo: employee.name,
         assignedDate: new Date()
       }
     );
 
+    const reassignedLeads = previousLeads.filter(lead => !lead.assignee || !lead.assignee.equals(employee._id));
+
+    await LeadActivity.recordMany(
+      reassignedLeads.map(lead => ({
+        lead,
+        type: 'assignment',
+        actor: req.user,
+        before: { assignee: lead.assignee || null, assignedTo: lead.assignedTo },
+        after: { assignee: employee._id, assignedTo: employee.name }
+      }))
+    );
+
     // Log the assignment action
-    console.log(`Admin ${req.user.name} assigned ${result.modifiedCount} leads to ${employee.name}`);
+    await auditLogger.logBulkLeadAssignment(
+      req.user,
+      reassignedLeads.map(lead => ({
+        leadId: lead._id,
+        from: { assignee: lead.assignee || null, assignedTo: lead.assignedTo },
+        to: { assignee: employee._id, assignedTo: employee.name }
+      })),
+      { assignedToId: employee._id, assignedToEmail: employee.email },
+      requestInfo(req)
+    );
 
     res.status(200).json({
       success: true,
       message: `${result.modifiedCount} leads assigned successfully`,
       data: {
         assignedCount: result.modifiedCount,
+        employeeId: employee._id,
         employeeName: employee.name,
         leadIds: leadIds
       }
@@ -656,118 +994,346 @@ const assignLeads = async (req, res) => {
   }
 };
 
-// Update lead information
-const updateLead = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const updateData = req.body;
+// Text added to a lead's flat notes: the new tail when notes were appended to, otherwise the whole rewritten value
+const appendedNoteText = (previousNotes, currentNotes) => {
+  const before = previousNotes || '';
+  const after = currentNotes || '';
 
-    // Remove fields that shouldn't be updated directly
-    delete updateData._id;
-    delete updateData.createdAt;
+  if (before === after || !after.trim()) return null;
+  if (before && after.startsWith(before)) {
+    return after.slice(before.length).trim() || null;
+  }
+  return after.trim();
+};
 
-    const lead = await Lead.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+// Timeline entries for the fields an admin edit can change
+const buildLeadChangeEntries = (previous, lead, actor) => {
+  const entries = [];
+  const previousAssignee = previous.assignee ? previous.assignee.toString() : null;
+  const currentAssignee = lead.assignee ? lead.assignee.toString() : null;
+
+  if (previous.status !== lead.status) {
+    entries.push({
+      lead,
+      type: 'status_change',
+      actor,
+      before: { status: previous.status },
+      after: { status: lead.status }
+    });
+  }
 
-    if (!lead) {
-      return res.status(404).json({
+  if (previousAssignee !== currentAssignee) {
+    entries.push({
+      lead,
+      type: 'assignment',
+      actor,
+      before: { assignee: previous.assignee || null, assignedTo: previous.assignedTo },
+      after: { assignee: lead.assignee || null, assignedTo: lead.assignedTo }
+    });
+  }
+
+  const addedNote = appendedNoteText(previous.notes, lead.notes);
+  if (addedNote) {
+    entries.push({ lead, type: 'note', actor, note: addedNote });
+  }
+
+  return entries;
+};
+
+// Spread unassigned leads across active employees, or only report the split when dryRun is set
+const runLeadDistribution = async (req, res, dryRun) => {
+  try {
+    const {
+      strategy = 'round_robin',
+      employeeIds,
+      leadIds,
+      status,
+      sector,
+      limit,
+      dailyCap
+    } = req.body;
+
+    if (!leadDistribution.STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
         success: false,
-        message: 'Lead not found'
+        message: `Strategy must be one of: ${leadDistribution.STRATEGIES.join(', ')}`
       });
     }
 
-    // Log the update action
-    console.log(`Admin ${req.user.name} updated lead: ${lead.name}`);
-
-    res.status(200).json({
-      success: true,
-      message: 'Lead updated successfully',
-      data: {
-        id: lead._id,
-        name: lead.name,
-        phone: lead.phone,
-        description: lead.description,
-        website: lead.website,
-        location: lead.location,
-        sector: lead.sector,
-        status: lead.status,
-        notes: lead.notes,
-        callTime: lead.callTime,
-        assignedTo: lead.assignedTo,
-        assignedDate: lead.assignedDate,
-        createdAt: lead.createdAt,
-        updatedAt: lead.updatedAt
+    for (const [field, value] of Object.entries({ employeeIds, leadIds })) {
+      if (value !== undefined && (!Array.isArray(value) || !value.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be an array of IDs`
+        });
       }
-    });
+    }
 
-  } catch (error) {
-    console.error('Error in updateLead:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update lead',
-      error: error.message
-    });
-  }
-};
+    for (const [field, value] of Object.entries({ limit, dailyCap })) {
+      if (value !== undefined && value !== null && (!Number.isInteger(Number(value)) || Number(value) < 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative whole number`
+        });
+      }
+    }
 
-// Delete lead
-const deleteLead = async (req, res) => {
-  try {
-    const { id } = req.params;
+    // Managers can only hand out leads in their scope to employees on their team
+    const scopedUserIds = await getScopedUserIds(req.user);
+    if (scopedUserIds && employeeIds && !employeeIds.every(id => scopedUserIds.some(userId => userId.toString() === String(id)))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only distribute leads to employees on your team'
+      });
+    }
 
-    const lead = await Lead.findByIdAndDelete(id);
+    const filters = {};
+    if (status) filters.status = status;
+    if (sector) filters.sector = { $regex: escapeRegex(sector), $options: 'i' };
+
+    const result = await leadDistribution.distributeLeads({
+      strategy,
+      employeeIds,
+      scopedUserIds,
+      leadIds,
+      filters: applyScope(filters, await leadScopeFilter(req.user)),
+      limit: limit ? Number(limit) : undefined,
+      dailyCap: dailyCap !== undefined && dailyCap !== null ? Number(dailyCap) : null,
+      dryRun,
+      actor: req.user
+    });
 
-    if (!lead) {
-      return res.status(404).json({
+    if (result.employeeCount === 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Lead not found'
+        message: 'No active employees available for distribution'
       });
     }
 
-    // Log the deletion action
-    console.log(`Admin ${req.user.name} deleted lead: ${lead.name}`);
+    if (!dryRun) {
+      // Distribution only picks up unassigned leads
+      await auditLogger.logBulkLeadAssignment(
+        req.user,
+        result.allocations.flatMap(allocation => allocation.leadIds.map(leadId => ({
+          leadId,
+          from: { assignee: null, assignedTo: 'Unassigned' },
+          to: { assignee: allocation.employeeId, assignedTo: allocation.employeeName }
+        }))),
+        { strategy, employeeCount: result.employeeCount },
+        requestInfo(req)
+      );
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Lead deleted successfully',
-      data: {
-        id: lead._id,
-        name: lead.name
-      }
+      message: dryRun
+        ? `Preview: ${result.assignedCount} of ${result.totalLeads} leads would be assigned`
+        : `${result.assignedCount} leads distributed successfully`,
+      data: result
     });
 
   } catch (error) {
-    console.error('Error in deleteLead:', error);
+    console.error('Error in distributeLeads:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete lead',
+      message: 'Failed to distribute leads',
       error: error.message
     });
   }
 };
 
-// Get all employees for assignment
+// Distribute unassigned leads (honours a dryRun flag in the body)
+const distributeLeads = (req, res) => {
+  return runLeadDistribution(req, res, req.body.dryRun === true || req.body.dryRun === 'true');
+};
+
+// Preview a distribution without assigning anything
+const previewLeadDistribution = (req, res) => {
+  return runLeadDistribution(req, res, true);
+};
+
+// Update lead information
+const updateLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    // Remove fields that shouldn't be updated directly
+    delete updateData._id;
+    delete updateData.createdAt;
+
+    // Reassignment goes through the assignee reference, never the display name
+    const requestedAssignee = updateData.assignee !== undefined ? updateData.assignee : updateData.assignedTo;
+    delete updateData.assignee;
+    delete updateData.assignedTo;
+
+    if (requestedAssignee === null || requestedAssignee === '' || requestedAssignee === 'Unassigned') {
+      updateData.assignee = null;
+      updateData.assignedTo = 'Unassigned';
+      updateData.assignedDate = null;
+    } else if (requestedAssignee !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(requestedAssignee)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Assignee must be an employee ID'
+        });
+      }
+
+      const employee = await User.findById(requestedAssignee);
+      if (!employee || employee.role !== 'Employee') {
+        return res.status(400).json({
+          success: false,
+          message: 'Can only assign leads to employees'
+        });
+      }
+
+      if (!(await canAccessUser(req.user, employee._id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only assign leads to employees on your team'
+        });
+      }
+
+      updateData.assignee = employee._id;
+      updateData.assignedTo = employee.name;
+      updateData.assignedDate = new Date();
+    }
+
+    const previous = await Lead.findById(id);
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!(await canAccessLead(req.user, previous))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this lead'
+      });
+    }
+
+    const lead = await Lead.findByIdAndUpdate(
+      id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    await LeadActivity.recordMany(buildLeadChangeEntries(previous, lead, req.user));
+
+    // Log the update action with the fields that actually changed
+    const changes = diffChanges(previous, lead, Object.keys(updateData));
+    if (Object.keys(changes).length > 0) {
+      await auditLogger.logLeadUpdate(lead, req.user, changes, requestInfo(req));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead updated successfully',
+      data: {
+        id: lead._id,
+        name: lead.name,
+        phone: lead.phone,
+        description: lead.description,
+        website: lead.website,
+        location: lead.location,
+        sector: lead.sector,
+        status: lead.status,
+        notes: lead.notes,
+        callTime: lead.callTime,
+        assignee: lead.assignee,
+        assignedTo: lead.assignedTo,
+        assignedDate: lead.assignedDate,
+        createdAt: lead.createdAt,
+        updatedAt: lead.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in updateLead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update lead',
+      error: error.message
+    });
+  }
+};
+
+// Delete lead
+const deleteLead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lead ID'
+      });
+    }
+
+    const lead = await Lead.findById(id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (!(await canAccessLead(req.user, lead))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this lead'
+      });
+    }
+
+    await lead.deleteOne();
+
+    // Log the deletion action
+    await auditLogger.logLeadDeletion(lead, req.user, requestInfo(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Lead deleted successfully',
+      data: {
+        id: lead._id,
+        name: lead.name
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in deleteLead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete lead',
+      error: error.message
+    });
+  }
+};
+
+// Get all employees for assignment
 const getAllEmployees = async (req, res) => {
   try {
     const employees = await User.find(
-      { role: 'Employee' },
-      'name email role createdAt'
-    ).sort({ name: 1 });
+      applyScope({ role: 'Employee' }, await userScopeFilter(req.user)),
+      'name email role team createdAt'
+    )
+      .populate('team', 'name')
+      .sort({ name: 1 });
 
     // Get lead statistics for each employee
     const employeesWithStats = await Promise.all(employees.map(async (employee) => {
       // Count active leads (New or Hot status) for this employee
       const activeLeads = await Lead.countDocuments({
-        assignedTo: employee.name,
+        assignee: employee._id,
         status: { $in: ['New', 'Hot'] }
       });
 
       // Count completed leads (Interested status) for this employee
       const completedLeads = await Lead.countDocuments({
-        assignedTo: employee.name,
+        assignee: employee._id,
         status: 'Interested'
       });
 
@@ -776,7 +1342,8 @@ const getAllEmployees = async (req, res) => {
         name: employee.name,
         email: employee.email,
         role: employee.role,
-        department: 'General', // Default department since it doesn't exist in User model
+        team: employee.team ? { id: employee.team._id, name: employee.team.name } : null,
+        department: employee.team ? employee.team.name : 'General',
         activeLeads: activeLeads,
         completedLeads: completedLeads,
         createdAt: employee.createdAt
@@ -799,7 +1366,119 @@ const getAllEmployees = async (req, res) => {
   }
 };
 
-// Upload and assign leads from Excel file with enhanced parsing
+// Worksheets picked for an upload or preview: `sheets` as a JSON array, a comma-separated list or
+// repeated form fields, plus the tagWithSheet flag. With a given `mapping` the sheets must share one
+// header row. Returns { sheetOptions } or { status, error }
+const parseSheetOptions = (req, mapping = null) => {
+  const { sheets, tagWithSheet } = req.body || {};
+
+  let names = sheets || [];
+  if (typeof names === 'string') {
+    if (names.trim().startsWith('[')) {
+      try {
+        names = JSON.parse(names);
+      } catch (error) {
+        return { status: 400, error: 'sheets must be a JSON array or a comma-separated list of sheet names' };
+      }
+    } else {
+      names = names.split(',').map(name => name.trim()).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return { status: 400, error: 'sheets must be a JSON array or a comma-separated list of sheet names' };
+  }
+
+  if (names.length > 0) {
+    let sheetNames;
+    try {
+      sheetNames = excelParser.getSheetNames(req.file);
+    } catch (error) {
+      return { status: 400, error: `Could not read the worksheets in this file: ${error.message}` };
+    }
+
+    const missing = names.filter(name => !sheetNames.includes(name));
+    if (missing.length > 0) {
+      return { status: 400, error: `Sheet(s) not found: ${missing.join(', ')}. Available sheets: ${sheetNames.join(', ')}` };
+    }
+
+    // A given mapping names columns by header, so every selected sheet must share the same header row
+    if (mapping && (mapping.columnMapping || mapping.template) && names.length > 1) {
+      let headersBySheet;
+      try {
+        headersBySheet = excelParser.getSheetHeaders(req.file);
+      } catch (error) {
+        return { status: 400, error: `Could not read the worksheets in this file: ${error.message}` };
+      }
+
+      const selected = sheetNames.filter(name => names.includes(name));
+      const signature = excelParser.headerSignature(headersBySheet[selected[0]]);
+      const mismatched = selected.find(name => excelParser.headerSignature(headersBySheet[name]) !== signature);
+      if (mismatched) {
+        return { status: 400, error: excelParser.mixedHeadersMessage(selected[0], mismatched) };
+      }
+    }
+  }
+
+  return {
+    sheetOptions: {
+      sheets: names.length > 0 ? [...new Set(names)] : null,
+      tagWithSheet: tagWithSheet === true || tagWithSheet === 'true'
+    }
+  };
+};
+
+// Column mapping sent with an upload or preview (templateId or a columnMapping JSON object);
+// resolves with { mapping } or { status, error }
+const parseMappingOptions = async (req) => {
+  const { templateId, columnMapping } = req.body || {};
+
+  if (templateId && columnMapping) {
+    return { status: 400, error: 'Send either templateId or columnMapping, not both' };
+  }
+
+  if (columnMapping) {
+    let parsed = columnMapping;
+    if (typeof parsed === 'string') {
+      try {
+        parsed = JSON.parse(parsed);
+      } catch (error) {
+        parsed = null;
+      }
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { status: 400, error: 'columnMapping must be a JSON object of lead field to column header' };
+    }
+
+    const unknown = Object.keys(parsed).filter(field => !excelParser.columnMappings[field]);
+    if (unknown.length > 0) {
+      return {
+        status: 400,
+        error: `Unknown field(s) in columnMapping: ${unknown.join(', ')}. Available: ${Object.keys(excelParser.columnMappings).join(', ')}`
+      };
+    }
+
+    return { mapping: { columnMapping: parsed, template: null } };
+  }
+
+  if (templateId) {
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return { status: 400, error: 'Invalid template ID' };
+    }
+
+    const template = await ColumnMappingTemplate.findById(templateId);
+    if (!template) {
+      return { status: 404, error: 'Mapping template not found' };
+    }
+
+    return { mapping: { columnMapping: null, template } };
+  }
+
+  return { mapping: { columnMapping: null, template: null } };
+};
+
+// Upload an Excel file whose leads are all assigned to one employee; parsed in the background
 const uploadAndAssignLeads = async (req, res) => {
   try {
     const { employeeId } = req.params;
@@ -811,10 +1490,10 @@ const uploadAndAssignLeads = async (req, res) => {
       });
     }
 
-    if (!employeeId) {
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
       return res.status(400).json({
         success: false,
-        message: 'Employee ID is required'
+        message: 'Invalid employee ID'
       });
     }
 
@@ -834,107 +1513,45 @@ const uploadAndAssignLeads = async (req, res) => {
       });
     }
 
-    // Parse Excel file using the new parser utility
-    const parseOptions = {
-      skipDuplicates: true,
-      validateData: true,
-      batchSize: req.optimizationSettings?.batchSize || 1000,
-      progressCallback: req.progressCallback || null
-    };
-
-    const parseResult = await excelParser.parseExcelFile(req.file, parseOptions);
-
-    if (!parseResult.success) {
-      return res.status(400).json({
+    if (!(await canAccessUser(req.user, employee._id))) {
+      return res.status(403).json({
         success: false,
-        message: 'Failed to parse Excel file',
-        error: parseResult.error || 'Unknown parsing error'
+        message: 'You can only assign leads to employees on your team'
       });
     }
 
-    const { leads, summary, errors, duplicates } = parseResult.data;
-
-    // Check if we have any valid leads to insert
-    if (leads.length === 0) {
-      return res.status(400).json({
+    const { mapping, status: mappingStatus, error: mappingError } = await parseMappingOptions(req);
+    if (mappingError) {
+      return res.status(mappingStatus).json({
         success: false,
-        message: 'No valid leads found in Excel file',
-        data: {
-          summary,
-          errors,
-          duplicates
-        }
+        message: mappingError
       });
     }
 
-    // Assign leads to employee
-    const leadsToInsert = leads.map(lead => ({
-      ...lead,
-      assignedTo: employee.name,
-      assignedDate: new Date()
-    }));
-
-    // Insert leads into database in batches for better performance
-    let insertedLeads = [];
-    try {
-      insertedLeads = await Lead.insertMany(leadsToInsert);
-    } catch (insertError) {
-      console.error('Database insertion error:', insertError);
-
-      // Check for specific database errors
-      if (insertError.name === 'ValidationError') {
-        return res.status(400).json({
-          success: false,
-          message: 'Data validation failed during lead insertion',
-          error: insertError.message,
-          data: {
-            summary,
-            errors: parseResult.data.errors,
-            duplicates: parseResult.data.duplicates
-          }
-        });
-      }
-
-      if (insertError.code === 11000) {
-        return res.status(400).json({
-          success: false,
-          message: 'Duplicate data found during insertion',
-          error: 'Some leads already exist in the database',
-          data: {
-            summary,
-            errors: parseResult.data.errors,
-            duplicates: parseResult.data.duplicates
-          }
-        });
-      }
-
-      throw insertError; // Re-throw if it's not a handled error
+    const { sheetOptions, status: sheetStatus, error: sheetError } = parseSheetOptions(req, mapping);
+    if (sheetError) {
+      return res.status(sheetStatus).json({
+        success: false,
+        message: sheetError
+      });
     }
 
-    // Generate parsing report
-    const report = excelParser.generateReport(parseResult);
-
-    // Log the bulk assignment action
-    const fileName = req.excelFileInfo?.originalName || req.file?.originalname || 'Unknown file';
-    console.log(`Admin ${req.user.name} uploaded and assigned ${insertedLeads.length} leads to ${employee.name} from ${fileName}`);
+    const job = await importJobs.createImportJob(req.file, req.user, {
+      ...mapping,
+      ...sheetOptions,
+      assignee: employee,
+      requestInfo: requestInfo(req)
+    });
 
-    res.status(200).json({
+    res.status(202).json({
       success: true,
-      message: `${insertedLeads.length} leads uploaded and assigned successfully`,
+      message: 'File received; leads are being imported and assigned in the background',
       data: {
-        assignedCount: insertedLeads.length,
+        ...describeImportJob(job),
+        employeeId: employee._id,
         employeeName: employee.name,
-        fileInfo: req.excelFileInfo || {},
-        structureInfo: req.excelStructureInfo || {},
-        summary,
-        report,
-        leads: insertedLeads.map(lead => ({
-          id: lead._id,
-          name: lead.name,
-          phone: lead.phone,
-          status: lead.status,
-          assignedTo: lead.assignedTo
-        }))
+        reportUrl: `/api/v1/admin/leads/parsing-report/${job._id}`,
+        eventsUrl: `/api/v1/admin/leads/imports/${job._id}/events`
       }
     });
 
@@ -956,10 +1573,18 @@ const getAllLeadAssignments = async (req, res) => {
       limit,
       status,
       employee,
+      team,
       startDate,
       endDate
     } = req.query;
 
+    if (team && !mongoose.Types.ObjectId.isValid(team)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid team ID'
+      });
+    }
+
     // Build filter for assignments
     const filter = {};
 
@@ -968,7 +1593,7 @@ const getAllLeadAssignments = async (req, res) => {
     }
 
     if (employee) {
-      filter.assignedTo = { $regex: employee, $options: 'i' };
+      Object.assign(filter, await resolveAssigneeFilter(employee));
     }
 
     if (startDate || endDate) {
@@ -977,12 +1602,20 @@ const getAllLeadAssignments = async (req, res) => {
       if (endDate) filter.assignedDate.$lte = new Date(endDate);
     }
 
+    // Managers only see their team's assignments
+    const leadScope = await leadScopeFilter(req.user);
+    let scopedFilter = applyScope(filter, leadScope);
+
+    if (team) {
+      scopedFilter = applyScope(scopedFilter, await teamFilter(team));
+    }
+
     // Calculate pagination
     const skip = (parseInt(page) - 1) * (limit ? parseInt(limit) : 0);
     const limitNum = limit ? parseInt(limit) : 0;
 
     // Get assignments with pagination
-    let assignmentsQuery = Lead.find(filter).sort({ assignedDate: -1 });
+    let assignmentsQuery = Lead.find(scopedFilter).sort({ assignedDate: -1 });
     
     // Apply pagination only if limit is specified
     if (limit) {
@@ -992,10 +1625,10 @@ const getAllLeadAssignments = async (req, res) => {
     const assignments = await assignmentsQuery;
 
     // Get total count
-    const total = await Lead.countDocuments(filter);
+    const total = await Lead.countDocuments(scopedFilter);
 
     // Get unique employees for filter dropdown
-    const employeeOptions = await Lead.distinct('assignedTo');
+    const employeeOptions = await assigneeOptions(leadScope);
 
     res.status(200).json({
       success: true,
@@ -1010,6 +1643,7 @@ const getAllLeadAssignments = async (req, res) => {
           sector: lead.sector,
           status: lead.status,
           callTime: lead.callTime,
+          assignee: lead.assignee,
           assignedTo: lead.assignedTo,
           assignedDate: lead.assignedDate,
           createdAt: lead.createdAt,
@@ -1052,6 +1686,13 @@ const getEmployeeAssignments = async (req, res) => {
       });
     }
 
+    if (!(await canAccessUser(req.user, employee._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this employee'
+      });
+    }
+
     const {
       page = 1,
       limit,
@@ -1061,7 +1702,7 @@ const getEmployeeAssignments = async (req, res) => {
     } = req.query;
 
     // Build filter for assignments
-    const filter = { assignedTo: employee.name };
+    const filter = { assignee: employee._id };
 
     if (status) {
       filter.status = status;
@@ -1142,27 +1783,74 @@ const previewExcelFile = async (req, res) => {
       });
     }
 
-    // Parse Excel file with preview options (first 10 rows only)
-    const parseResult = await excelParser.parseExcelFile(req.file, {
-      skipDuplicates: false, // Don't check duplicates for preview
-      validateData: true,
-      batchSize: 10, // Only process first 10 rows for preview
-      progressCallback: null
-    });
+    const { mapping, status: mappingStatus, error: mappingError } = await parseMappingOptions(req);
+    if (mappingError) {
+      return res.status(mappingStatus).json({
+        success: false,
+        message: mappingError
+      });
+    }
+
+    const { sheetOptions, status: sheetStatus, error: sheetError } = parseSheetOptions(req, mapping);
+    if (sheetError) {
+      return res.status(sheetStatus).json({
+        success: false,
+        message: sheetError
+      });
+    }
 
-    if (!parseResult.success) {
+    // Parse Excel file with preview options (first 10 rows only); a saved template
+    // matching the headers is applied just as it would be on upload
+    let workbookSheets = [];
+    let parseResult;
+    try {
+      // Every worksheet in the file, to choose from; listed even when the selected sheets fail to parse
+      workbookSheets = excelParser.listSheets(req.file);
+
+      parseResult = await excelParser.parseExcelFile(req.file, {
+        skipDuplicates: false, // Don't check duplicates for preview
+        validateData: true,
+        batchSize: 10, // Only process first 10 rows for preview
+        progressCallback: null,
+        ...mapping,
+        ...sheetOptions,
+        useSavedTemplates: true
+      });
+    } catch (parseError) {
       return res.status(400).json({
         success: false,
         message: 'Failed to parse Excel file for preview',
-        error: parseResult.error || 'Unknown parsing error'
+        error: parseError.message,
+        data: { sheets: workbookSheets }
       });
     }
 
-    const { leads, summary, errors, duplicates } = parseResult.data;
+    const { leads, summary, errors, duplicates, headers, headerSignature, columnMap, mappingSource, template, sheets } = parseResult.data;
+    const confirmedMapping = excelParser.describeColumnMap(columnMap, headers);
 
     // Generate preview report
     const report = excelParser.generateReport(parseResult);
 
+    // Save the confirmed (or corrected) mapping of the first selected sheet as a template for files with these headers
+    let savedTemplate = null;
+    const templateName = req.body && req.body.templateName ? String(req.body.templateName).trim() : '';
+    if (templateName) {
+      if (await ColumnMappingTemplate.exists({ name: templateName })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A mapping template with this name already exists'
+        });
+      }
+
+      savedTemplate = await ColumnMappingTemplate.create({
+        name: templateName,
+        headerSignature,
+        headers,
+        mapping: confirmedMapping,
+        createdBy: req.user._id
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: 'Excel file preview generated successfully',
@@ -1175,7 +1863,27 @@ const previewExcelFile = async (req, res) => {
           errors: errors.slice(0, 5), // Show first 5 errors
           duplicates: duplicates.slice(0, 5), // Show first 5 duplicates
           summary,
-          report
+          report,
+          sheets: sheets.map(sheet => ({
+            name: sheet.name,
+            mappingSource: sheet.mappingSource,
+            template: sheet.template,
+            columnMapping: excelParser.describeColumnMap(sheet.columnMap, sheet.headers),
+            totalRows: sheet.totalRows,
+            parsedLeads: sheet.parsedLeads,
+            errors: sheet.errors
+          }))
+        },
+        sheets: workbookSheets,
+        mapping: {
+          source: mappingSource,
+          template,
+          columnMapping: confirmedMapping,
+          headers,
+          headerSignature,
+          availableFields: Object.keys(excelParser.columnMappings),
+          requiredFields: excelParser.requiredFields,
+          savedTemplate: savedTemplate ? { id: savedTemplate._id, name: savedTemplate.name } : null
         }
       }
     });
@@ -1190,31 +1898,64 @@ const previewExcelFile = async (req, res) => {
   }
 };
 
+// Job fields shared by the upload, report and import list responses
+const describeImportJob = (job) => ({
+  uploadId: job._id,
+  type: job.type,
+  status: job.status,
+  fileInfo: {
+    originalName: job.file.originalName,
+    size: job.file.size,
+    mimetype: job.file.mimetype
+  },
+  sheets: job.sheets,
+  tagWithSheet: job.tagWithSheet,
+  createdBy: job.createdBy,
+  assignee: job.assignee,
+  progress: job.progress,
+  summary: job.summary,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt
+});
+
+// Import jobs the caller may see: uploads made within their team; {} when unrestricted
+const importJobScopeFilter = async (user) => {
+  const scopedUserIds = await getScopedUserIds(user);
+  return scopedUserIds ? { createdBy: { $in: scopedUserIds } } : {};
+};
+
 // Get Excel parsing report for a specific upload
 const getExcelParsingReport = async (req, res) => {
   try {
     const { uploadId } = req.params;
 
-    // In a real implementation, you might want to store parsing reports
-    // For now, we'll return a placeholder response
-    res.status(200).json({
-      success: true,
-      message: 'Parsing report retrieved successfully',
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid upload ID'
+      });
+    }
+
+    const job = await ImportJob.findOne({ _id: uploadId, ...(await importJobScopeFilter(req.user)) })
+      .populate('createdBy', 'name email')
+      .populate('assignee', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Parsing report retrieved successfully',
       data: {
-        uploadId,
-        report: {
-          fileSummary: {
-            totalRows: 0,
-            successfullyParsed: 0,
-            errors: 0,
-            duplicates: 0,
-            successRate: '0%'
-          },
-          errors: [],
-          duplicates: [],
-          columnMapping: {},
-          detectedHeaders: []
-        }
+        ...describeImportJob(job),
+        report: job.report,
+        leadIds: job.insertedLeadIds
       }
     });
 
@@ -1228,549 +1969,1415 @@ const getExcelParsingReport = async (req, res) => {
   }
 };
 
-// Bulk upload leads without assignment (for later assignment)
-const bulkUploadLeads = async (req, res) => {
+// Page through an upload's error or duplicate rows; the parsing report only carries the first few
+const getImportJobRows = async (req, res) => {
   try {
-    if (!req.file) {
+    const { uploadId } = req.params;
+    const { kind = 'error', page = 1, limit = 100 } = req.query;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
       return res.status(400).json({
         success: false,
-        message: 'Excel file is required'
+        message: 'Invalid upload ID'
       });
     }
 
-    // Initialize progress tracking
-    const totalRows = req.excelStructureInfo?.totalRows || req.file?.size || 0;
-    const progressCallback = req.progressCallback;
-    let processedRows = 0;
-
-    // Send initial progress
-    if (progressCallback) {
-      progressCallback({
-        stage: 'parsing',
-        processed: 0,
-        total: totalRows,
-        percentage: 0,
-        message: 'Starting file parsing...',
-        duplicates: 0,
-        errors: 0
+    if (!ImportJobRow.ROW_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Kind must be one of: ${ImportJobRow.ROW_KINDS.join(', ')}`
       });
     }
 
-    // Parse Excel file with progress tracking
-    const parseOptions = {
-      skipDuplicates: true,
-      validateData: true,
-      batchSize: req.optimizationSettings?.batchSize || 1000,
-      progressCallback: null // We'll handle progress manually
-    };
+    const job = await ImportJob.findOne({ _id: uploadId, ...(await importJobScopeFilter(req.user)) }).select('_id');
 
-    const parseResult = await excelParser.parseExcelFile(req.file, parseOptions);
-
-    if (!parseResult.success) {
-      if (progressCallback) {
-        progressCallback({
-          stage: 'error',
-          processed: 0,
-          total: totalRows,
-          percentage: 0,
-          message: 'Failed to parse Excel file',
-          error: parseResult.error
-        });
-      }
-      return res.status(400).json({
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'Failed to parse Excel file',
-        error: parseResult.error || 'Unknown parsing error'
+        message: 'Upload not found'
       });
     }
 
-    const { leads, summary, errors, duplicates } = parseResult.data;
+    const [rows, totalRows] = await Promise.all([
+      ImportJobRow.getPage(job._id, kind, { skip: (currentPage - 1) * pageSize, limit: pageSize }),
+      ImportJobRow.countDocuments({ job: job._id, kind })
+    ]);
 
-    // Update progress for parsing completion
-    processedRows = summary.parsedLeads || 0;
-    const duplicateCount = summary.duplicates || 0;
-    const errorCount = summary.errors || 0;
+    const totalPages = Math.ceil(totalRows / pageSize);
 
-    if (progressCallback) {
-      let message = `Parsed ${processedRows} leads successfully`;
-      if (duplicateCount > 0) {
-        message += `, skipped ${duplicateCount} duplicates`;
-      }
-      if (errorCount > 0) {
-        message += `, ${errorCount} errors`;
+    res.status(200).json({
+      success: true,
+      message: 'Import rows retrieved successfully',
+      data: {
+        uploadId: job._id,
+        kind,
+        rows: rows.map(row => row.data),
+        pagination: {
+          currentPage,
+          totalPages,
+          totalRows,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        }
       }
+    });
 
-      progressCallback({
-        stage: 'parsed',
-        processed: processedRows,
-        total: totalRows,
-        percentage: Math.round((processedRows / totalRows) * 100),
-        message,
-        duplicates: duplicateCount,
-        errors: errorCount
-      });
-    }
-
-    // Check if we have any valid leads to insert
-    if (leads.length === 0) {
-      if (progressCallback) {
-        progressCallback({
-          stage: 'complete',
-          processed: 0,
-          total: totalRows,
-          percentage: 100,
-          message: 'No valid leads found in file',
-          completed: true
-        });
-      }
+  } catch (error) {
+    console.error('Error in getImportJobRows:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve import rows',
+      error: error.message
+    });
+  }
+};
+
+// How often a progress stream re-reads the job (catches jobs run by another server) and sends a heartbeat
+const IMPORT_PROGRESS_POLL_MS = 3000;
+const IMPORT_PROGRESS_HEARTBEAT_MS = 15000;
+
+// Stream an import job's progress as Server-Sent Events; the stream ends with a completed or failed event
+const streamImportProgress = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) {
       return res.status(400).json({
         success: false,
-        message: 'No valid leads found in Excel file',
-        data: {
-          summary,
-          errors,
-          duplicates
-        }
+        message: 'Invalid upload ID'
       });
     }
 
-    // Send progress for database insertion start
-    if (progressCallback) {
-      progressCallback({
-        stage: 'inserting',
-        processed: processedRows,
-        total: totalRows,
-        percentage: Math.round((processedRows / totalRows) * 100),
-        message: `Inserting ${leads.length} leads into database...`
+    const job = await ImportJob.findOne({ _id: uploadId, ...(await importJobScopeFilter(req.user)) });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found'
       });
     }
 
-    // Insert leads in batches to show progress
-    const batchSize = 100; // Insert in smaller batches for progress tracking
-    const insertedLeads = [];
-    const totalBatches = Math.ceil(leads.length / batchSize);
+    // Clients that do not accept an event stream get the current progress once
+    if (!req.progressCallback) {
+      return res.status(200).json({
+        success: true,
+        message: 'Import progress retrieved successfully',
+        data: importJobs.toProgressEvent(job)
+      });
+    }
 
-    for (let i = 0; i < leads.length; i += batchSize) {
-      const batch = leads.slice(i, i + batchSize);
+    // A reconnecting client sends the id of the last event it received and only gets newer ones
+    let lastSequence = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+    let closed = false;
+    let unsubscribe = null;
+    let pollTimer = null;
+    let heartbeatTimer = null;
+
+    const stop = () => {
+      closed = true;
+      if (unsubscribe) unsubscribe();
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+    };
 
-      try {
-        const batchResult = await Lead.insertMany(batch);
-        insertedLeads.push(...batchResult);
-      } catch (batchError) {
-        console.error(`Batch insertion error at batch ${Math.floor(i / batchSize) + 1}:`, batchError);
-
-        // Send error progress if callback exists
-        if (req.progressCallback) {
-          req.progressCallback({
-            stage: 'error',
-            processed: i,
-            total: totalRows,
-            percentage: Math.round((i / totalRows) * 100),
-            message: `Batch insertion failed: ${batchError.message}`,
-            error: batchError.message,
-            completed: true
-          });
-        }
+    const send = (progressEvent) => {
+      if (closed) return;
 
-        throw batchError; // Stop processing and throw the error
-      }
+      // A finished job always sends its final event, so a late subscriber still learns the outcome
+      const finished = ImportJob.FINISHED_STATUSES.includes(progressEvent.status);
+      if (!finished && progressEvent.sequence <= lastSequence) return;
 
-      // Update progress for each batch
-      const currentProcessed = Math.min(i + batchSize, leads.length);
-      const currentPercentage = Math.round((currentProcessed / totalRows) * 100);
-
-      if (progressCallback) {
-        progressCallback({
-          stage: 'inserting',
-          processed: currentProcessed,
-          total: totalRows,
-          percentage: currentPercentage,
-          message: `Inserted ${currentProcessed} of ${totalRows} leads...`
-        });
+      lastSequence = Math.max(lastSequence, progressEvent.sequence);
+      req.progressCallback(progressEvent, {
+        event: finished ? progressEvent.status : 'progress',
+        id: progressEvent.sequence
+      });
+
+      if (finished) {
+        stop();
+        res.end();
       }
-    }
+    };
 
-    // Send completion progress
-    if (progressCallback) {
-      progressCallback({
-        stage: 'complete',
-        processed: totalRows,
-        total: totalRows,
-        percentage: 100,
-        message: `Successfully uploaded ${insertedLeads.length} leads`,
-        completed: true,
-        finalCount: insertedLeads.length,
-        details: {
-          uploaded: insertedLeads.length,
-          duplicates: duplicates.length,
-          errors: errors.length
-        }
-      });
-    }
+    res.on('close', stop);
 
-    // Generate parsing report
-    const report = excelParser.generateReport(parseResult);
+    // Open the stream straight away, even when there is nothing new to send yet
+    req.progressHeartbeat();
 
-    // Log the bulk upload action
-    const fileName2 = req.excelFileInfo?.originalName || req.file?.originalname || 'Unknown file';
-    console.log(`Admin ${req.user.name} bulk uploaded ${insertedLeads.length} leads from ${fileName2}`);
-
-    // For SSE responses, we need to end the connection properly
-    if (progressCallback) {
-      // Wait a moment for the final progress to be sent
-      setTimeout(() => {
-        if (!res.headersSent) {
-          res.status(200).json({
-            success: true,
-            message: `${insertedLeads.length} leads uploaded successfully`,
-            data: {
-              uploadedCount: insertedLeads.length,
-              fileInfo: req.excelFileInfo || {},
-              structureInfo: req.excelStructureInfo || {},
-              summary,
-              report,
-              leads: insertedLeads.map(lead => ({
-                id: lead._id,
-                name: lead.name,
-                phone: lead.phone,
-                status: lead.status,
-                assignedTo: lead.assignedTo
-              }))
-            }
-          });
-        }
-      }, 1000);
-    } else {
-      // Regular JSON response
-      res.status(200).json({
-        success: true,
-        message: `${insertedLeads.length} leads uploaded successfully`,
-        data: {
-          uploadedCount: insertedLeads.length,
-          fileInfo: req.excelFileInfo || {},
-          structureInfo: req.excelStructureInfo || {},
-          summary,
-          report,
-          leads: insertedLeads.map(lead => ({
-            id: lead._id,
-            name: lead.name,
-            phone: lead.phone,
-            status: lead.status,
-            assignedTo: lead.assignedTo
-          }))
-        }
-      });
-    }
+    unsubscribe = importJobs.subscribeToProgress(job._id, send);
 
-  } catch (error) {
-    console.error('Error in bulkUploadLeads:', error);
+    pollTimer = setInterval(async () => {
+      try {
+        const latest = await ImportJob.findById(job._id).select('status progress summary error');
+        if (latest) send(importJobs.toProgressEvent(latest));
+      } catch (error) {
+        console.error('Error polling import progress:', error);
+      }
+    }, IMPORT_PROGRESS_POLL_MS);
 
-    // Send error progress if callback exists
-    if (req.progressCallback) {
-      req.progressCallback({
-        stage: 'error',
-        processed: 0,
-        total: req.excelStructureInfo?.totalRows || req.file?.size || 0,
-        percentage: 0,
-        message: 'Upload failed',
-        error: error.message,
-        completed: true
-      });
-    }
+    heartbeatTimer = setInterval(() => {
+      if (!closed) req.progressHeartbeat();
+    }, IMPORT_PROGRESS_HEARTBEAT_MS);
+
+    send(importJobs.toProgressEvent(job));
 
+  } catch (error) {
+    console.error('Error in streamImportProgress:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
-      message: 'Failed to bulk upload leads',
+      message: 'Failed to stream import progress',
       error: error.message
     });
   }
 };
 
-// Get call time statistics for dashboard
-const getCallTimeStats = async (req, res) => {
+// List past uploads, newest first
+const getImportJobs = async (req, res) => {
   try {
-    const callTimeStats = await callTimeUtils.getCallTimeStats(Lead);
+    const { status, page = 1, limit = 20 } = req.query;
+    const currentPage = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const filter = await importJobScopeFilter(req.user);
+
+    if (status) {
+      if (!ImportJob.IMPORT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${ImportJob.IMPORT_STATUSES.join(', ')}`
+        });
+      }
+      filter.status = status;
+    }
+
+    const [jobs, totalImports] = await Promise.all([
+      ImportJob.find(filter)
+        .select('-report -insertedLeadIds')
+        .populate('createdBy', 'name email')
+        .populate('assignee', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize),
+      ImportJob.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalImports / pageSize);
 
     res.status(200).json({
       success: true,
-      message: 'Call time statistics retrieved successfully',
-      data: callTimeStats
+      message: 'Import jobs retrieved successfully',
+      data: {
+        imports: jobs.map(describeImportJob),
+        pagination: {
+          currentPage,
+          totalPages,
+          totalImports,
+          hasNextPage: currentPage < totalPages,
+          hasPrevPage: currentPage > 1
+        }
+      }
     });
 
   } catch (error) {
-    console.error('Error in getCallTimeStats:', error);
+    console.error('Error in getImportJobs:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve call time statistics',
+      message: 'Failed to retrieve import jobs',
       error: error.message
     });
   }
 };
 
-// Export leads data
-const exportLeads = async (req, res) => {
-  try {
-    const {
-      status,
-      assignedTo,
-      sector,
-      search,
-      format = 'csv'
-    } = req.query;
+// Check a template's mapping against the header row it belongs to; returns an error message or null
+const validateTemplateMapping = (mapping, headers) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of lead field to column header';
+  }
 
-    // Build filter object
-    const filter = {};
+  if (!Array.isArray(headers) || headers.length === 0) {
+    return 'headers must list the column headers of the file';
+  }
 
-    if (status) {
-      filter.status = status;
-    }
+  const { errors } = excelParser.applyColumnMapping(mapping, headers);
+  return errors ? errors.join('; ') : null;
+};
 
-    if (assignedTo) {
-      filter.assignedTo = { $regex: assignedTo, $options: 'i' };
+// List column mapping templates, optionally only those for one header signature
+const getMappingTemplates = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.headerSignature) {
+      filter.headerSignature = String(req.query.headerSignature);
     }
 
-    if (sector) {
-      filter.sector = { $regex: sector, $options: 'i' };
-    }
+    const templates = await ColumnMappingTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ name: 1 });
 
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-        { website: { $regex: search, $options: 'i' } }
-      ];
+    res.status(200).json({
+      success: true,
+      message: 'Mapping templates retrieved successfully',
+      data: {
+        templates,
+        availableFields: Object.keys(excelParser.columnMappings),
+        requiredFields: excelParser.requiredFields
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getMappingTemplates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve mapping templates',
+      error: error.message
+    });
+  }
+};
+
+// Save a column mapping template for a header row
+const createMappingTemplate = async (req, res) => {
+  try {
+    const { name, headers, mapping } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Template name is required'
+      });
     }
 
-    // Get leads based on filter
-    const leads = await Lead.find(filter, {
-      name: 1,
-      phone: 1,
-      email: 1,
-      website: 1,
-      location: 1,
-      sector: 1,
-      status: 1,
-      notes: 1,
-      callTime: 1,
-      assignedTo: 1,
-      assignedDate: 1,
-      createdAt: 1,
-      updatedAt: 1
-    }).sort({ createdAt: -1 });
-
-    if (leads.length === 0) {
-      return res.status(404).json({
+    const mappingError = validateTemplateMapping(mapping, headers);
+    if (mappingError) {
+      return res.status(400).json({
         success: false,
-        message: 'No leads found matching the specified criteria'
+        message: mappingError
       });
     }
 
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-    const filename = `leads_export_${timestamp}`;
+    if (await ColumnMappingTemplate.exists({ name: String(name).trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A mapping template with this name already exists'
+      });
+    }
 
-    // Handle different export formats
-    switch (format.toLowerCase()) {
-      case 'json':
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
-
-        return res.status(200).json({
-          success: true,
-          message: 'Leads exported successfully',
-          data: {
-            exportedCount: leads.length,
-            format: 'json',
-            filename: `${filename}.json`,
-            leads: leads.map(lead => ({
-              id: lead._id,
-              name: lead.name,
-              phone: lead.phone,
-              email: lead.email,
-              website: lead.website,
-              location: lead.location,
-              sector: lead.sector,
-              status: lead.status,
-              notes: lead.notes,
-              callTime: lead.callTime,
-              assignedTo: lead.assignedTo,
-              assignedDate: lead.assignedDate,
-              createdAt: lead.createdAt,
-              updatedAt: lead.updatedAt
-            }))
-          }
-        });
+    const template = await ColumnMappingTemplate.create({
+      name: String(name).trim(),
+      headerSignature: excelParser.headerSignature(headers),
+      headers,
+      mapping: excelParser.describeColumnMap(excelParser.applyColumnMapping(mapping, headers).columnMap, headers),
+      createdBy: req.user._id
+    });
 
-      case 'excel':
-      case 'csv':
-      default:
-        // Generate CSV content
-        const headers = [
-          'Name', 'Phone', 'Email', 'Website', 'Location', 'Sector',
-          'Status', 'Notes', 'Call Time', 'Assigned To', 'Assigned Date', 'Created At', 'Updated At'
-        ];
-
-        const csvRows = [
-          headers.join(','),
-          ...leads.map(lead => [
-            `"${(lead.name || '').replace(/"/g, '""')}"`,
-            `"${(lead.phone || '').replace(/"/g, '""')}"`,
-            `"${(lead.email || '').replace(/"/g, '""')}"`,
-            `"${(lead.website || '').replace(/"/g, '""')}"`,
-            `"${(lead.location || '').replace(/"/g, '""')}"`,
-            `"${(lead.sector || '').replace(/"/g, '""')}"`,
-            `"${(lead.status || '').replace(/"/g, '""')}"`,
-            `"${(lead.notes || '').replace(/"/g, '""')}"`,
-            `"${(lead.callTime || '').replace(/"/g, '""')}"`,
-            `"${(lead.assignedTo || '').replace(/"/g, '""')}"`,
-            `"${lead.assignedDate ? new Date(lead.assignedDate).toLocaleDateString() : ''}"`,
-            `"${new Date(lead.createdAt).toLocaleDateString()}"`,
-            `"${new Date(lead.updatedAt).toLocaleDateString()}"`
-          ].join(','))
-        ];
-
-        const csvContent = csvRows.join('\n');
-
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
-
-        return res.status(200).send(csvContent);
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Mapping template created successfully',
+      data: { template }
+    });
 
   } catch (error) {
-    console.error('Error in exportLeads:', error);
+    console.error('Error in createMappingTemplate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to export leads',
+      message: 'Failed to create mapping template',
       error: error.message
     });
   }
 };
 
-// Bulk delete leads
-const bulkDeleteLeads = async (req, res) => {
+// Rename a template or correct its mapping; new headers move it to another header signature
+const updateMappingTemplate = async (req, res) => {
   try {
-    const { leadIds } = req.body;
-
-    if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Lead IDs array is required and cannot be empty'
-      });
-    }
+    const { id } = req.params;
+    const { name, headers, mapping } = req.body;
 
-    // Validate that all IDs are valid MongoDB ObjectIds
-    const invalidIds = leadIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
-    if (invalidIds.length > 0) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid lead ID(s) provided',
-        data: {
-          invalidIds,
-          validCount: leadIds.length - invalidIds.length
-        }
+        message: 'Invalid template ID'
       });
     }
 
-    // Find leads before deletion for logging
-    const leadsToDelete = await Lead.find({ _id: { $in: leadIds } }, 'name phone assignedTo status');
-    const deletedCount = leadsToDelete.length;
-
-    if (deletedCount === 0) {
+    const template = await ColumnMappingTemplate.findById(id);
+    if (!template) {
       return res.status(404).json({
         success: false,
-        message: 'No leads found with the provided IDs'
+        message: 'Mapping template not found'
       });
     }
 
-    // Perform bulk deletion
-    const deleteResult = await Lead.deleteMany({ _id: { $in: leadIds } });
+    if (name !== undefined) {
+      const trimmedName = String(name).trim();
+      if (!trimmedName) {
+        return res.status(400).json({
+          success: false,
+          message: 'Template name is required'
+        });
+      }
 
-    if (deleteResult.deletedCount !== deletedCount) {
-      console.warn(`Expected to delete ${deletedCount} leads, but only deleted ${deleteResult.deletedCount}`);
+      if (await ColumnMappingTemplate.exists({ name: trimmedName, _id: { $ne: template._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A mapping template with this name already exists'
+        });
+      }
+      template.name = trimmedName;
     }
 
-    // Log the bulk deletion action
-    console.log(`Admin ${req.user.name} bulk deleted ${deleteResult.deletedCount} leads`);
+    if (headers !== undefined || mapping !== undefined) {
+      const nextHeaders = headers !== undefined ? headers : template.headers;
+      const nextMapping = mapping !== undefined ? mapping : Object.fromEntries(template.mapping);
 
-    // Get summary of deleted leads by status and assignment
-    const summary = leadsToDelete.reduce((acc, lead) => {
-      // Count by status
-      acc.byStatus[lead.status] = (acc.byStatus[lead.status] || 0) + 1;
+      const mappingError = validateTemplateMapping(nextMapping, nextHeaders);
+      if (mappingError) {
+        return res.status(400).json({
+          success: false,
+          message: mappingError
+        });
+      }
 
-      // Count by assignment
-      const assignedTo = lead.assignedTo || 'Unassigned';
-      acc.byAssignment[assignedTo] = (acc.byAssignment[assignedTo] || 0) + 1;
+      template.headers = nextHeaders;
+      template.headerSignature = excelParser.headerSignature(nextHeaders);
+      template.mapping = excelParser.describeColumnMap(excelParser.applyColumnMapping(nextMapping, nextHeaders).columnMap, nextHeaders);
+    }
 
-      return acc;
-    }, { byStatus: {}, byAssignment: {} });
+    template.updatedBy = req.user._id;
+    await template.save();
 
     res.status(200).json({
       success: true,
-      message: `${deleteResult.deletedCount} leads deleted successfully`,
-      data: {
-        deletedCount: deleteResult.deletedCount,
-        requestedCount: leadIds.length,
-        notFoundCount: leadIds.length - deletedCount,
-        summary,
-        deletedLeads: leadsToDelete.map(lead => ({
-          id: lead._id,
-          name: lead.name,
-          phone: lead.phone,
-          status: lead.status,
-          assignedTo: lead.assignedTo
-        }))
-      }
+      message: 'Mapping template updated successfully',
+      data: { template }
     });
 
   } catch (error) {
-    console.error('Error in bulkDeleteLeads:', error);
+    console.error('Error in updateMappingTemplate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete leads',
+      message: 'Failed to update mapping template',
       error: error.message
     });
   }
 };
 
-// Change user password
-const changeUserPassword = async (req, res) => {
+// Delete a column mapping template
+const deleteMappingTemplate = async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { password } = req.body;
+    const { id } = req.params;
 
-    if (!password || password.length < 6) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
         success: false,
-        message: 'Password must be at least 6 characters long'
+        message: 'Invalid template ID'
       });
     }
 
-    // Verify user exists
-    const user = await User.findById(userId);
-    if (!user) {
+    const template = await ColumnMappingTemplate.findByIdAndDelete(id);
+    if (!template) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Mapping template not found'
       });
     }
 
-    // Update password
-    user.password = password;
-    await user.save();
-
-    // Log the password change action
-    console.log(`Admin ${req.user.name} changed password for user: ${user.name}`);
-
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Mapping template deleted successfully'
     });
 
   } catch (error) {
-    console.error('Error in changeUserPassword:', error);
+    console.error('Error in deleteMappingTemplate:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to change password',
+      message: 'Failed to delete mapping template',
+      error: error.message
+    });
+  }
+};
+
+// Bulk upload leads without assignment (for later assignment); parsed in the background
+const bulkUploadLeads = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Excel file is required'
+      });
+    }
+
+    const { mapping, status: mappingStatus, error: mappingError } = await parseMappingOptions(req);
+    if (mappingError) {
+      return res.status(mappingStatus).json({
+        success: false,
+        message: mappingError
+      });
+    }
+
+    const { sheetOptions, status: sheetStatus, error: sheetError } = parseSheetOptions(req, mapping);
+    if (sheetError) {
+      return res.status(sheetStatus).json({
+        success: false,
+        message: sheetError
+      });
+    }
+
+    const job = await importJobs.createImportJob(req.file, req.user, {
+      ...mapping,
+      ...sheetOptions,
+      requestInfo: requestInfo(req)
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'File received; leads are being imported in the background',
+      data: {
+        ...describeImportJob(job),
+        reportUrl: `/api/v1/admin/leads/parsing-report/${job._id}`,
+        eventsUrl: `/api/v1/admin/leads/imports/${job._id}/events`
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in bulkUploadLeads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bulk upload leads',
+      error: error.message
+    });
+  }
+};
+
+// Get call attempts refused by campaign calling hours, days or daily caps
+const getBlockedCallAttempts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+    const { agent, campaign, reason, startDate, endDate } = req.query;
+
+    const filter = {};
+
+    for (const [field, value] of Object.entries({ agent, campaign })) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} ID`
+          });
+        }
+        filter[field] = new mongoose.Types.ObjectId(value);
+      }
+    }
+
+    if (reason) filter.reason = reason;
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    // Managers only see attempts made by their team
+    const agentScope = await getScopedUserIds(req.user);
+    const scopedFilter = agentScope ? applyScope(filter, { agent: { $in: agentScope } }) : filter;
+
+    const [attempts, totalAttempts, [summary]] = await Promise.all([
+      BlockedCallAttempt.find(scopedFilter)
+        .populate('agent', 'name email')
+        .populate('lead', 'name phone')
+        .populate('campaign', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      BlockedCallAttempt.countDocuments(scopedFilter),
+      BlockedCallAttempt.getSummary(scopedFilter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Blocked call attempts retrieved successfully',
+      data: {
+        attempts: attempts.map(attempt => ({
+          id: attempt._id,
+          agent: attempt.agent,
+          lead: attempt.lead,
+          campaign: attempt.campaign,
+          reason: attempt.reason,
+          source: attempt.source,
+          localTime: attempt.localTime,
+          timeZone: attempt.timeZone,
+          callsToday: attempt.callsToday,
+          maxCallsPerDay: attempt.maxCallsPerDay,
+          attemptedAt: attempt.createdAt
+        })),
+        summary,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalAttempts / limit),
+          totalAttempts,
+          hasNextPage: page * limit < totalAttempts,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getBlockedCallAttempts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve blocked call attempts',
+      error: error.message
+    });
+  }
+};
+
+// Get call time statistics for dashboard
+const getCallTimeStats = async (req, res) => {
+  try {
+    const callTimeStats = await callTimeUtils.getCallTimeStats(Lead, await leadScopeFilter(req.user));
+
+    res.status(200).json({
+      success: true,
+      message: 'Call time statistics retrieved successfully',
+      data: callTimeStats
+    });
+
+  } catch (error) {
+    console.error('Error in getCallTimeStats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve call time statistics',
+      error: error.message
+    });
+  }
+};
+
+// Export leads data
+const exportLeads = async (req, res) => {
+  try {
+    const {
+      status,
+      assignedTo,
+      sector,
+      search,
+      format = 'csv'
+    } = req.query;
+
+    const exportFormat = format.toLowerCase() === 'excel' ? 'xlsx' : format.toLowerCase();
+    if (!['csv', 'json', 'xlsx'].includes(exportFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv, json, xlsx or excel'
+      });
+    }
+
+    const { columns, error: columnsError } = leadExport.parseColumns(req.query.columns);
+    if (columnsError) {
+      return res.status(400).json({
+        success: false,
+        message: columnsError
+      });
+    }
+
+    // Build filter object
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (assignedTo) {
+      Object.assign(filter, await resolveAssigneeFilter(assignedTo));
+    }
+
+    if (sector) {
+      filter.sector = { $regex: escapeRegex(sector), $options: 'i' };
+    }
+
+    if (search) {
+      filter.$or = [
+        { name: { $regex: escapeRegex(search), $options: 'i' } },
+        { phone: { $regex: escapeRegex(search), $options: 'i' } },
+        { website: { $regex: escapeRegex(search), $options: 'i' } }
+      ];
+    }
+
+    // Limit to the caller's team
+    const scopedFilter = applyScope(filter, await leadScopeFilter(req.user));
+    const exportFilters = { status, assignedTo, sector, search };
+
+    const totalLeads = await Lead.countDocuments(scopedFilter);
+
+    if (totalLeads === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No leads found matching the specified criteria'
+      });
+    }
+
+    await auditLogger.logDataExport(req.user, 'leads', totalLeads, {
+      ...requestInfo(req),
+      format: exportFormat,
+      columns,
+      filters: exportFilters
+    });
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const filename = `leads_export_${timestamp}`;
+
+    let query = Lead.find(scopedFilter, leadExport.buildProjection(columns))
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (columns.includes('campaign')) {
+      query = query.populate('campaign', 'name');
+    }
+
+    if (exportFormat === 'json') {
+      const leads = await query;
+
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Leads exported successfully',
+        data: {
+          exportedCount: leads.length,
+          format: 'json',
+          filename: `${filename}.json`,
+          columns,
+          summary: await leadExport.summarize(leads),
+          leads: leadExport.toJsonRows(leads, columns)
+        }
+      });
+    }
+
+    // CSV and XLSX are streamed from a cursor so only one batch of leads is in memory
+    const cursor = query.cursor({ batchSize: 1000 });
+
+    // Stop reading from MongoDB once the client disconnects
+    const cancelExport = () => {
+      if (!res.writableFinished) {
+        cursor.close().catch(() => {});
+      }
+    };
+    res.on('close', cancelExport);
+
+    if (exportFormat === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    } else {
+      res.setHeader('Content-Type', 'text/csv');
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${exportFormat}"`);
+    res.status(200);
+
+    try {
+      if (exportFormat === 'xlsx') {
+        await leadExport.streamWorkbook(cursor, res, columns, exportFilters);
+      } else {
+        await leadExport.streamCsv(cursor, res, columns);
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        // Nothing was written yet, so the error can still be reported as JSON
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Type');
+        throw error;
+      }
+
+      if (error.code !== 'EXPORT_CANCELLED' && !res.destroyed) {
+        console.error('Error streaming lead export:', error);
+      }
+
+      // The file is incomplete; drop the connection so the client does not keep it
+      res.destroy();
+    } finally {
+      res.off('close', cancelExport);
+      await cursor.close().catch(() => {});
+    }
+
+  } catch (error) {
+    console.error('Error in exportLeads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export leads',
+      error: error.message
+    });
+  }
+};
+
+// Bulk delete leads
+const bulkDeleteLeads = async (req, res) => {
+  try {
+    const { leadIds } = req.body;
+
+    if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lead IDs array is required and cannot be empty'
+      });
+    }
+
+    // Validate that all IDs are valid MongoDB ObjectIds
+    const invalidIds = leadIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lead ID(s) provided',
+        data: {
+          invalidIds,
+          validCount: leadIds.length - invalidIds.length
+        }
+      });
+    }
+
+    // Find leads before deletion for the audit trail; managers can only delete their team's leads
+    const leadsToDelete = await Lead.find(applyScope({ _id: { $in: leadIds } }, await leadScopeFilter(req.user)));
+    const deletedCount = leadsToDelete.length;
+
+    if (deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No leads found with the provided IDs'
+      });
+    }
+
+    // Perform bulk deletion of the leads found in scope only
+    const deleteResult = await Lead.deleteMany({ _id: { $in: leadsToDelete.map(lead => lead._id) } });
+
+    if (deleteResult.deletedCount !== deletedCount) {
+      console.warn(`Expected to delete ${deletedCount} leads, but only deleted ${deleteResult.deletedCount}`);
+    }
+
+    // Log the bulk deletion action
+    await auditLogger.logBulkLeadDeletion(leadsToDelete, req.user, requestInfo(req));
+
+    // Get summary of deleted leads by status and assignment
+    const summary = {
+      byStatus: leadsToDelete.reduce((acc, lead) => {
+        acc[lead.status] = (acc[lead.status] || 0) + 1;
+        return acc;
+      }, {}),
+      byAssignment: await countLeadsByAssignee(leadsToDelete)
+    };
+
+    res.status(200).json({
+      success: true,
+      message: `${deleteResult.deletedCount} leads deleted successfully`,
+      data: {
+        deletedCount: deleteResult.deletedCount,
+        requestedCount: leadIds.length,
+        notFoundCount: leadIds.length - deletedCount,
+        summary,
+        deletedLeads: leadsToDelete.map(lead => ({
+          id: lead._id,
+          name: lead.name,
+          phone: lead.phone,
+          status: lead.status,
+          assignedTo: lead.assignedTo
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in bulkDeleteLeads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete leads',
+      error: error.message
+    });
+  }
+};
+
+// Change user password
+const changeUserPassword = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // Verify user exists
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage users on your team with a lower role'
+      });
+    }
+
+    // Update password and sign the user out everywhere, as a self-service reset does
+    user.password = password;
+    user.revokeSessions();
+    await user.save();
+
+    const revokedTokens = await revokeUserSessions(user._id, REVOKE_REASONS.PASSWORD_RESET);
+
+    // Log the password change action
+    await auditLogger.logPasswordSetByAdmin(user, req.user, requestInfo(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        revokedTokens,
+        sessionsRevokedAt: user.sessionsRevokedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in changeUserPassword:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+};
+
+// Force logout: revoke every refresh token and access token a user holds
+const forceLogoutUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage users on your team with a lower role'
+      });
+    }
+
+    const revokedTokens = await revokeUserSessions(user._id, REVOKE_REASONS.FORCED_LOGOUT);
+
+    // Access tokens are stateless, so they are cut off by the revocation timestamp
+    user.revokeSessions();
+    await user.save({ validateBeforeSave: false });
+
+    await auditLogger.logAdminAction(req.user, 'Forced logout', user, { revokedTokens }, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} has been logged out of all sessions`,
+      data: {
+        userId: user._id,
+        revokedTokens,
+        sessionsRevokedAt: user.sessionsRevokedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in forceLogoutUser:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out user',
+      error: error.message
+    });
+  }
+};
+
+// Accounts and addresses currently locked out after failed logins
+const getLoginLockouts = async (req, res) => {
+  try {
+    const lockouts = await loginThrottle.getActiveLockouts();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lockouts: lockouts.map(record => ({
+          id: record._id,
+          scope: record.scope,
+          key: record.key,
+          lockedUntil: record.lockedUntil,
+          lockCount: record.lockCount,
+          lastFailureAt: record.lastFailureAt
+        })),
+        total: lockouts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getLoginLockouts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch login lockouts',
+      error: error.message
+    });
+  }
+};
+
+// Unlock a user's account after failed logins
+const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await canManageUser(req.user, user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage users on your team with a lower role'
+      });
+    }
+
+    const unlocked = await loginThrottle.unlockAccount(user.email);
+
+    await auditLogger.logAdminAction(req.user, 'Unlocked account after failed logins', user, { unlocked }, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: unlocked
+        ? `${user.name} can log in again`
+        : `${user.name} had no failed logins to clear`,
+      data: {
+        userId: user._id,
+        unlocked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in unlockUser:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
+// Clear a single lockout record (used for locked client addresses)
+const clearLoginLockout = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid lockout ID'
+      });
+    }
+
+    const record = await LoginThrottle.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lockout not found'
+      });
+    }
+
+    // Account lockouts are held to the same rule as unlocking the user
+    if (record.scope === 'account') {
+      const lockedUser = await User.findOne({ email: record.key });
+      if (lockedUser && !(await canManageUser(req.user, lockedUser))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only manage users on your team with a lower role'
+        });
+      }
+    }
+
+    await record.deleteOne();
+
+    await auditLogger.logAdminAction(req.user, 'Cleared login lockout', null, {
+      scope: record.scope,
+      key: record.key
+    }, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lockout cleared',
+      data: {
+        scope: record.scope,
+        key: record.key
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in clearLoginLockout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear lockout',
+      error: error.message
+    });
+  }
+};
+
+// Permission catalogue and the set in force for each role
+const getPermissionSets = async (req, res) => {
+  try {
+    const roles = await rolePermissions.listRolePermissions();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.values(rolePermissions.PERMISSIONS),
+        roles
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getPermissionSets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch permissions',
+      error: error.message
+    });
+  }
+};
+
+// Replace the permission set of a role
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    const problem = rolePermissions.validateRolePermissions(role, permissions);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const previous = await rolePermissions.getPermissionsForRole(role);
+    const record = await rolePermissions.setRolePermissions(role, permissions, req.user);
+
+    await auditLogger.logConfigChange(req.user, `permissions.${role}`, record.permissions, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      previous
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Permissions for ${role} updated`,
+      data: {
+        role: record.role,
+        permissions: record.permissions,
+        isDefault: false,
+        updatedAt: record.updatedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in updateRolePermissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update permissions',
+      error: error.message
+    });
+  }
+};
+
+// Put a role back on its default permission set
+const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    const problem = rolePermissions.validateRolePermissions(role, []);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    const reset = await rolePermissions.resetRolePermissions(role);
+    const permissions = await rolePermissions.getPermissionsForRole(role);
+
+    if (reset) {
+      await auditLogger.logConfigChange(req.user, `permissions.${role}`, permissions, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        reset: true
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: reset
+        ? `Permissions for ${role} reset to defaults`
+        : `${role} was already using the default permissions`,
+      data: {
+        role,
+        permissions,
+        isDefault: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in resetRolePermissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset permissions',
+      error: error.message
+    });
+  }
+};
+
+// Turn audit query parameters into search criteria; resolves with { criteria } or { error }
+const parseAuditCriteria = async (req) => {
+  const { userId, search, eventType, category, severity, startDate, endDate } = req.query;
+  const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+  if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    return { error: 'Invalid user ID' };
+  }
+
+  const eventTypes = toList(eventType);
+  const unknownTypes = eventTypes.filter(type => !Object.values(AUDIT_EVENTS).includes(type));
+  if (unknownTypes.length > 0) {
+    return { error: `Unknown event type(s): ${unknownTypes.join(', ')}` };
+  }
+
+  if (severity && !AuditEntry.SEVERITY_LEVELS.includes(severity)) {
+    return { error: `Severity must be one of: ${AuditEntry.SEVERITY_LEVELS.join(', ')}` };
+  }
+
+  for (const value of [startDate, endDate]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return { error: 'Invalid date range' };
+    }
+  }
+
+  // Anyone granted audit access below Admin only sees what their team did
+  const userIds = await getScopedUserIds(req.user);
+
+  return {
+    criteria: {
+      userId,
+      userIds,
+      searchTerm: search,
+      eventTypes,
+      categories: toList(category),
+      severity,
+      startDate,
+      endDate
+    }
+  };
+};
+
+// Search the audit trail
+const searchAuditTrail = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const { criteria, error } = await parseAuditCriteria(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { entries, total } = await auditLogger.searchAuditTrail({
+      ...criteria,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNextPage: page * limit < total,
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in searchAuditTrail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search audit trail',
+      error: error.message
+    });
+  }
+};
+
+// Audit event counts by type, category, severity and day
+const getAuditStats = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+
+    const { criteria, error } = await parseAuditCriteria(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const stats = await auditLogger.getAuditStats(criteria, days);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        stats
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getAuditStats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit statistics',
+      error: error.message
+    });
+  }
+};
+
+// Download the audit trail as JSON or CSV
+const exportAuditTrail = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or csv'
+      });
+    }
+
+    const { criteria, error } = await parseAuditCriteria(req);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const content = await auditLogger.exportAuditTrail(criteria, format);
+
+    await auditLogger.logDataExport(req.user, 'audit-trail', null, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      format,
+      filters: req.query
+    });
+
+    const filename = `audit_trail_${new Date().toISOString().split('T')[0]}`;
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.status(200).send(content);
+
+  } catch (error) {
+    console.error('Error in exportAuditTrail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export audit trail',
+      error: error.message
+    });
+  }
+};
+
+// Walk the audit hash chain and report the first broken link
+const verifyAuditTrail = async (req, res) => {
+  try {
+    const result = await auditChain.verifyAuditChain();
+
+    res.status(200).json({
+      success: true,
+      message: result.valid
+        ? `Audit chain intact (${result.checkedEntries} entries checked)`
+        : `Audit chain broken at sequence ${result.brokenLink.sequence}: ${result.brokenLink.reason}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error in verifyAuditTrail:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify audit trail',
+      error: error.message
+    });
+  }
+};
+
+// Signed checkpoints of the audit chain, newest first
+const getAuditCheckpoints = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const checkpoints = await auditChain.listCheckpoints({ limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        checkpoints,
+        total: checkpoints.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error in getAuditCheckpoints:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit checkpoints',
       error: error.message
     });
   }
@@ -1786,7 +3393,10 @@ module.exports = {
   getRecentActivity,
   getAllLeads,
   getLeadById,
+  getLeadTimeline,
   assignLeads,
+  distributeLeads,
+  previewLeadDistribution,
   updateLead,
   deleteLead,
   bulkDeleteLeads,
@@ -1796,8 +3406,28 @@ module.exports = {
   getAllLeadAssignments,
   previewExcelFile,
   getExcelParsingReport,
+  getImportJobRows,
+  streamImportProgress,
+  getImportJobs,
+  getMappingTemplates,
+  createMappingTemplate,
+  updateMappingTemplate,
+  deleteMappingTemplate,
   bulkUploadLeads,
   getCallTimeStats,
+  getBlockedCallAttempts,
   exportLeads,
-  changeUserPassword
+  changeUserPassword,
+  forceLogoutUser,
+  getLoginLockouts,
+  unlockUser,
+  clearLoginLockout,
+  getPermissionSets,
+  updateRolePermissions,
+  resetRolePermissions,
+  searchAuditTrail,
+  getAuditStats,
+  exportAuditTrail,
+  verifyAuditTrail,
+  getAuditCheckpoints
 };
\ No newline at end of file
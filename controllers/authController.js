@@ -1,7 +1,23 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Lead = require('../models/Lead');
+const SystemSetting = require('../models/SystemSetting');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { sendMail } = require('../utils/mailer');
+const { auditLogger, diffChanges } = require('../utils/auditLogger');
+const { logger } = require('../utils/logger');
+const {
+  REVOKE_REASONS,
+  issueRefreshToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+} = require('../utils/refreshTokens');
+const totp = require('../utils/totp');
+const twoFactor = require('../utils/twoFactor');
+const loginThrottle = require('../utils/loginThrottle');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -10,12 +26,25 @@ const generateToken = (userId) => {
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d'
-  });
-};
+// Request details recorded against a refresh token session
+const sessionInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Issue the real token pair once every login step has passed
+const buildLoginData = async (user, req) => ({
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled)
+  },
+  token: generateToken(user._id),
+  refreshToken: await issueRefreshToken(user, sessionInfo(req))
+});
 
 // @desc    Register user
 // @route   POST /api/v1/auth/register
@@ -58,9 +87,12 @@ const register = asyncHandler(async (req, res) => {
     signedOfferLetter
   });
 
+  // Self-registration, so the new user is also the actor
+  await auditLogger.logUserCreation(user, user, sessionInfo(req));
+
   // Generate tokens
   const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  const refreshToken = await issueRefreshToken(user, sessionInfo(req));
 
   res.status(201).json({
     success: true,
@@ -91,12 +123,15 @@ const login = asyncHandler(async (req, res) => {
   // Check if user exists
   const user = await User.findOne({ email }).select('+password');
   if (!user) {
+    await loginThrottle.recordLoginFailure({ email, ...sessionInfo(req), source: 'auth' });
     throw new AppError('Invalid credentials', 401);
   }
 
   // Check if password matches
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    await loginThrottle.recordLoginFailure({ email, ...sessionInfo(req), user, source: 'auth' });
+
     // Log failed login attempt
     const { logAuthEvent } = require('../utils/logger');
     logAuthEvent('Failed Login Attempt', {
@@ -125,23 +160,78 @@ const login = asyncHandler(async (req, res) => {
     throw new AppError('Account is deactivated. Please contact administrator.', 401);
   }
 
-  // Generate tokens
-  const token = generateToken(user._id);
-  const refreshToken = generateRefreshToken(user._id);
+  // Accounts with two-factor enabled (or required by policy) get a pre-auth token instead
+  const challenge = await twoFactor.getLoginChallenge(user);
+  if (challenge) {
+    return res.json({
+      success: true,
+      message: challenge.twoFactorRequired
+        ? 'Enter the code from your authenticator app'
+        : 'Two-factor authentication must be set up before you can log in',
+      data: challenge
+    });
+  }
+
+  // The counter is only cleared once every login step has passed
+  await loginThrottle.recordLoginSuccess({ email: user.email });
+
+  await auditLogger.logUserLogin(user, sessionInfo(req));
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: await buildLoginData(user, req)
+  });
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public (pre-auth token)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { preAuthToken, code, recoveryCode } = req.body;
+
+  if (!preAuthToken || (!code && !recoveryCode)) {
+    throw new AppError('Pre-auth token and an authentication code are required', 400);
+  }
+
+  const decoded = twoFactor.verifyPreAuthToken(preAuthToken, [twoFactor.PRE_AUTH_PURPOSES.VERIFY]);
+  if (!decoded) {
+    throw new AppError('Two-factor session has expired. Please log in again', 401);
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+  if (!user || !user.isActive || !user.twoFactor.enabled || user.isTokenRevoked(decoded.iat)) {
+    throw new AppError('Two-factor session has expired. Please log in again', 401);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const throttle = await loginThrottle.checkLoginAllowed({ email: user.email, ip: req.ip });
+  if (!throttle.allowed) {
+    res.set('Retry-After', String(throttle.retryAfter));
+    throw new AppError(loginThrottle.describeThrottle(throttle), 429);
+  }
+
+  const verified = code ? user.checkTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  if (!verified) {
+    await loginThrottle.recordLoginFailure({ email: user.email, ...sessionInfo(req), user, source: '2fa' });
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  await user.save({ validateBeforeSave: false });
+  await loginThrottle.recordLoginSuccess({ email: user.email });
+
+  await auditLogger.logUserLogin(user, {
+    ...sessionInfo(req),
+    twoFactor: code ? 'totp' : 'recovery_code'
+  });
 
   res.json({
     success: true,
     message: 'Login successful',
     data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        isActive: user.isActive
-      },
-      token,
-      refreshToken
+      ...(await buildLoginData(user, req)),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
     }
   });
 });
@@ -150,11 +240,28 @@ const login = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  // In a stateless JWT implementation, logout is handled on the client side
-  // by removing the token from storage. Here we just return success.
+  const { refreshToken: token, allDevices } = req.body;
+  let revokedTokens = 0;
+
+  if (allDevices && req.user) {
+    // Ends every session, including access tokens already handed out
+    revokedTokens = await revokeUserSessions(req.user._id, REVOKE_REASONS.LOGOUT);
+    req.user.revokeSessions();
+    await req.user.save({ validateBeforeSave: false });
+  } else if (token) {
+    revokedTokens = await revokeRefreshToken(token, REVOKE_REASONS.LOGOUT);
+  }
+
+  if (req.user) {
+    await auditLogger.logUserLogout(req.user, { ...sessionInfo(req), allDevices: !!allDevices });
+  }
+
   res.json({
     success: true,
-    message: 'Logout successful'
+    message: 'Logout successful',
+    data: {
+      revokedTokens
+    }
   });
 });
 
@@ -168,31 +275,36 @@ const refreshToken = asyncHandler(async (req, res) => {
     throw new AppError('Refresh token required', 401);
   }
 
-  try {
-    // Verify refresh token
-    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+  const decoded = verifyRefreshToken(token);
+  if (!decoded) {
+    throw new AppError('Invalid refresh token', 401);
+  }
 
-    // Get user from database
-    const user = await User.findById(decoded.userId);
-    if (!user || !user.isActive) {
-      throw new AppError('Invalid refresh token', 401);
-    }
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive || user.isTokenRevoked(decoded.iat)) {
+    throw new AppError('Invalid refresh token', 401);
+  }
 
-    // Generate new tokens
-    const newToken = generateToken(user._id);
-    const newRefreshToken = generateRefreshToken(user._id);
+  // Each refresh token works once; the response carries its replacement
+  const result = await rotateRefreshToken(token, sessionInfo(req));
 
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully',
-      data: {
-        token: newToken,
-        refreshToken: newRefreshToken
-      }
-    });
-  } catch (error) {
+  if (result.status === 'reused') {
+    await auditLogger.logRefreshTokenReuse(user, result.record.family, sessionInfo(req));
+    throw new AppError('Refresh token has already been used. Please log in again', 401);
+  }
+
+  if (result.status !== 'rotated') {
     throw new AppError('Invalid refresh token', 401);
   }
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      token: generateToken(user._id),
+      refreshToken: result.token
+    }
+  });
 });
 
 // @desc    Get current user profile
@@ -230,6 +342,14 @@ const updateProfile = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   );
 
+  // Keep the display name on assigned leads in step with the user record
+  await Lead.syncAssigneeName(user);
+
+  const changes = diffChanges(req.user, user, ['name', 'phone']);
+  if (Object.keys(changes).length > 0) {
+    await auditLogger.logUserUpdate(user, req.user, changes, sessionInfo(req));
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully',
@@ -269,33 +389,327 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = hashedPassword;
   await user.save();
 
+  await auditLogger.logPasswordChange(user, sessionInfo(req));
+
   res.json({
     success: true,
     message: 'Password changed successfully'
   });
 });
 
+// Build the body of the password reset email
+const buildResetMessage = (user, token, minutes) => {
+  const lines = [
+    `Hello ${user.name},`,
+    '',
+    'We received a request to reset the password for your account.'
+  ];
+
+  if (process.env.PASSWORD_RESET_URL) {
+    lines.push('', 'Open the link below to choose a new password:', `${process.env.PASSWORD_RESET_URL}?token=${token}`);
+  } else {
+    lines.push('', 'Use this reset token to choose a new password:', token);
+  }
+
+  lines.push(
+    '',
+    `The token expires in ${minutes} minutes and can only be used once.`,
+    'If you did not ask for a reset you can ignore this email.'
+  );
+
+  return lines.join('\n');
+};
+
 // @desc    Forgot password
 // @route   POST /api/v1/auth/forgot-password
 // @access  Public
 const forgotPassword = asyncHandler(async (req, res) => {
-  // This is a placeholder for forgot password functionality
-  // In a real application, you would send an email with a reset token
-  res.json({
+  const { email } = req.body;
+
+  if (!email) {
+    throw new AppError('Email is required', 400);
+  }
+
+  // The response is the same whether or not the account exists, so it cannot be used to probe emails
+  const response = {
     success: true,
-    message: 'Password reset email sent (placeholder)'
-  });
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || !user.isActive) {
+    return res.json(response);
+  }
+
+  const token = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: buildResetMessage(user, token, minutes)
+    });
+  } catch (error) {
+    // An undelivered token must not stay usable
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.error('Password reset email failed', { userId: user._id, error: error.message });
+  }
+
+  res.json(response);
 });
 
 // @desc    Reset password
 // @route   POST /api/v1/auth/reset-password
 // @access  Public
 const resetPassword = asyncHandler(async (req, res) => {
-  // This is a placeholder for reset password functionality
-  // In a real application, you would verify the reset token and update the password
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    throw new AppError('Reset token and new password are required', 400);
+  }
+
+  if (String(password).length < 6) {
+    throw new AppError('Password must be at least 6 characters', 400);
+  }
+
+  const user = await User.consumePasswordResetToken(token);
+  if (!user || !user.isActive) {
+    throw new AppError('Password reset token is invalid or has expired', 400);
+  }
+
+  // The pre-save hook hashes the new password
+  user.password = password;
+  user.revokeSessions();
+  await user.save();
+  await revokeUserSessions(user._id, REVOKE_REASONS.PASSWORD_RESET);
+
+  await auditLogger.logPasswordReset(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    message: 'Password reset successful. Please log in with your new password.'
+  });
+});
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/v1/auth/2fa/status
+// @access  Private
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  res.json({
+    success: true,
+    data: {
+      available: twoFactor.canUseTwoFactor(user),
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: await twoFactor.isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    }
+  });
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private (or setup pre-auth token)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!twoFactor.canUseTwoFactor(user)) {
+    throw new AppError(`Two-factor authentication is only available for ${twoFactor.TWO_FACTOR_ROLES.join(', ')} accounts`, 403);
+  }
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: totp.buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: twoFactor.getIssuer()
+      })
+    }
+  });
+});
+
+// @desc    Confirm enrolment with a code and turn two-factor on
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private (or setup pre-auth token)
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Authentication code is required', 400);
+  }
+
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.resetRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  await auditLogger.logTwoFactorChange(user, true, sessionInfo(req));
+
+  const data = { recoveryCodes };
+
+  // Enrolment forced at login finishes that login
+  if (req.twoFactorSetupPending) {
+    await auditLogger.logUserLogin(user, { ...sessionInfo(req), twoFactor: 'totp' });
+    Object.assign(data, await buildLoginData(user, req));
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+    data
+  });
+});
+
+// @desc    Turn two-factor off
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    throw new AppError('Password and an authentication code are required', 400);
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await twoFactor.isTwoFactorRequired(user)) {
+    throw new AppError('Two-factor authentication is required for your role and cannot be disabled', 403);
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+  const verified = code ? user.checkTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  if (!isPasswordValid || !verified) {
+    throw new AppError('Invalid password or authentication code', 401);
+  }
+
+  user.twoFactor = { enabled: false, enabledAt: null };
+  await user.save({ validateBeforeSave: false });
+
+  await auditLogger.logTwoFactorChange(user, false, sessionInfo(req));
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Replace recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Authentication code is required', 400);
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!user.checkTwoFactorCode(code)) {
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  const recoveryCodes = user.resetRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  await auditLogger.logRecoveryCodesRegenerated(user, sessionInfo(req));
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated; the old ones no longer work',
+    data: { recoveryCodes }
+  });
+});
+
+// @desc    Get the two-factor policy
+// @route   GET /api/v1/auth/2fa/policy
+// @access  Private/Admin
+const getTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const requireForAdmins = await SystemSetting.getValue(twoFactor.REQUIRE_FOR_ADMINS_SETTING);
+  const adminsWithoutTwoFactor = await User.countDocuments({
+    role: 'Admin',
+    isActive: true,
+    'twoFactor.enabled': { $ne: true }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      requireForAdmins: !!requireForAdmins,
+      adminsWithoutTwoFactor
+    }
+  });
+});
+
+// @desc    Require (or stop requiring) two-factor for the Admin role
+// @route   PUT /api/v1/auth/2fa/policy
+// @access  Private/Admin
+const updateTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { requireForAdmins } = req.body;
+
+  if (typeof requireForAdmins !== 'boolean') {
+    throw new AppError('requireForAdmins must be true or false', 400);
+  }
+
+  await SystemSetting.setValue(twoFactor.REQUIRE_FOR_ADMINS_SETTING, requireForAdmins, req.user);
+  await auditLogger.logConfigChange(req.user, twoFactor.REQUIRE_FOR_ADMINS_SETTING, requireForAdmins, sessionInfo(req));
+
   res.json({
     success: true,
-    message: 'Password reset successful (placeholder)'
+    message: requireForAdmins
+      ? 'Two-factor authentication is now required for Admin accounts'
+      : 'Two-factor authentication is now optional for Admin accounts',
+    data: { requireForAdmins }
   });
 });
 
@@ -308,5 +722,13 @@ module.exports = {
   updateProfile,
   changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
 };
\ No newline at end of file
@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const Call = require('../models/Call');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const User = require('../models/User');
+const callTimeUtils = require('../utils/callTimeUtils');
+const callingWindow = require('../utils/callingWindow');
+const { auditLogger, snapshotFields, diffChanges } = require('../utils/auditLogger');
+const { getScopedUserIds, leadScopeFilter, applyScope, canAccessUser, canAccessLead } = require('../utils/teamScope');
+
+// Fields a caller is allowed to set when logging or editing a call
+const CALL_FIELDS = ['startedAt', 'endedAt', 'duration', 'disposition', 'notes'];
+
+const pickCallFields = (body) => {
+  return CALL_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+// Lead fields that logging a call can change
+const CALL_LEAD_FIELDS = ['callTime', 'callback', 'lastContactedAt'];
+
+// Call field changes as audit changes, keyed "call.<field>"
+const diffCallFields = (before, after) => {
+  const changes = diffChanges(before, after, CALL_FIELDS);
+  return Object.entries(changes).reduce((acc, [field, change]) => {
+    acc[`call.${field}`] = change;
+    return acc;
+  }, {});
+};
+
+// Record a change to a lead's call history in the audit trail as an update of the lead
+const auditCallChange = async (req, lead, call, changes) => {
+  if (Object.keys(changes).length === 0) return;
+
+  await auditLogger.logLeadUpdate(lead || { _id: call.lead }, req.user, changes, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    callId: call._id
+  });
+};
+
+const isPrivileged = (user) => ['Admin', 'Manager'].includes(user.role);
+
+// Employees may only work with calls they made themselves, managers with their team's calls
+const assertCallAccess = async (call, user) => {
+  const agentId = call.agent && call.agent._id ? call.agent._id : call.agent;
+  if (!(await canAccessUser(user, agentId))) {
+    throw new AppError(user.role === 'Manager' ? 'You can only access your team\'s calls' : 'You can only access your own calls', 403);
+  }
+};
+
+// Employees may only log calls against leads assigned to them, managers against their team's leads
+const assertLeadAccess = async (lead, user) => {
+  if (!(await canAccessLead(user, lead))) {
+    throw new AppError(user.role === 'Manager' ? 'You can only log calls for your team\'s leads' : 'You can only log calls for leads assigned to you', 403);
+  }
+};
+
+// Agent condition for a listing: the requested agent if the user may see them, otherwise everyone in scope
+const resolveAgentFilter = async (user, agent) => {
+  const agentScope = await getScopedUserIds(user);
+
+  if (agent) {
+    if (!mongoose.Types.ObjectId.isValid(agent)) {
+      throw new AppError('Invalid agent ID', 400);
+    }
+    if (agentScope && !agentScope.some(id => id.toString() === String(agent))) {
+      throw new AppError('You can only access your team\'s calls', 403);
+    }
+    if (!(await User.exists({ _id: agent }))) {
+      throw new AppError('Agent not found', 404);
+    }
+    return new mongoose.Types.ObjectId(agent);
+  }
+
+  return agentScope ? { $in: agentScope } : undefined;
+};
+
+// Keep the lead's last-call summary in sync with the call history
+const touchLeadAfterCall = async (lead, call) => {
+  if (call.duration) {
+    lead.callTime = callTimeUtils.secondsToDuration(call.duration);
+  }
+  lead.lastUpdatedAt = new Date();
+  await lead.save();
+};
+
+const buildDateRange = (startDate, endDate) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return range;
+};
+
+// @desc    Get all calls
+// @route   GET /api/v1/calls
+// @access  Private (Employees see only their own calls)
+const getAllCalls = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const { agent, lead, disposition, startDate, endDate } = req.query;
+
+  const filter = {};
+
+  if (!isPrivileged(req.user)) {
+    filter.agent = req.user._id;
+  } else {
+    const agentFilter = await resolveAgentFilter(req.user, agent);
+    if (agentFilter) filter.agent = agentFilter;
+  }
+
+  // Only plain values reach the filter; an object such as lead[$ne]=x would become an operator
+  if (lead) {
+    if (typeof lead !== 'string' || !mongoose.Types.ObjectId.isValid(lead)) {
+      throw new AppError('Invalid lead ID', 400);
+    }
+    filter.lead = lead;
+  }
+
+  if (disposition) {
+    if (!Call.DISPOSITIONS.includes(disposition)) {
+      throw new AppError(`Disposition must be one of: ${Call.DISPOSITIONS.join(', ')}`, 400);
+    }
+    filter.disposition = disposition;
+  }
+
+  if (startDate || endDate) filter.startedAt = buildDateRange(startDate, endDate);
+
+  const [calls, total] = await Promise.all([
+    Call.find(filter)
+      .populate('lead', 'name phone status')
+      .populate('agent', 'name email')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Call.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      calls,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get call by ID
+// @route   GET /api/v1/calls/:id
+// @access  Private
+const getCallById = asyncHandler(async (req, res) => {
+  const call = await Call.findById(req.params.id)
+    .populate('lead', 'name phone status assignee assignedTo')
+    .populate('agent', 'name email');
+
+  if (!call) {
+    throw new AppError('Call not found', 404);
+  }
+
+  await assertCallAccess(call, req.user);
+
+  res.json({
+    success: true,
+    data: { call }
+  });
+});
+
+// @desc    Log a call attempt
+// @route   POST /api/v1/calls
+// @access  Private
+const createCall = asyncHandler(async (req, res) => {
+  const leadId = req.body.lead || req.body.leadId;
+
+  if (!leadId) {
+    throw new AppError('Lead ID is required', 400);
+  }
+
+  const lead = await Lead.findById(leadId);
+  if (!lead) {
+    throw new AppError('Lead not found', 404);
+  }
+
+  await assertLeadAccess(lead, req.user);
+
+  // Agents are held to the campaign's calling window; admins may back-fill calls made earlier
+  if (!isPrivileged(req.user)) {
+    const restriction = await callingWindow.enforceCallingWindow(lead, req.user, 'POST /api/v1/calls');
+    if (!restriction.allowed) {
+      throw new AppError(callingWindow.describeBlock(restriction), 403);
+    }
+  }
+
+  // Admins and managers may log a call on behalf of an agent
+  let agentId = req.user._id;
+  if (isPrivileged(req.user) && req.body.agent) {
+    const agent = await User.findById(req.body.agent);
+    if (!agent) {
+      throw new AppError('Agent not found', 404);
+    }
+    if (!(await canAccessUser(req.user, agent._id))) {
+      throw new AppError('You can only log calls for agents on your team', 403);
+    }
+    agentId = agent._id;
+  }
+
+  const leadBefore = snapshotFields(lead, CALL_LEAD_FIELDS);
+
+  const call = await Call.create({
+    ...pickCallFields(req.body),
+    lead: lead._id,
+    agent: agentId,
+    campaign: lead.campaign
+  });
+
+  await touchLeadAfterCall(lead, call);
+  await LeadActivity.recordCall(call, req.user);
+  await lead.completeCallback(req.user);
+  await lead.recordContact(call.disposition);
+
+  await auditCallChange(req, lead, call, {
+    ...diffChanges(leadBefore, lead, CALL_LEAD_FIELDS),
+    ...diffCallFields(null, call)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Call logged successfully',
+    data: { call }
+  });
+});
+
+// @desc    Update a call
+// @route   PUT /api/v1/calls/:id
+// @access  Private
+const updateCall = asyncHandler(async (req, res) => {
+  const call = await Call.findById(req.params.id);
+
+  if (!call) {
+    throw new AppError('Call not found', 404);
+  }
+
+  await assertCallAccess(call, req.user);
+
+  const callBefore = snapshotFields(call, CALL_FIELDS);
+  Object.assign(call, pickCallFields(req.body));
+  await call.save();
+
+  await auditCallChange(req, await Lead.findById(call.lead, 'name'), call, diffCallFields(callBefore, call));
+
+  res.json({
+    success: true,
+    message: 'Call updated successfully',
+    data: { call }
+  });
+});
+
+// @desc    Delete a call
+// @route   DELETE /api/v1/calls/:id
+// @access  Private (Manager/Admin only)
+const deleteCall = asyncHandler(async (req, res) => {
+  const call = await Call.findById(req.params.id);
+
+  if (!call) {
+    throw new AppError('Call not found', 404);
+  }
+
+  await assertCallAccess(call, req.user);
+  await call.deleteOne();
+
+  await auditCallChange(req, await Lead.findById(call.lead, 'name'), call, diffCallFields(call, null));
+
+  res.json({
+    success: true,
+    message: 'Call deleted successfully'
+  });
+});
+
+// @desc    Get call history for a lead
+// @route   GET /api/v1/calls/customer/:customerId
+// @access  Private
+const getCallsByCustomer = asyncHandler(async (req, res) => {
+  const lead = await Lead.findById(req.params.customerId);
+
+  if (!lead) {
+    throw new AppError('Lead not found', 404);
+  }
+
+  await assertLeadAccess(lead, req.user);
+
+  const calls = await Call.findByLead(lead._id).populate('agent', 'name email');
+
+  res.json({
+    success: true,
+    data: {
+      lead: {
+        id: lead._id,
+        name: lead.name,
+        phone: lead.phone
+      },
+      calls,
+      totalCalls: calls.length
+    }
+  });
+});
+
+// @desc    Get calls made by an agent
+// @route   GET /api/v1/calls/agent/:agentId
+// @access  Private (Employees may only request their own calls)
+const getCallsByAgent = asyncHandler(async (req, res) => {
+  const { agentId } = req.params;
+
+  if (!(await canAccessUser(req.user, agentId))) {
+    throw new AppError(req.user.role === 'Manager' ? 'You can only access your team\'s calls' : 'You can only access your own calls', 403);
+  }
+
+  const { startDate, endDate } = req.query;
+  const filter = { agent: agentId };
+  if (startDate || endDate) filter.startedAt = buildDateRange(startDate, endDate);
+
+  const calls = await Call.find(filter)
+    .populate('lead', 'name phone status')
+    .sort({ startedAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      calls,
+      totalCalls: calls.length,
+      totalDuration: callTimeUtils.secondsToDuration(
+        calls.reduce((sum, call) => sum + (call.duration || 0), 0)
+      )
+    }
+  });
+});
+
+// @desc    Get call statistics
+// @route   GET /api/v1/calls/stats/overview
+// @access  Private (Manager/Admin only)
+const getCallStats = asyncHandler(async (req, res) => {
+  const { startDate, endDate, agent } = req.query;
+
+  const match = {};
+  if (startDate || endDate) match.startedAt = buildDateRange(startDate, endDate);
+  const agentFilter = await resolveAgentFilter(req.user, agent);
+  if (agentFilter) match.agent = agentFilter;
+
+  const [stats] = await Call.getCallStats(match);
+  const totals = stats.totals[0] || { totalCalls: 0, totalDuration: 0, avgDuration: 0, connectedCalls: 0 };
+
+  res.json({
+    success: true,
+    data: {
+      totalCalls: totals.totalCalls,
+      connectedCalls: totals.connectedCalls,
+      totalDuration: callTimeUtils.secondsToDuration(totals.totalDuration),
+      averageDuration: callTimeUtils.secondsToDuration(Math.round(totals.avgDuration || 0)),
+      byDisposition: stats.byDisposition,
+      byAgent: stats.byAgent
+    }
+  });
+});
+
+// @desc    Log several calls at once
+// @route   POST /api/v1/calls/bulk-create
+// @access  Private (Manager/Admin only)
+const bulkCreateCalls = asyncHandler(async (req, res) => {
+  const { calls } = req.body;
+
+  if (!calls || !Array.isArray(calls) || calls.length === 0) {
+    throw new AppError('Calls array is required', 400);
+  }
+
+  const leadIds = [...new Set(calls.map(call => String(call.lead || call.leadId)))];
+  const invalidIds = leadIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+  if (invalidIds.length > 0) {
+    throw new AppError(`Invalid lead ID(s): ${invalidIds.join(', ')}`, 400);
+  }
+
+  // Managers may only log calls on their team's leads, made by their team
+  const existingLeads = await Lead.find(
+    applyScope({ _id: { $in: leadIds } }, await leadScopeFilter(req.user)),
+    '_id campaign'
+  );
+  const campaignByLead = new Map(existingLeads.map(lead => [lead._id.toString(), lead.campaign]));
+  const agentScope = await getScopedUserIds(req.user);
+
+  // Agents named on the calls, checked against existing users
+  const requestedAgentIds = [...new Set(calls.filter(call => call.agent).map(call => String(call.agent)))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+  const existingAgentIds = new Set(
+    (await User.find({ _id: { $in: requestedAgentIds } }, '_id')).map(agent => agent._id.toString())
+  );
+
+  const rejected = [];
+  const docs = [];
+
+  calls.forEach((call, index) => {
+    const leadId = String(call.lead || call.leadId);
+    if (!campaignByLead.has(leadId)) {
+      rejected.push({ index, reason: 'Lead not found' });
+      return;
+    }
+
+    if (call.agent && !mongoose.Types.ObjectId.isValid(String(call.agent))) {
+      rejected.push({ index, reason: 'Invalid agent ID' });
+      return;
+    }
+
+    if (call.agent && !existingAgentIds.has(String(call.agent))) {
+      rejected.push({ index, reason: 'Agent not found' });
+      return;
+    }
+
+    if (call.agent && agentScope && !agentScope.some(id => id.toString() === String(call.agent))) {
+      rejected.push({ index, reason: 'Agent is not on your team' });
+      return;
+    }
+
+    docs.push({
+      ...pickCallFields(call),
+      lead: leadId,
+      agent: call.agent ? String(call.agent) : req.user._id,
+      campaign: campaignByLead.get(leadId)
+    });
+  });
+
+  const created = docs.length > 0 ? await Call.insertMany(docs) : [];
+
+  await LeadActivity.recordCalls(created, req.user);
+
+  // Count each call towards its lead's campaign, oldest first so first contacts are detected
+  const leadsById = new Map(
+    (await Lead.find({ _id: { $in: created.map(call => call.lead) } })).map(lead => [lead._id.toString(), lead])
+  );
+  for (const call of [...created].sort((a, b) => a.startedAt - b.startedAt)) {
+    await leadsById.get(call.lead.toString()).recordContact(call.disposition);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${created.length} calls logged successfully`,
+    data: {
+      createdCount: created.length,
+      rejectedCount: rejected.length,
+      rejected,
+      calls: created
+    }
+  });
+});
+
+module.exports = {
+  getAllCalls,
+  getCallById,
+  createCall,
+  updateCall,
+  deleteCall,
+  getCallsByCustomer,
+  getCallsByAgent,
+  getCallStats,
+  bulkCreateCalls
+};
@@ -0,0 +1,562 @@
+const mongoose = require('mongoose');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const campaignAudience = require('../utils/campaignAudience');
+const { getScopedUserIds, leadScopeFilter, applyScope } = require('../utils/teamScope');
+
+// Fields a manager is allowed to set when creating or editing a campaign
+const CAMPAIGN_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'status',
+  'priority',
+  'startDate',
+  'endDate',
+  'targetAudience',
+  'targetCount',
+  'manager',
+  'customerCriteria',
+  'goals',
+  'budget',
+  'callScript',
+  'objectionHandling',
+  'communicationSettings',
+  'tags',
+  'notes'
+];
+
+const pickCampaignFields = (body) => {
+  return CAMPAIGN_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+const isPrivileged = (user) => ['Admin', 'Manager'].includes(user.role);
+
+// Managers only work with campaigns they run; employees only see campaigns they have been added to
+const assertCampaignAccess = (campaign, user) => {
+  if (user.role === 'Admin') return;
+
+  if (user.role === 'Manager') {
+    const managerId = campaign.manager && campaign.manager._id ? campaign.manager._id : campaign.manager;
+    if (!managerId || managerId.toString() !== user._id.toString()) {
+      throw new AppError('You do not manage this campaign', 403);
+    }
+    return;
+  }
+
+  const isAgent = campaign.assignedAgents.some(assignment => {
+    const agentId = assignment.agent && assignment.agent._id ? assignment.agent._id : assignment.agent;
+    return agentId && agentId.toString() === user._id.toString();
+  });
+
+  if (!isAgent) {
+    throw new AppError('You are not assigned to this campaign', 403);
+  }
+};
+
+// Completed and cancelled campaigns are final, and a campaign cannot go live once its end date has passed
+const assertStatusChange = (campaign, status) => {
+  if (status === campaign.status) return;
+
+  if (['completed', 'cancelled'].includes(campaign.status)) {
+    throw new AppError(`A ${campaign.status} campaign cannot change status`, 400);
+  }
+
+  if (status === 'planning') {
+    throw new AppError('A campaign cannot return to planning', 400);
+  }
+
+  if (status === 'active' && campaign.endDate < new Date()) {
+    throw new AppError('Cannot activate a campaign whose end date has passed', 400);
+  }
+};
+
+const findCampaign = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid campaign ID', 400);
+  }
+
+  const campaign = await Campaign.findById(id);
+  if (!campaign) {
+    throw new AppError('Campaign not found', 404);
+  }
+
+  return campaign;
+};
+
+// The campaign manager must be an Admin or Manager account
+const resolveManager = async (managerId) => {
+  const manager = await User.findById(managerId);
+  if (!manager || !isPrivileged(manager)) {
+    throw new AppError('Campaign manager must be an Admin or Manager', 400);
+  }
+  return manager._id;
+};
+
+// Accept agents as plain IDs or as { agent, targetLeads } and check they are employees
+// on the user's team (any employee for admins)
+const resolveAgents = async (agents, user) => {
+  if (!Array.isArray(agents)) {
+    throw new AppError('assignedAgents must be an array', 400);
+  }
+
+  const entries = agents.map(entry => (typeof entry === 'object' && entry !== null
+    ? { agent: entry.agent, targetLeads: entry.targetLeads || 0 }
+    : { agent: entry, targetLeads: 0 }));
+
+  const ids = entries.map(entry => String(entry.agent));
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('assignedAgents contains an invalid user ID', 400);
+  }
+
+  const employees = await User.countDocuments({ _id: { $in: ids }, role: 'Employee' });
+  if (employees !== new Set(ids).size) {
+    throw new AppError('Only employees can be assigned as campaign agents', 400);
+  }
+
+  const agentScope = await getScopedUserIds(user);
+  if (agentScope && !ids.every(id => agentScope.some(scopedId => scopedId.toString() === id))) {
+    throw new AppError('You can only assign employees on your team as campaign agents', 403);
+  }
+
+  return entries;
+};
+
+// @desc    Get all campaigns
+// @route   GET /api/v1/campaigns
+// @access  Private (Employees see only campaigns they are assigned to)
+const getAllCampaigns = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const { status, type, priority, search } = req.query;
+
+  const filter = {};
+
+  if (req.user.role === 'Manager') {
+    filter.manager = req.user._id;
+  } else if (!isPrivileged(req.user)) {
+    filter['assignedAgents.agent'] = req.user._id;
+  }
+
+  if (status) filter.status = status;
+  if (type) filter.type = type;
+  if (priority) filter.priority = priority;
+  if (search) filter.$text = { $search: search };
+
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(filter)
+      .populate('manager', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Campaign.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      campaigns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get campaign by ID
+// @route   GET /api/v1/campaigns/:id
+// @access  Private
+const getCampaignById = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  await campaign.populate([
+    { path: 'manager', select: 'name email' },
+    { path: 'assignedAgents.agent', select: 'name email' }
+  ]);
+
+  assertCampaignAccess(campaign, req.user);
+
+  res.json({
+    success: true,
+    data: { campaign }
+  });
+});
+
+// @desc    Create campaign
+// @route   POST /api/v1/campaigns
+// @access  Private (Manager/Admin only)
+const createCampaign = asyncHandler(async (req, res) => {
+  const fields = pickCampaignFields(req.body);
+
+  // Managers always run the campaigns they create
+  fields.manager = req.user.role === 'Manager'
+    ? req.user._id
+    : await resolveManager(fields.manager || req.user._id);
+
+  if (req.body.assignedAgents) {
+    fields.assignedAgents = await resolveAgents(req.body.assignedAgents, req.user);
+  }
+
+  if (req.body.audience && req.body.audience.autoRefresh !== undefined) {
+    fields.audience = { autoRefresh: Boolean(req.body.audience.autoRefresh) };
+  }
+
+  const campaign = await Campaign.create({
+    ...fields,
+    metadata: {
+      createdBy: req.user._id,
+      template: req.body.template || undefined
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Campaign created successfully',
+    data: { campaign }
+  });
+});
+
+// @desc    Update campaign
+// @route   PUT /api/v1/campaigns/:id
+// @access  Private (Manager/Admin only)
+const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+  const fields = pickCampaignFields(req.body);
+
+  if (fields.manager) {
+    if (req.user.role === 'Manager' && fields.manager.toString() !== req.user._id.toString()) {
+      throw new AppError('Only an admin can hand a campaign to another manager', 403);
+    }
+    fields.manager = await resolveManager(fields.manager);
+  }
+
+  // Status changes follow the same rules as toggling, checked against the updated end date
+  const { status, ...rest } = fields;
+  campaign.set(rest);
+  if (status !== undefined) {
+    assertStatusChange(campaign, status);
+    campaign.status = status;
+  }
+
+  if (req.body.audience && req.body.audience.autoRefresh !== undefined) {
+    campaign.set('audience.autoRefresh', Boolean(req.body.audience.autoRefresh));
+  }
+
+  // Existing agent progress is kept; only new agents are added with fresh counters
+  if (req.body.assignedAgents) {
+    const agents = await resolveAgents(req.body.assignedAgents, req.user);
+    const keep = new Set(agents.map(entry => String(entry.agent)));
+
+    campaign.assignedAgents = campaign.assignedAgents.filter(assignment => keep.has(assignment.agent.toString()));
+    agents.forEach(entry => {
+      const existing = campaign.assignedAgents.find(assignment => assignment.agent.toString() === String(entry.agent));
+      if (existing) {
+        existing.targetLeads = entry.targetLeads;
+      } else {
+        campaign.assignedAgents.push({ agent: entry.agent, targetLeads: entry.targetLeads, assignedAt: new Date() });
+      }
+    });
+  }
+
+  campaign.metadata.updatedBy = req.user._id;
+  campaign.metadata.version += 1;
+  await campaign.save();
+
+  res.json({
+    success: true,
+    message: 'Campaign updated successfully',
+    data: { campaign }
+  });
+});
+
+// @desc    Delete campaign
+// @route   DELETE /api/v1/campaigns/:id
+// @access  Private (Manager/Admin only)
+const deleteCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  if (campaign.status === 'active') {
+    throw new AppError('Pause or complete the campaign before deleting it', 400);
+  }
+
+  // Leads stay in the system; they are only detached from the campaign
+  const unlinked = await Lead.updateMany({ campaign: campaign._id }, { campaign: null });
+  await campaign.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Campaign deleted successfully',
+    data: { unlinkedLeads: unlinked.modifiedCount }
+  });
+});
+
+// @desc    Toggle campaign between active and paused
+// @route   PATCH /api/v1/campaigns/:id/toggle-status
+// @access  Private (Manager/Admin only)
+const toggleCampaignStatus = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  const status = campaign.status === 'active' ? 'paused' : 'active';
+  assertStatusChange(campaign, status);
+
+  campaign.status = status;
+  campaign.metadata.updatedBy = req.user._id;
+  await campaign.save();
+
+  res.json({
+    success: true,
+    message: `Campaign ${campaign.status === 'active' ? 'activated' : 'paused'} successfully`,
+    data: {
+      campaign: {
+        id: campaign._id,
+        name: campaign.name,
+        status: campaign.status
+      }
+    }
+  });
+});
+
+// @desc    Get campaign statistics overview
+// @route   GET /api/v1/campaigns/stats/overview
+// @access  Private (Manager/Admin only)
+const getCampaignStats = asyncHandler(async (req, res) => {
+  // Managers only see the campaigns they run
+  const scope = req.user.role === 'Manager' ? { manager: req.user._id } : {};
+  const managedCampaigns = req.user.role === 'Manager'
+    ? await Campaign.find(scope).distinct('_id')
+    : null;
+
+  const [byStatus, byType, topCampaigns, activeCount, leadsInCampaigns] = await Promise.all([
+    Campaign.getCampaignStats(scope),
+    Campaign.aggregate([
+      { $match: scope },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    Campaign.find({ ...scope, status: { $in: ['active', 'paused', 'completed'] }, 'progress.totalCalls': { $gt: 0 } })
+      .select('name status progress targetCount')
+      .sort({ 'progress.convertedCustomers': -1, 'progress.successfulCalls': -1 })
+      .limit(5),
+    Campaign.findActive().where(scope).countDocuments(),
+    Lead.countDocuments({ campaign: managedCampaigns ? { $in: managedCampaigns } : { $ne: null } })
+  ]);
+
+  const totals = byStatus.reduce((acc, group) => {
+    acc.campaigns += group.count;
+    acc.totalCalls += group.totalCalls;
+    acc.successfulCalls += group.successfulCalls;
+    acc.contactedCustomers += group.contactedCustomers;
+    acc.convertedCustomers += group.convertedCustomers;
+    return acc;
+  }, { campaigns: 0, totalCalls: 0, successfulCalls: 0, contactedCustomers: 0, convertedCustomers: 0 });
+
+  res.json({
+    success: true,
+    data: {
+      totals: {
+        ...totals,
+        activeCampaigns: activeCount,
+        leadsInCampaigns,
+        successRate: totals.totalCalls > 0 ? Math.round((totals.successfulCalls / totals.totalCalls) * 100) : 0,
+        conversionRate: totals.contactedCustomers > 0
+          ? Math.round((totals.convertedCustomers / totals.contactedCustomers) * 100)
+          : 0
+      },
+      byStatus,
+      byType,
+      topCampaigns: topCampaigns.map(campaign => ({
+        id: campaign._id,
+        name: campaign.name,
+        status: campaign.status,
+        progress: campaign.progress,
+        progressPercentage: campaign.progressPercentage,
+        effectiveness: campaign.effectiveness
+      }))
+    }
+  });
+});
+
+// @desc    Attach leads to a campaign
+// @route   POST /api/v1/campaigns/:id/assign-customers
+// @access  Private (Manager/Admin only)
+const assignCustomersToCampaign = asyncHandler(async (req, res) => {
+  const leadIds = req.body.leadIds || req.body.customerIds;
+
+  if (!leadIds || !Array.isArray(leadIds) || leadIds.length === 0) {
+    throw new AppError('Lead IDs array is required', 400);
+  }
+
+  if (!leadIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Lead IDs array contains an invalid ID', 400);
+  }
+
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  if (['completed', 'cancelled'].includes(campaign.status)) {
+    throw new AppError(`Cannot add leads to a ${campaign.status} campaign`, 400);
+  }
+
+  // Managers can only bring in their own team's leads
+  const leadScope = await leadScopeFilter(req.user);
+  if (Object.keys(leadScope).length > 0) {
+    const inScope = await Lead.countDocuments(applyScope({ _id: { $in: leadIds } }, leadScope));
+    if (inScope !== new Set(leadIds.map(String)).size) {
+      throw new AppError('You can only add leads that belong to your team', 403);
+    }
+  }
+
+  // Leads can belong to one campaign at a time, so their old campaigns need recounting too
+  const previousCampaigns = await Lead.distinct('campaign', {
+    _id: { $in: leadIds },
+    campaign: { $nin: [null, campaign._id] }
+  });
+
+  const result = await Lead.updateMany({ _id: { $in: leadIds } }, { campaign: campaign._id });
+
+  // Employees holding these leads become agents on the campaign
+  const newAgents = await campaign.addAgentsForLeads(leadIds);
+
+  await Campaign.refreshCustomerCounts([campaign._id, ...previousCampaigns]);
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} leads added to campaign`,
+    data: {
+      campaignId: campaign._id,
+      matchedCount: result.matchedCount,
+      assignedCount: result.modifiedCount,
+      movedFromCampaigns: previousCampaigns,
+      agentsAdded: newAgents
+    }
+  });
+});
+
+// @desc    Preview the leads a campaign's customer criteria match
+// @route   POST /api/v1/campaigns/:id/audience/preview
+// @access  Private (Manager/Admin only)
+const previewCampaignAudience = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  // Unsaved criteria can be tried out before they are stored on the campaign
+  let criteria = campaign.customerCriteria;
+  if (req.body.customerCriteria) {
+    const draft = new Campaign({ customerCriteria: req.body.customerCriteria });
+    const error = draft.validateSync();
+    const criteriaErrors = error
+      ? Object.keys(error.errors).filter(path => path.startsWith('customerCriteria'))
+      : [];
+    if (criteriaErrors.length > 0) {
+      throw new AppError(criteriaErrors.map(path => error.errors[path].message).join(', '), 400);
+    }
+    criteria = draft.customerCriteria;
+  }
+
+  const preview = await campaignAudience.previewAudience(campaign, criteria, await leadScopeFilter(req.user));
+
+  res.json({
+    success: true,
+    data: {
+      campaignId: campaign._id,
+      criteria,
+      ...preview
+    }
+  });
+});
+
+// @desc    Attach every unattached lead matching the campaign's criteria
+// @route   POST /api/v1/campaigns/:id/audience/attach
+// @access  Private (Manager/Admin only)
+const attachCampaignAudience = asyncHandler(async (req, res) => {
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  if (['completed', 'cancelled'].includes(campaign.status)) {
+    throw new AppError(`Cannot add leads to a ${campaign.status} campaign`, 400);
+  }
+
+  const limit = req.body.limit !== undefined ? parseInt(req.body.limit) : undefined;
+  if (limit !== undefined && (isNaN(limit) || limit < 1)) {
+    throw new AppError('limit must be a positive number', 400);
+  }
+
+  const result = await campaignAudience.attachAudience(campaign, { limit, scope: await leadScopeFilter(req.user) });
+
+  res.json({
+    success: true,
+    message: `${result.attached} leads added to campaign`,
+    data: {
+      campaignId: campaign._id,
+      ...result
+    }
+  });
+});
+
+// @desc    Get leads attached to a campaign
+// @route   GET /api/v1/campaigns/:id/customers
+// @access  Private (Employees see only their own leads in the campaign)
+const getCampaignCustomers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const campaign = await findCampaign(req.params.id);
+  assertCampaignAccess(campaign, req.user);
+
+  let filter = { campaign: campaign._id };
+  if (req.query.status) filter.status = req.query.status;
+  filter = applyScope(filter, await leadScopeFilter(req.user));
+
+  const [leads, total] = await Promise.all([
+    Lead.find(filter)
+      .select('name phone status sector location assignee assignedTo callback lastContactedAt createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Lead.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      campaign: {
+        id: campaign._id,
+        name: campaign.name,
+        status: campaign.status
+      },
+      customers: leads,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+module.exports = {
+  getAllCampaigns,
+  getCampaignById,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  toggleCampaignStatus,
+  getCampaignStats,
+  assignCustomersToCampaign,
+  previewCampaignAudience,
+  attachCampaignAudience,
+  getCampaignCustomers
+};
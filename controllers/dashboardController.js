@@ -2,19 +2,24 @@ const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const User = require('../models/User');
 const Lead = require('../models/Lead');
 const Campaign = require('../models/Campaign');
+const { leadScopeFilter, userScopeFilter, applyScope } = require('../utils/teamScope');
 
 // @desc    Get dashboard overview stats
 // @route   GET /api/v1/dashboard/overview
 // @access  Private
 const getDashboardOverview = asyncHandler(async (req, res) => {
   try {
+    // Managers see their team, employees themselves
+    const leadScope = await leadScopeFilter(req.user);
+
     // Get basic stats
-    const [totalUsers, totalLeads, activeLeads, completedLeads, pendingLeads] = await Promise.all([
-      User.countDocuments(),
-      Lead.countDocuments(),
-      Lead.countDocuments({ status: { $in: ['New', 'Hot', 'Interested'] } }),
-      Lead.countDocuments({ status: 'Converted' }),
-      Lead.countDocuments({ status: { $in: ['New', 'Hot', 'Interested'] } })
+    const [totalUsers, totalLeads, activeLeads, completedLeads, pendingLeads, overdueCallbacks] = await Promise.all([
+      User.countDocuments(await userScopeFilter(req.user)),
+      Lead.countDocuments(leadScope),
+      Lead.countDocuments(applyScope({ status: { $in: ['New', 'Hot', 'Interested'] } }, leadScope)),
+      Lead.countDocuments(applyScope({ status: 'Converted' }, leadScope)),
+      Lead.countDocuments(applyScope({ status: { $in: ['New', 'Hot', 'Interested'] } }, leadScope)),
+      Lead.countDocuments(applyScope({ 'callback.scheduledAt': { $ne: null, $lt: new Date() }, 'callback.completedAt': null }, leadScope))
     ]);
 
     res.json({
@@ -24,7 +29,8 @@ const getDashboardOverview = asyncHandler(async (req, res) => {
         totalLeads,
         activeLeads,
         completedLeads,
-        pendingLeads
+        pendingLeads,
+        overdueCallbacks
       }
     });
   } catch (error) {
@@ -96,16 +102,16 @@ const getCallAnalytics = asyncHandler(async (req, res) => {
 // @access  Private (Manager/Admin only)
 const getAgentPerformance = asyncHandler(async (req, res) => {
   try {
-    // Get agent performance metrics
+    // Get agent performance metrics; managers only see their own team
     const agentStats = await User.aggregate([
       {
-        $match: { role: 'Employee' }
+        $match: applyScope({ role: 'Employee' }, await userScopeFilter(req.user))
       },
       {
         $lookup: {
           from: 'leads',
           localField: '_id',
-          foreignField: 'assignedTo',
+          foreignField: 'assignee',
           as: 'assignedLeads'
         }
       },
@@ -170,6 +176,9 @@ const getCustomerInsights = asyncHandler(async (req, res) => {
   try {
     // Get customer/lead insights
     const insights = await Lead.aggregate([
+      {
+        $match: await leadScopeFilter(req.user)
+      },
       {
         $group: {
           _id: '$company',
@@ -207,8 +216,11 @@ const getCustomerInsights = asyncHandler(async (req, res) => {
 // @access  Private (Manager/Admin only)
 const getCampaignMetrics = asyncHandler(async (req, res) => {
   try {
-    // Get campaign metrics
+    // Get campaign metrics; managers only see the campaigns they run
     const campaignStats = await Campaign.aggregate([
+      {
+        $match: req.user.role === 'Manager' ? { manager: req.user._id } : {}
+      },
       {
         $lookup: {
           from: 'leads',
@@ -298,6 +310,9 @@ const getCharts = asyncHandler(async (req, res) => {
 const getStatusDistribution = asyncHandler(async (req, res) => {
   try {
     const statusData = await Lead.aggregate([
+      {
+        $match: await leadScopeFilter(req.user)
+      },
       {
         $group: {
           _id: '$status',
@@ -326,13 +341,13 @@ const getAssignmentDistribution = asyncHandler(async (req, res) => {
   try {
     const assignmentData = await User.aggregate([
       {
-        $match: { role: 'Employee' }
+        $match: applyScope({ role: 'Employee' }, await userScopeFilter(req.user))
       },
       {
         $lookup: {
           from: 'leads',
           localField: '_id',
-          foreignField: 'assignedTo',
+          foreignField: 'assignee',
           as: 'leads'
         }
       },
@@ -367,9 +382,9 @@ const getDailyTrend = asyncHandler(async (req, res, days) => {
 
     const trendData = await Lead.aggregate([
       {
-        $match: {
+        $match: applyScope({
           createdAt: { $gte: startDate }
-        }
+        }, await leadScopeFilter(req.user))
       },
       {
         $group: {
@@ -403,6 +418,9 @@ const getDailyTrend = asyncHandler(async (req, res, days) => {
 const getSectorDistribution = asyncHandler(async (req, res) => {
   try {
     const sectorData = await Lead.aggregate([
+      {
+        $match: await leadScopeFilter(req.user)
+      },
       {
         $group: {
           _id: '$sector',
@@ -435,11 +453,11 @@ const getActivity = asyncHandler(async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .select('name status createdAt')
-      .populate('assignedTo', 'name');
+      .populate('assignee', 'name');
 
     const formattedActivities = activities.map(lead => ({
       title: `New lead: ${lead.name}`,
-      description: `Status: ${lead.status}${lead.assignedTo ? ` | Assigned to: ${lead.assignedTo.name}` : ''}`,
+      description: `Status: ${lead.status}${lead.assignee ? ` | Assigned to: ${lead.assignee.name}` : ''}`,
       timestamp: lead.createdAt,
       icon: '📞'
     }));
@@ -1,7 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Lead = require('../models/Lead');
+const Call = require('../models/Call');
+const LeadActivity = require('../models/LeadActivity');
+const callTimeUtils = require('../utils/callTimeUtils');
+const { parseDateTimeInZone } = require('../utils/timeZone');
+const callingWindow = require('../utils/callingWindow');
+const workQueue = require('../utils/workQueue');
+const loginThrottle = require('../utils/loginThrottle');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { auditLogger, snapshotFields, diffChanges } = require('../utils/auditLogger');
+
+// Lead fields an employee's update can change
+const EMPLOYEE_LEAD_FIELDS = ['status', 'notes', 'callTime', 'callback'];
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -19,12 +30,14 @@ const login = asyncHandler(async (req, res) => {
   // Check if employee exists
   const employee = await User.findOne({ email, role: 'Employee' }).select('+password');
   if (!employee) {
+    await loginThrottle.recordLoginFailure({ email, ip: req.ip, userAgent: req.get('User-Agent'), source: 'employee' });
     throw new AppError('Invalid credentials - Employee not found', 401);
   }
 
   // Check if password matches
   const isPasswordValid = await employee.comparePassword(password);
   if (!isPasswordValid) {
+    await loginThrottle.recordLoginFailure({ email, ip: req.ip, userAgent: req.get('User-Agent'), user: employee, source: 'employee' });
     throw new AppError('Invalid credentials - Incorrect password', 401);
   }
 
@@ -33,6 +46,8 @@ const login = asyncHandler(async (req, res) => {
     throw new AppError('Account is deactivated. Please contact administrator.', 401);
   }
 
+  await loginThrottle.recordLoginSuccess({ email: employee.email });
+
   // Generate token
   const token = generateToken(employee._id);
 
@@ -43,16 +58,16 @@ const login = asyncHandler(async (req, res) => {
   tomorrow.setDate(tomorrow.getDate() + 1);
 
   const todayLeadsCount = await Lead.countDocuments({
-    assignedTo: employee.name,
+    assignee: employee._id,
     assignedDate: { $gte: today, $lt: tomorrow }
   });
 
   const totalLeadsCount = await Lead.countDocuments({
-    assignedTo: employee.name
+    assignee: employee._id
   });
 
   const statusCounts = await Lead.aggregate([
-    { $match: { assignedTo: employee.name } },
+    { $match: { assignee: employee._id } },
     {
       $group: {
         _id: '$status',
@@ -119,6 +134,9 @@ const register = asyncHandler(async (req, res) => {
     signedOfferLetter
   });
 
+  // Self-registration, so the new employee is also the actor
+  await auditLogger.logUserCreation(employee, employee, { ip: req.ip, userAgent: req.get('User-Agent') });
+
   res.status(201).json({
     success: true,
     message: 'Employee registered successfully',
@@ -143,11 +161,11 @@ const getProfile = asyncHandler(async (req, res) => {
 
   // Get lead statistics for the employee
   const totalLeadsCount = await Lead.countDocuments({
-    assignedTo: employee.name
+    assignee: employee._id
   });
 
   const statusCounts = await Lead.aggregate([
-    { $match: { assignedTo: employee.name } },
+    { $match: { assignee: employee._id } },
     {
       $group: {
         _id: '$status',
@@ -194,11 +212,14 @@ const getTodayLeads = asyncHandler(async (req, res) => {
   tomorrow.setDate(tomorrow.getDate() + 1);
 
   // Find leads assigned to this employee for today
-  const leads = await Lead.find({
-    assignedTo: employee.name,
+  const assignedLeads = await Lead.find({
+    assignee: employee._id,
     assignedDate: { $gte: today, $lt: tomorrow }
   }).sort({ assignedDate: -1 });
 
+  // Hold back leads whose campaign does not allow calls right now
+  const { servable: leads, heldBack } = await callingWindow.filterServableLeads(assignedLeads, employee._id);
+
   // Get lead statistics
   const totalCount = leads.length;
   const statusCounts = leads.reduce((acc, lead) => {
@@ -213,17 +234,18 @@ const getTodayLeads = asyncHandler(async (req, res) => {
       summary: {
         total: totalCount,
         statusBreakdown: statusCounts
-      }
+      },
+      heldBack: callingWindow.summariseHeldBack(heldBack)
     }
   });
 });
 
-// @desc    Update lead status, notes, and call time
+// @desc    Update lead status, notes, call time and follow-up callback
 // @route   PUT /api/employee/leads/update/:id
 // @access  Private (Employee only)
 const updateLead = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status, notes, callTime } = req.body;
+  const { status, notes, callTime, disposition, callbackAt, callbackNote } = req.body;
   const employee = req.user;
 
   // Find the lead
@@ -233,7 +255,7 @@ const updateLead = asyncHandler(async (req, res) => {
   }
 
   // Check if lead is assigned to this employee
-  if (lead.assignedTo !== employee.name) {
+  if (!lead.assignee || !lead.assignee.equals(employee._id)) {
     throw new AppError('You can only update leads assigned to you', 403);
   }
 
@@ -251,8 +273,90 @@ const updateLead = asyncHandler(async (req, res) => {
     }
   }
 
+  if (disposition && !Call.DISPOSITIONS.includes(disposition)) {
+    throw new AppError('Invalid call disposition', 400);
+  }
+
+  // A logged call must fall inside the campaign's calling window and daily cap
+  if (callTime) {
+    const restriction = await callingWindow.enforceCallingWindow(lead, employee, 'PUT /api/v1/employee/leads/update/:id');
+    if (!restriction.allowed) {
+      throw new AppError(callingWindow.describeBlock(restriction), 403);
+    }
+  }
+
+  // Local callback times are read in the campaign's time zone
+  let callbackTimeZone = null;
+  let callbackDate = null;
+  if (callbackAt) {
+    callbackTimeZone = await lead.getTimeZone();
+    callbackDate = parseDateTimeInZone(callbackAt, callbackTimeZone);
+
+    if (!callbackDate) {
+      throw new AppError('Callback time must be a valid date and time', 400);
+    }
+
+    if (callbackDate <= new Date()) {
+      throw new AppError('Callback time must be in the future', 400);
+    }
+  }
+
+  // Every logged call becomes its own record so the history survives later updates;
+  // it is checked before the lead changes so a rejected call leaves the lead untouched
+  let call = null;
+  if (callTime) {
+    call = new Call({
+      lead: lead._id,
+      agent: employee._id,
+      campaign: lead.campaign,
+      duration: callTimeUtils.durationToSeconds(callTime),
+      disposition: disposition || Call.dispositionForStatus(status),
+      notes: notes && notes.trim() ? notes.trim() : undefined
+    });
+    await call.validate();
+  }
+
+  // Values before this update, for the audit trail
+  const before = snapshotFields(lead, EMPLOYEE_LEAD_FIELDS);
+
+  // Working the lead ends its queue lock so it can be served again later
+  if (lead.lockedBy && lead.lockedBy.equals(employee._id)) {
+    lead.lockedBy = null;
+    lead.lockExpiresAt = null;
+  }
+
   // Update lead with new data
-  await lead.updateWithCall(status, notes, callTime);
+  await lead.updateWithCall(status, notes, callTime, employee);
+
+  if (call) {
+    await call.save();
+
+    await LeadActivity.recordCall(call, employee);
+
+    // Calling the lead back fulfils the follow-up that was promised
+    await lead.completeCallback(employee);
+  }
+
+  // Every logged outcome counts towards the lead's campaign
+  if (call || status) {
+    await lead.recordContact(call ? call.disposition : Call.dispositionForStatus(status));
+  }
+
+  if (callbackDate) {
+    await lead.scheduleCallback({
+      scheduledAt: callbackDate,
+      timeZone: callbackTimeZone,
+      note: callbackNote && callbackNote.trim() ? callbackNote.trim() : undefined
+    }, employee);
+  }
+
+  const changes = diffChanges(before, lead, EMPLOYEE_LEAD_FIELDS);
+  if (Object.keys(changes).length > 0) {
+    await auditLogger.logLeadUpdate(lead, employee, changes, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
 
   res.json({
     success: true,
@@ -265,18 +369,231 @@ const updateLead = asyncHandler(async (req, res) => {
         status: lead.status,
         notes: lead.notes,
         callTime: lead.callTime,
+        assignee: lead.assignee,
         assignedTo: lead.assignedTo,
+        callback: lead.getCallbackSummary(),
         lastUpdatedAt: lead.lastUpdatedAt,
         updatedAt: lead.updatedAt
-      }
+      },
+      call
+    }
+  });
+});
+
+// Look up a lead and make sure it is assigned to the requesting employee
+const findOwnLead = async (id, employee) => {
+  const lead = await Lead.findById(id);
+  if (!lead) {
+    throw new AppError('Lead not found', 404);
+  }
+
+  if (!lead.assignee || !lead.assignee.equals(employee._id)) {
+    throw new AppError('You can only access leads assigned to you', 403);
+  }
+
+  return lead;
+};
+
+// @desc    Serve the next lead from the employee's prioritised work queue
+// @route   GET /api/employee/queue/next
+// @access  Private (Employee only)
+const getNextLead = asyncHandler(async (req, res) => {
+  const now = new Date();
+  const { lead, tier, resumed, lockExpiresAt, heldBackCampaigns } = await workQueue.claimNextLead(req.user._id, now);
+  const remaining = await workQueue.countQueue(req.user._id, now);
+
+  res.json({
+    success: true,
+    message: lead ? 'Next lead served' : 'No leads in your queue right now',
+    data: {
+      lead: lead ? {
+        id: lead._id,
+        name: lead.name,
+        phone: lead.phone,
+        description: lead.description,
+        website: lead.website,
+        location: lead.location,
+        sector: lead.sector,
+        status: lead.status,
+        notes: lead.notes,
+        campaign: lead.campaign,
+        callback: lead.getCallbackSummary(now),
+        lastContactedAt: lead.lastContactedAt,
+        assignedDate: lead.assignedDate
+      } : null,
+      tier,
+      resumed,
+      lockExpiresAt,
+      remaining,
+      heldBackCampaigns: heldBackCampaigns.map(restriction => ({
+        campaignId: restriction.campaignId,
+        campaignName: restriction.campaignName,
+        reason: restriction.reason
+      }))
     }
   });
 });
 
+// @desc    Hand a served lead back to the queue without working it
+// @route   POST /api/employee/queue/:id/release
+// @access  Private (Employee only)
+const releaseQueueLead = asyncHandler(async (req, res) => {
+  const lead = await findOwnLead(req.params.id, req.user);
+  const released = await workQueue.releaseLead(lead._id, req.user._id);
+
+  if (!released) {
+    throw new AppError('You do not hold a lock on this lead', 409);
+  }
+
+  res.json({
+    success: true,
+    message: 'Lead released back to the queue'
+  });
+});
+
+// @desc    Get callbacks that are due (or coming up shortly) for the employee
+// @route   GET /api/employee/callbacks/due
+// @access  Private (Employee only)
+const getDueCallbacks = asyncHandler(async (req, res) => {
+  const withinMinutes = req.query.within !== undefined ? parseInt(req.query.within) : 15;
+
+  if (isNaN(withinMinutes) || withinMinutes < 0) {
+    throw new AppError('within must be a non-negative number of minutes', 400);
+  }
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + withinMinutes * 60 * 1000);
+
+  const dueLeads = await Lead.findDueCallbacks(horizon, { assignee: req.user._id });
+  const { servable: leads, heldBack } = await callingWindow.filterServableLeads(dueLeads, req.user._id, now);
+
+  const callbacks = leads.map(lead => ({
+    lead: {
+      id: lead._id,
+      name: lead.name,
+      phone: lead.phone,
+      status: lead.status
+    },
+    ...lead.getCallbackSummary(now)
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      callbacks,
+      summary: {
+        total: callbacks.length,
+        overdue: callbacks.filter(callback => callback.overdue).length,
+        withinMinutes
+      },
+      heldBack: callingWindow.summariseHeldBack(heldBack)
+    }
+  });
+});
+
+// @desc    Get activity timeline for a lead
+// @route   GET /api/employee/leads/:id/timeline
+// @access  Private (Employee only)
+const getLeadTimeline = asyncHandler(async (req, res) => {
+  const { types, error } = LeadActivity.parseTypes(req.query.type);
+  if (error) {
+    throw new AppError(error, 400);
+  }
+
+  const lead = await findOwnLead(req.params.id, req.user);
+  const entries = await LeadActivity.getTimeline(lead._id, { types });
+
+  res.json({
+    success: true,
+    data: {
+      lead: {
+        id: lead._id,
+        name: lead.name,
+        phone: lead.phone,
+        status: lead.status
+      },
+      timeline: entries.map(entry => entry.toTimelineEntry())
+    }
+  });
+});
+
+// @desc    Add a note to a lead's timeline
+// @route   POST /api/employee/leads/:id/notes
+// @access  Private (Employee only)
+const addLeadNote = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new AppError('Note text is required', 400);
+  }
+
+  const lead = await findOwnLead(req.params.id, req.user);
+  const before = snapshotFields(lead, ['notes']);
+  const entry = await lead.addNotes(note.trim(), req.user);
+
+  await auditLogger.logLeadUpdate(lead, req.user, diffChanges(before, lead, ['notes']), {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    noteId: entry._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added successfully',
+    data: { entry: entry.toTimelineEntry() }
+  });
+});
+
+// @desc    Edit one of the employee's own notes on a lead
+// @route   PUT /api/employee/leads/:id/notes/:entryId
+// @access  Private (Employee only)
+const editLeadNote = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  if (typeof note !== 'string' || !note.trim()) {
+    throw new AppError('Note text is required', 400);
+  }
+
+  const lead = await findOwnLead(req.params.id, req.user);
+
+  const entry = await LeadActivity.findOne({ _id: req.params.entryId, lead: lead._id, type: 'note' });
+  if (!entry) {
+    throw new AppError('Note not found', 404);
+  }
+
+  if (!entry.actor || !entry.actor.equals(req.user._id)) {
+    throw new AppError('You can only edit your own notes', 403);
+  }
+
+  const before = snapshotFields(entry, ['note']);
+  await entry.editNote(note.trim());
+
+  const changes = diffChanges(before, entry, ['note']);
+  if (Object.keys(changes).length > 0) {
+    await auditLogger.logLeadUpdate(lead, req.user, changes, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      noteId: entry._id
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Note updated successfully',
+    data: { entry: entry.toTimelineEntry() }
+  });
+});
+
 module.exports = {
   login,
   register,
   getProfile,
   getTodayLeads,
-  updateLead
+  updateLead,
+  getNextLead,
+  releaseQueueLead,
+  getDueCallbacks,
+  getLeadTimeline,
+  addLeadNote,
+  editLeadNote
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { ROLES } = require('../utils/roles');
+const { canJoinTeam } = require('../utils/teamScope');
+const { auditLogger } = require('../utils/auditLogger');
+
+const TEAM_FIELDS = ['name', 'description', 'isActive'];
+
+const pickTeamFields = (body) => {
+  return TEAM_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+};
+
+const requestInfo = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+// Admins see every team; anyone else the teams they lead or belong to
+const teamVisibilityFilter = (user) => {
+  if (user.role === ROLES.ADMIN) return {};
+  return { $or: [{ lead: user._id }, { _id: user.team || null }] };
+};
+
+const findTeam = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid team ID', 400);
+  }
+
+  const team = await Team.findOne({ _id: id, ...teamVisibilityFilter(user) });
+  if (!team) {
+    throw new AppError('Team not found', 404);
+  }
+
+  return team;
+};
+
+// The team lead must be a Manager or Admin account; resolves with the id or null to clear it
+const resolveLead = async (leadId) => {
+  if (!leadId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(leadId)) {
+    throw new AppError('Invalid team lead ID', 400);
+  }
+
+  const lead = await User.findOne({ _id: leadId, role: { $in: [ROLES.ADMIN, ROLES.MANAGER] } }).select('_id');
+  if (!lead) {
+    throw new AppError('Team lead must be an Admin or Manager', 400);
+  }
+
+  return lead._id;
+};
+
+// Refuse members who may not sit under the team lead (see canJoinTeam)
+const assertCanJoin = async (members, leadId) => {
+  const lead = leadId ? await User.findById(leadId).select('role') : null;
+  // The lead may also be listed on their own team
+  const refused = members.filter(member => !(lead && lead._id.equals(member._id)) && !canJoinTeam(member, lead));
+
+  if (refused.length > 0) {
+    throw new AppError(
+      `Cannot place ${refused.map(member => member.name).join(', ')} on this team: admins never join teams and members must have a lower role than the team lead`,
+      400
+    );
+  }
+};
+
+// Check a list of user IDs and return those that exist and may join a team led by `leadId`
+const resolveMembers = async (userIds, leadId) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw new AppError('User IDs array is required', 400);
+  }
+
+  if (!userIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('User IDs array contains an invalid ID', 400);
+  }
+
+  const users = await User.find({ _id: { $in: userIds } }).select('_id name role');
+  if (users.length !== new Set(userIds.map(String)).size) {
+    throw new AppError('One or more users were not found', 404);
+  }
+
+  await assertCanJoin(users, leadId);
+
+  return users.map(user => user._id);
+};
+
+// @desc    Get teams
+// @route   GET /api/v1/admin/teams
+// @access  Private (Admins see every team, managers the teams they lead)
+const getTeams = asyncHandler(async (req, res) => {
+  const filter = teamVisibilityFilter(req.user);
+  if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+  const teams = await Team.find(filter)
+    .populate('lead', 'name email role')
+    .populate('memberCount')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      teams,
+      total: teams.length
+    }
+  });
+});
+
+// @desc    Get a team with its members
+// @route   GET /api/v1/admin/teams/:id
+// @access  Private (Admins, or the team's lead and members)
+const getTeamById = asyncHandler(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user);
+  await team.populate([
+    { path: 'lead', select: 'name email role' },
+    { path: 'members', select: 'name email role isActive', options: { sort: { name: 1 } } }
+  ]);
+
+  res.json({
+    success: true,
+    data: { team }
+  });
+});
+
+// @desc    Create team
+// @route   POST /api/v1/admin/teams
+// @access  Private/Admin
+const createTeam = asyncHandler(async (req, res) => {
+  const fields = pickTeamFields(req.body);
+  fields.lead = await resolveLead(req.body.lead);
+
+  const members = req.body.members && req.body.members.length > 0
+    ? await resolveMembers(req.body.members, fields.lead)
+    : [];
+
+  const team = await Team.create({ ...fields, createdBy: req.user._id });
+
+  // A user belongs to one team at a time, so members are moved from any previous team
+  if (members.length > 0) {
+    await User.updateMany({ _id: { $in: members } }, { team: team._id });
+  }
+
+  await auditLogger.logAdminAction(req.user, 'Created team', null, {
+    teamId: team._id,
+    name: team.name,
+    lead: team.lead,
+    members: members.length
+  }, requestInfo(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created successfully',
+    data: {
+      team,
+      memberCount: members.length
+    }
+  });
+});
+
+// @desc    Update team
+// @route   PUT /api/v1/admin/teams/:id
+// @access  Private/Admin
+const updateTeam = asyncHandler(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user);
+  const fields = pickTeamFields(req.body);
+
+  if (req.body.lead !== undefined) {
+    fields.lead = await resolveLead(req.body.lead);
+    await assertCanJoin(await User.find({ team: team._id }).select('name role'), fields.lead);
+  }
+
+  team.set(fields);
+  await team.save();
+
+  await auditLogger.logAdminAction(req.user, 'Updated team', null, {
+    teamId: team._id,
+    changes: fields
+  }, requestInfo(req));
+
+  res.json({
+    success: true,
+    message: 'Team updated successfully',
+    data: { team }
+  });
+});
+
+// @desc    Delete team
+// @route   DELETE /api/v1/admin/teams/:id
+// @access  Private/Admin
+const deleteTeam = asyncHandler(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user);
+
+  // Members stay in the system; they are only taken off the team
+  const released = await User.updateMany({ team: team._id }, { team: null });
+  await team.deleteOne();
+
+  await auditLogger.logAdminAction(req.user, 'Deleted team', null, {
+    teamId: team._id,
+    name: team.name,
+    releasedMembers: released.modifiedCount
+  }, requestInfo(req));
+
+  res.json({
+    success: true,
+    message: 'Team deleted successfully',
+    data: { releasedMembers: released.modifiedCount }
+  });
+});
+
+// @desc    Add users to a team
+// @route   POST /api/v1/admin/teams/:id/members
+// @access  Private/Admin
+const addTeamMembers = asyncHandler(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user);
+
+  if (!team.isActive) {
+    throw new AppError('Cannot add members to an inactive team', 400);
+  }
+
+  const userIds = await resolveMembers(req.body.userIds, team.lead);
+  const result = await User.updateMany({ _id: { $in: userIds } }, { team: team._id });
+
+  await auditLogger.logAdminAction(req.user, 'Added team members', null, {
+    teamId: team._id,
+    userIds
+  }, requestInfo(req));
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} users added to ${team.name}`,
+    data: {
+      teamId: team._id,
+      addedCount: result.modifiedCount
+    }
+  });
+});
+
+// @desc    Remove a user from a team
+// @route   DELETE /api/v1/admin/teams/:id/members/:userId
+// @access  Private/Admin
+const removeTeamMember = asyncHandler(async (req, res) => {
+  const team = await findTeam(req.params.id, req.user);
+
+  const user = await User.findOneAndUpdate(
+    { _id: req.params.userId, team: team._id },
+    { team: null },
+    { new: true }
+  );
+
+  if (!user) {
+    throw new AppError('User is not a member of this team', 404);
+  }
+
+  await auditLogger.logAdminAction(req.user, 'Removed team member', user, { teamId: team._id }, requestInfo(req));
+
+  res.json({
+    success: true,
+    message: `${user.name} removed from ${team.name}`,
+    data: {
+      teamId: team._id,
+      userId: user._id
+    }
+  });
+});
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMembers,
+  removeTeamMember
+};
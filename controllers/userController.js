@@ -1,5 +1,39 @@
 const User = require('../models/User');
+const Lead = require('../models/Lead');
+const Team = require('../models/Team');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
+const { ROLES } = require('../utils/roles');
+const { canAccessUser, canManageUser, canJoinTeam } = require('../utils/teamScope');
+const { auditLogger, diffChanges } = require('../utils/auditLogger');
+
+// Fields a non-admin may change on a profile they can access
+const PROFILE_FIELDS = ['name', 'email'];
+
+const requestInfo = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+// Check that a team reference points at an active team; resolves with the id or null to clear it
+const resolveTeam = async (teamId) => {
+  if (!teamId) return null;
+
+  const team = await Team.findOne({ _id: teamId, isActive: true }).select('_id');
+  if (!team) {
+    throw new AppError('Team must be an existing active team', 400);
+  }
+
+  return team._id;
+};
+
+// Refuse to place a user on a team they may not join (see canJoinTeam); the lead may sit on their own team
+const assertTeamPlacement = async (teamId, member) => {
+  if (!teamId) return;
+
+  const team = await Team.findById(teamId).populate('lead', 'role');
+  if (team.lead && member._id && team.lead._id.equals(member._id)) return;
+
+  if (!canJoinTeam(member, team.lead)) {
+    throw new AppError('Admins never join teams and members must have a lower role than the team lead', 400);
+  }
+};
 
 // @desc    Get all users
 // @route   GET /api/v1/users
@@ -31,11 +65,43 @@ const getAllUsers = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get the members of the teams a manager leads
+// @route   GET /api/v1/users/team
+// @access  Private/Manager (own teams) or Admin (any manager via ?managerId)
+const getTeam = asyncHandler(async (req, res) => {
+  const managerId = req.user.role === ROLES.ADMIN && req.query.managerId
+    ? req.query.managerId
+    : req.user._id;
+
+  const teams = await Team.findLedBy(managerId).select('name');
+
+  const members = await User.find({ team: { $in: teams.map(team => team._id) } })
+    .select('name email role team isActive leadCapacity dailyLeadCap createdAt')
+    .populate('team', 'name')
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      managerId,
+      teams,
+      members,
+      total: members.length
+    }
+  });
+});
+
 // @desc    Get user by ID
 // @route   GET /api/v1/users/:id
-// @access  Private/Manager
+// @access  Private (own profile, Manager for their team, Admin for anyone)
 const getUserById = asyncHandler(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password');
+  if (!(await canAccessUser(req.user, req.params.id))) {
+    throw new AppError('You do not have access to this user', 403);
+  }
+
+  const user = await User.findById(req.params.id)
+    .select('-password')
+    .populate('team', 'name lead');
 
   if (!user) {
     throw new AppError('User not found', 404);
@@ -51,7 +117,11 @@ const getUserById = asyncHandler(async (req, res) => {
 // @route   POST /api/v1/users
 // @access  Private/Admin
 const createUser = asyncHandler(async (req, res) => {
-  const user = await User.create(req.body);
+  const team = await resolveTeam(req.body.team);
+  await assertTeamPlacement(team, { role: req.body.role || ROLES.EMPLOYEE });
+  const user = await User.create({ ...req.body, team });
+
+  await auditLogger.logUserCreation(user, req.user, requestInfo(req));
 
   res.status(201).json({
     success: true,
@@ -62,6 +132,7 @@ const createUser = asyncHandler(async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        team: user.team,
         isActive: user.isActive
       }
     }
@@ -70,9 +141,43 @@ const createUser = asyncHandler(async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/v1/users/:id
-// @access  Private/Manager
+// @access  Private (own profile, Manager for their team, Admin for anyone)
 const updateUser = asyncHandler(async (req, res) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
+  if (!(await canAccessUser(req.user, req.params.id))) {
+    throw new AppError('You do not have access to this user', 403);
+  }
+
+  const previous = await User.findById(req.params.id);
+  if (!previous) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Anyone other than the caller must rank below them, so a manager cannot edit another manager's profile
+  if (!previous._id.equals(req.user._id) && !(await canManageUser(req.user, previous))) {
+    throw new AppError('You do not have access to this user', 403);
+  }
+
+  let updates = req.body;
+
+  if (req.user.role !== ROLES.ADMIN) {
+    // Role, team, capacity and status changes stay with admins
+    const blocked = Object.keys(req.body).filter(field => !PROFILE_FIELDS.includes(field));
+    if (blocked.length > 0) {
+      throw new AppError(`Only an admin can change: ${blocked.join(', ')}`, 403);
+    }
+  } else if (req.body.team !== undefined) {
+    updates = { ...req.body, team: await resolveTeam(req.body.team) };
+  }
+
+  // A new team or role must still rank below the team's lead
+  if (updates.team !== undefined || updates.role !== undefined) {
+    await assertTeamPlacement(
+      updates.team !== undefined ? updates.team : previous.team,
+      { _id: previous._id, role: updates.role || previous.role }
+    );
+  }
+
+  const user = await User.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   }).select('-password');
@@ -81,6 +186,22 @@ const updateUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  const changes = diffChanges(previous, user, Object.keys(updates));
+  if (Object.keys(changes).length > 0) {
+    await auditLogger.logUserUpdate(user, req.user, changes, requestInfo(req));
+  }
+  if (changes.role) {
+    await auditLogger.logUserRoleChange(user, req.user, changes.role, requestInfo(req));
+  }
+
+  // A user who can no longer lead a team leaves the teams they led without a lead
+  if (![ROLES.ADMIN, ROLES.MANAGER].includes(user.role)) {
+    await Team.updateMany({ lead: user._id }, { lead: null });
+  }
+
+  // Keep the display name on assigned leads in step with the user record
+  await Lead.syncAssigneeName(user);
+
   res.json({
     success: true,
     message: 'User updated successfully',
@@ -98,6 +219,10 @@ const deleteUser = asyncHandler(async (req, res) => {
     throw new AppError('User not found', 404);
   }
 
+  await Team.updateMany({ lead: user._id }, { lead: null });
+
+  await auditLogger.logUserDeletion(user, req.user, requestInfo(req));
+
   res.json({
     success: true,
     message: 'User deleted successfully'
@@ -117,6 +242,8 @@ const toggleUserStatus = asyncHandler(async (req, res) => {
   user.isActive = !user.isActive;
   await user.save();
 
+  await auditLogger.logUserStatusChange(user, req.user, requestInfo(req));
+
   res.json({
     success: true,
     message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -190,6 +317,7 @@ const seedAdmin = asyncHandler(async (req, res) => {
 
 module.exports = {
   getAllUsers,
+  getTeam,
   getUserById,
   createUser,
   updateUser,
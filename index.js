@@ -18,12 +18,16 @@ const userRoutes = require('./routes/users');
 const adminRoutes = require('./routes/admin');
 const leadAssignmentRoutes = require('./routes/leadAssignment');
 // const customerRoutes = require('./routes/customers');
-// const callRoutes = require('./routes/calls');
-// const campaignRoutes = require('./routes/campaigns');
+const callRoutes = require('./routes/calls');
+const campaignRoutes = require('./routes/campaigns');
 // const dashboardRoutes = require('./routes/dashboard');
 const dashboardRoutes = require('./routes/dashboard');
 // const uploadRoutes = require('./routes/uploads');
 const employeeRoutes = require('./routes/employee');
+const { startAudienceScheduler, stopAudienceScheduler } = require('./utils/campaignAudience');
+const { startCheckpointScheduler, stopCheckpointScheduler } = require('./utils/auditChain');
+const { startImportWorker, stopImportWorker } = require('./utils/importJobs');
+const { getTransportProblem } = require('./utils/mailer');
 
 // Import logging utilities for application events
 const { logger, logAuthEvent, logAppEvent, logSecurityEvent } = require('./utils/logger');
@@ -181,8 +185,8 @@ app.use('/api/v1/admin/users', userRoutes);
 app.use('/api/v1/employee', employeeRoutes);
 app.use('/api/v1/lead-assignment', leadAssignmentRoutes);
 // app.use('/api/v1/customers', customerRoutes);
-// app.use('/api/v1/calls', callRoutes);
-// app.use('/api/v1/campaigns', campaignRoutes);
+app.use('/api/v1/calls', callRoutes);
+app.use('/api/v1/campaigns', campaignRoutes);
 // app.use('/api/v1/dashboard', dashboardRoutes);
 app.use('/api/v1/dashboard', dashboardRoutes);
 // app.use('/api/v1/uploads', uploadRoutes);
@@ -286,6 +290,22 @@ const startServer = async () => {
     // Connect to database first
     await connectDB();
 
+    // Periodically pull newly qualifying leads into auto-refresh campaigns
+    startAudienceScheduler();
+
+    // Periodically sign the head of the audit hash chain
+    startCheckpointScheduler();
+
+    // Parse and insert uploaded lead files in the background
+    startImportWorker();
+
+    // Password reset mail cannot be delivered without a usable transport
+    const mailProblem = getTransportProblem();
+    if (mailProblem) {
+      logger.error('Mail delivery is not available', { reason: mailProblem });
+      console.error(`❌ Mail delivery is not available: ${mailProblem}`);
+    }
+
     // Start the server
     const server = app.listen(PORT, () => {
       console.log(`
@@ -301,6 +321,9 @@ const startServer = async () => {
     // Graceful shutdown handling
     const gracefulShutdown = (signal) => {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+      stopAudienceScheduler();
+      stopCheckpointScheduler();
+      stopImportWorker();
 
       server.close(async () => {
         console.log('✅ HTTP server closed.');
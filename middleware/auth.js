@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { PRE_AUTH_PURPOSES, verifyPreAuthToken } = require('../utils/twoFactor');
+const { checkLoginAllowed, describeThrottle } = require('../utils/loginThrottle');
+const { hasPermission } = require('../utils/permissions');
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -17,6 +20,14 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Pre-auth tokens from the first login step only work on the two-factor endpoints
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor authentication is not complete'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
@@ -34,6 +45,14 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset (or other revocation) are no longer valid
+    if (user.isTokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please log in again'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -57,6 +76,63 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Accept either a normal access token or the pre-auth token issued when policy
+// forces a user to enrol in two-factor authentication before they can log in
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const decoded = token && verifyPreAuthToken(token, [PRE_AUTH_PURPOSES.SETUP]);
+
+  if (!decoded) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive || user.isTokenRevoked(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    req.user = user;
+    req.twoFactorSetupPending = true;
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Refuse login attempts while the account or client address is locked or backing off
+const throttleLogin = async (req, res, next) => {
+  try {
+    const check = await checkLoginAllowed({ email: req.body && req.body.email, ip: req.ip });
+
+    if (!check.allowed) {
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: describeThrottle(check),
+        retryAfter: check.retryAfter,
+        lockedUntil: check.lockedUntil
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login throttle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
 // Middleware to check if user is admin
 const requireAdmin = (req, res, next) => {
   if (!req.user) {
@@ -133,6 +209,33 @@ const requireManagerOrAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware factory to check that the user's role holds every listed permission
+const requirePermission = (...permissions) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    if (!(await hasPermission(req.user, ...permissions))) {
+      return res.status(403).json({
+        success: false,
+        message: `Permission required: ${permissions.join(', ')}`
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authorization error'
+    });
+  }
+};
+
 // Optional authentication - sets req.user if token is present but doesn't fail if not
 const optionalAuth = async (req, res, next) => {
   try {
@@ -142,7 +245,7 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.isActive) {
+      if (user && user.isActive && !decoded.purpose && !user.isTokenRevoked(decoded.iat)) {
         req.user = user;
       }
     }
@@ -156,10 +259,13 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateTwoFactorSetup,
+  throttleLogin,
   requireAdmin,
   requireEmployee,
   requireAnyRole,
   requireManagerOrAdmin,
   requireAnyRole,
+  requirePermission,
   optionalAuth
 };
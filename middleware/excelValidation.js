@@ -75,21 +75,40 @@ const validateExcelUpload = async (req, res, next) => {
 
 /**
  * Middleware for progress tracking setup
+ * When the client accepts Server-Sent Events, req.progressCallback(data, { event, id })
+ * writes one event and req.progressHeartbeat() writes a comment that keeps idle
+ * proxies from closing the connection. The stream opens with the first write, so
+ * the handler can still answer with a normal JSON error before that.
  */
 const setupProgressTracking = (req, res, next) => {
   // Set up progress callback if SSE is being used
   if (req.headers.accept && req.headers.accept.includes('text/event-stream')) {
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+    const write = (chunk) => {
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+      }
+
+      res.write(chunk);
 
-    req.progressCallback = (progressData) => {
-      res.write(`data: ${JSON.stringify(progressData)}\n\n`);
+      // compression() holds output back until it is flushed
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
     };
+
+    req.progressCallback = (progressData, { event, id } = {}) => {
+      let message = '';
+      if (id !== undefined) message += `id: ${id}\n`;
+      if (event) message += `event: ${event}\n`;
+      write(`${message}data: ${JSON.stringify(progressData)}\n\n`);
+    };
+
+    req.progressHeartbeat = () => write(': heartbeat\n\n');
   }
 
   next();
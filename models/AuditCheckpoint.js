@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const auditCheckpointSchema = new mongoose.Schema({
+  // Chain position the checkpoint vouches for
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required']
+  },
+
+  // Hash of the audit entry at that position
+  hash: {
+    type: String,
+    required: [true, 'Hash is required']
+  },
+
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+
+  entryTimestamp: {
+    type: Date,
+    required: [true, 'Entry timestamp is required']
+  },
+
+  // Retention date of the entry; before it passes, the entry must still be in the chain
+  entryRetentionUntil: {
+    type: Date,
+    default: null
+  },
+
+  signedAt: {
+    type: Date,
+    required: [true, 'Signing time is required']
+  },
+
+  // HMAC-SHA256 over sequence, hash, eventId, signedAt and entryRetentionUntil when set
+  signature: {
+    type: String,
+    required: [true, 'Signature is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+auditCheckpointSchema.index({ sequence: -1 }, { unique: true });
+
+// Static method to find the most recent checkpoint
+auditCheckpointSchema.statics.findLatest = function() {
+  return this.findOne().sort({ sequence: -1 });
+};
+
+module.exports = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
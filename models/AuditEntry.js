@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const SEVERITY_LEVELS = ['low', 'medium', 'high'];
+
+const auditEntrySchema = new mongoose.Schema({
+  // Public identifier returned by the audit logger
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+
+  timestamp: {
+    type: Date,
+    required: [true, 'Timestamp is required'],
+    default: Date.now
+  },
+
+  eventType: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+
+  // Snapshot of who acted; id is a string so system and anonymous actors fit too
+  user: {
+    id: { type: String, default: null },
+    email: { type: String, default: null },
+    role: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Tamper-evident chain: each entry hashes its own content together with the previous entry's hash
+  sequence: {
+    type: Number,
+    default: null
+  },
+
+  previousHash: {
+    type: String,
+    default: null
+  },
+
+  hash: {
+    type: String,
+    default: null
+  },
+
+  // Retention date of the previous entry, so a chain whose start was removed early can be told apart from one that expired
+  previousRetentionUntil: {
+    type: Date,
+    default: null
+  },
+
+  compliance: {
+    category: {
+      type: String,
+      default: 'General'
+    },
+    severity: {
+      type: String,
+      enum: {
+        values: SEVERITY_LEVELS,
+        message: 'Severity must be low, medium or high'
+      },
+      default: 'low'
+    },
+    // MongoDB removes the entry once this date has passed
+    retentionUntil: {
+      type: Date,
+      required: [true, 'Retention date is required']
+    }
+  }
+}, {
+  // Entries are written once and never updated
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes for better performance
+auditEntrySchema.index({ timestamp: -1 });
+auditEntrySchema.index({ sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $type: 'number' } } });
+auditEntrySchema.index({ 'user.id': 1, timestamp: -1 });
+auditEntrySchema.index({ eventType: 1, timestamp: -1 });
+auditEntrySchema.index({ 'compliance.category': 1, timestamp: -1 });
+auditEntrySchema.index({ 'compliance.severity': 1, timestamp: -1 });
+auditEntrySchema.index({ 'compliance.retentionUntil': 1 }, { expireAfterSeconds: 0 });
+
+auditEntrySchema.statics.SEVERITY_LEVELS = SEVERITY_LEVELS;
+
+module.exports = mongoose.model('AuditEntry', auditEntrySchema);
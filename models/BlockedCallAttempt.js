@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const BLOCK_REASONS = {
+  CAMPAIGN_NOT_ACTIVE: 'campaign_not_active',
+  DAY_NOT_ALLOWED: 'day_not_allowed',
+  OUTSIDE_CALLING_HOURS: 'outside_calling_hours',
+  DAILY_CAP_REACHED: 'daily_cap_reached'
+};
+
+const blockedCallAttemptSchema = new mongoose.Schema({
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Agent is required']
+  },
+
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    required: [true, 'Campaign is required']
+  },
+
+  reason: {
+    type: String,
+    enum: {
+      values: Object.values(BLOCK_REASONS),
+      message: 'Invalid block reason'
+    },
+    required: [true, 'Block reason is required']
+  },
+
+  // Endpoint the attempt came through, e.g. "PUT /api/v1/employee/leads/update/:id"
+  source: {
+    type: String,
+    trim: true
+  },
+
+  // Wall-clock time in the campaign's time zone when the attempt was made
+  localTime: {
+    type: String,
+    trim: true
+  },
+
+  timeZone: {
+    type: String,
+    trim: true
+  },
+
+  callsToday: {
+    type: Number,
+    default: 0
+  },
+
+  maxCallsPerDay: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+blockedCallAttemptSchema.index({ createdAt: -1 });
+blockedCallAttemptSchema.index({ agent: 1, createdAt: -1 });
+blockedCallAttemptSchema.index({ campaign: 1, createdAt: -1 });
+blockedCallAttemptSchema.index({ reason: 1 });
+
+// Static method to record an attempt that a campaign restriction refused
+blockedCallAttemptSchema.statics.record = function({ agent, lead, restriction, source }) {
+  return this.create({
+    agent: agent._id || agent,
+    lead: lead._id || lead,
+    campaign: restriction.campaignId,
+    reason: restriction.reason,
+    source,
+    localTime: restriction.localTime,
+    timeZone: restriction.timeZone,
+    callsToday: restriction.callsToday,
+    maxCallsPerDay: restriction.maxCallsPerDay
+  });
+};
+
+// Static method to summarise blocked attempts by reason, agent and campaign
+blockedCallAttemptSchema.statics.getSummary = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        byReason: [
+          { $group: { _id: '$reason', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        byAgent: [
+          { $group: { _id: '$agent', count: { $sum: 1 } } },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'agent' } },
+          { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 0, agentId: '$_id', agentName: '$agent.name', count: 1 } },
+          { $sort: { count: -1 } }
+        ],
+        byCampaign: [
+          { $group: { _id: '$campaign', count: { $sum: 1 } } },
+          { $lookup: { from: 'campaigns', localField: '_id', foreignField: '_id', as: 'campaign' } },
+          { $unwind: { path: '$campaign', preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 0, campaignId: '$_id', campaignName: '$campaign.name', count: 1 } },
+          { $sort: { count: -1 } }
+        ]
+      }
+    }
+  ]);
+};
+
+blockedCallAttemptSchema.statics.BLOCK_REASONS = BLOCK_REASONS;
+
+module.exports = mongoose.model('BlockedCallAttempt', blockedCallAttemptSchema);
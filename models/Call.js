@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+const DISPOSITIONS = [
+  'Connected',
+  'No Answer',
+  'Busy',
+  'Voicemail',
+  'Wrong Number',
+  'Callback Requested',
+  'Interested',
+  'Not Interested',
+  'Converted'
+];
+
+const callSchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Agent is required']
+  },
+
+  // Campaign the lead belonged to when the call was made; used for daily call caps
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    required: [true, 'Call start time is required'],
+    default: Date.now
+  },
+
+  endedAt: {
+    type: Date,
+    validate: {
+      validator: function(v) {
+        if (!v || !this.startedAt) return true;
+        return v >= this.startedAt;
+      },
+      message: 'Call end time cannot be before the start time'
+    }
+  },
+
+  // Duration in seconds
+  duration: {
+    type: Number,
+    min: [0, 'Call duration cannot be negative'],
+    default: 0
+  },
+
+  disposition: {
+    type: String,
+    enum: {
+      values: DISPOSITIONS,
+      message: 'Invalid call disposition'
+    },
+    default: 'Connected',
+    trim: true
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Call notes cannot exceed 2000 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+callSchema.index({ lead: 1, startedAt: -1 });
+callSchema.index({ agent: 1, startedAt: -1 });
+callSchema.index({ disposition: 1 });
+callSchema.index({ startedAt: -1 });
+callSchema.index({ agent: 1, campaign: 1, startedAt: -1 });
+
+// Keep duration and end time consistent with each other
+callSchema.pre('validate', function(next) {
+  if (this.startedAt && this.endedAt && !this.duration) {
+    this.duration = Math.max(0, Math.round((this.endedAt - this.startedAt) / 1000));
+  } else if (this.startedAt && !this.endedAt && this.duration) {
+    // A call logged with only a duration has just finished, so it started that long ago
+    if (this.isNew && this.$isDefault('startedAt')) {
+      this.startedAt = new Date(this.startedAt.getTime() - this.duration * 1000);
+    }
+    this.endedAt = new Date(this.startedAt.getTime() + this.duration * 1000);
+  }
+  next();
+});
+
+// Static method to find call history for a lead
+callSchema.statics.findByLead = function(leadId) {
+  return this.find({ lead: leadId }).sort({ startedAt: -1 });
+};
+
+// Static method to find calls made by an agent
+callSchema.statics.findByAgent = function(agentId) {
+  return this.find({ agent: agentId }).sort({ startedAt: -1 });
+};
+
+// Static method to map a lead status update onto a call disposition
+callSchema.statics.dispositionForStatus = function(status) {
+  const dispositionMap = {
+    'Interested': 'Interested',
+    'Hot': 'Interested',
+    'Not Interested': 'Not Interested',
+    'Pending': 'Callback Requested',
+    'Completed': 'Converted'
+  };
+
+  return dispositionMap[status] || 'Connected';
+};
+
+// Static method to get call statistics, optionally scoped by a match filter
+callSchema.statics.getCallStats = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              totalCalls: { $sum: 1 },
+              totalDuration: { $sum: '$duration' },
+              avgDuration: { $avg: '$duration' },
+              connectedCalls: {
+                $sum: {
+                  $cond: [{ $in: ['$disposition', ['No Answer', 'Busy', 'Voicemail', 'Wrong Number']] }, 0, 1]
+                }
+              }
+            }
+          }
+        ],
+        byDisposition: [
+          { $group: { _id: '$disposition', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        byAgent: [
+          {
+            $group: {
+              _id: '$agent',
+              totalCalls: { $sum: 1 },
+              totalDuration: { $sum: '$duration' },
+              avgDuration: { $avg: '$duration' }
+            }
+          },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'agent'
+            }
+          },
+          { $unwind: { path: '$agent', preserveNullAndEmptyArrays: true } },
+          {
+            $project: {
+              _id: 0,
+              agentId: '$_id',
+              agentName: '$agent.name',
+              totalCalls: 1,
+              totalDuration: 1,
+              avgDuration: { $round: ['$avgDuration', 0] }
+            }
+          },
+          { $sort: { totalCalls: -1 } }
+        ]
+      }
+    }
+  ]);
+};
+
+callSchema.statics.DISPOSITIONS = DISPOSITIONS;
+
+module.exports = mongoose.model('Call', callSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timeZone');
 
 const campaignSchema = new mongoose.Schema({
   name: {
@@ -50,7 +51,14 @@ const campaignSchema = new mongoose.Schema({
 
   endDate: {
     type: Date,
-    required: [true, 'End date is required']
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(v) {
+        if (!v || !this.startDate) return true;
+        return v >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
   },
 
   // Target and scope
@@ -134,6 +142,26 @@ const campaignSchema = new mongoose.Schema({
     }
   },
 
+  // Audience built from customerCriteria
+  audience: {
+    autoRefresh: {
+      type: Boolean,
+      default: false
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null
+    },
+    lastMatchedCount: {
+      type: Number,
+      default: 0
+    },
+    lastAttachedCount: {
+      type: Number,
+      default: 0
+    }
+  },
+
   // Campaign goals and KPIs
   goals: {
     totalCalls: {
@@ -241,7 +269,11 @@ const campaignSchema = new mongoose.Schema({
     }],
     timeZone: {
       type: String,
-      default: 'Asia/Kolkata'
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Invalid time zone'
+      }
     }
   },
 
@@ -352,18 +384,51 @@ campaignSchema.statics.findByManager = function(managerId) {
 };
 
 // Static method to get campaign statistics
-campaignSchema.statics.getCampaignStats = function() {
+campaignSchema.statics.getCampaignStats = function(match = {}) {
   return this.aggregate([
+    { $match: match },
     {
       $group: {
         _id: '$status',
         count: { $sum: 1 },
-        avgProgress: { $avg: '$progressPercentage' }
+        totalCustomers: { $sum: '$progress.totalCustomers' },
+        contactedCustomers: { $sum: '$progress.contactedCustomers' },
+        convertedCustomers: { $sum: '$progress.convertedCustomers' },
+        totalCalls: { $sum: '$progress.totalCalls' },
+        successfulCalls: { $sum: '$progress.successfulCalls' },
+        // progressPercentage is a virtual, so it is worked out here from the stored fields
+        avgProgress: {
+          $avg: {
+            $cond: [
+              { $gt: ['$targetCount', 0] },
+              { $multiply: [{ $divide: ['$progress.contactedCustomers', '$targetCount'] }, 100] },
+              0
+            ]
+          }
+        }
       }
-    }
+    },
+    { $sort: { count: -1 } }
   ]);
 };
 
+// Static method to recount how many leads each campaign holds
+campaignSchema.statics.refreshCustomerCounts = async function(campaignIds) {
+  const Lead = mongoose.model('Lead');
+
+  for (const id of campaignIds) {
+    const totalCustomers = await Lead.countDocuments({ campaign: id });
+    await this.updateOne({ _id: id }, { 'progress.totalCustomers': totalCustomers });
+  }
+};
+
+// Static method to map a call disposition onto the result updateProgress expects
+campaignSchema.statics.callResultFor = function(disposition) {
+  if (disposition === 'Converted') return 'converted';
+  if (disposition === 'Interested') return 'successful';
+  return 'attempted';
+};
+
 // Instance method to add agent to campaign
 campaignSchema.methods.addAgent = function(agentId, targetLeads = 0) {
   const existingAgent = this.assignedAgents.find(
@@ -382,21 +447,38 @@ campaignSchema.methods.addAgent = function(agentId, targetLeads = 0) {
   return this;
 };
 
-// Instance method to update progress
-campaignSchema.methods.updateProgress = function(callResult) {
-  this.progress.totalCalls += 1;
+// Instance method to add the employees holding the given leads as campaign agents
+campaignSchema.methods.addAgentsForLeads = async function(leadIds) {
+  const Lead = mongoose.model('Lead');
+
+  const assignees = await Lead.distinct('assignee', { _id: { $in: leadIds }, assignee: { $ne: null } });
+  const newAgents = assignees.filter(agentId => !this.assignedAgents.some(a => a.agent.equals(agentId)));
+
+  if (newAgents.length > 0) {
+    newAgents.forEach(agentId => this.assignedAgents.push({ agent: agentId, assignedAt: new Date() }));
+    await this.save();
+  }
+
+  return newAgents;
+};
+
+// Instance method to update progress; counters are incremented atomically since many agents report at once
+campaignSchema.methods.updateProgress = function(callResult, isNewContact = true) {
+  const increments = { 'progress.totalCalls': 1 };
 
   if (callResult === 'successful' || callResult === 'converted') {
-    this.progress.successfulCalls += 1;
+    increments['progress.successfulCalls'] = 1;
   }
 
-  this.progress.contactedCustomers += 1;
+  if (isNewContact) {
+    increments['progress.contactedCustomers'] = 1;
+  }
 
   if (callResult === 'converted') {
-    this.progress.convertedCustomers += 1;
+    increments['progress.convertedCustomers'] = 1;
   }
 
-  return this.save();
+  return this.constructor.findByIdAndUpdate(this._id, { $inc: increments }, { new: true });
 };
 
 // Instance method to check if campaign is active
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const columnMappingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+
+  // Identifies the header row the template was saved from, whatever the column order or letter case
+  headerSignature: {
+    type: String,
+    required: [true, 'Header signature is required']
+  },
+
+  headers: [{
+    type: String,
+    trim: true
+  }],
+
+  // Lead field -> header text of the column it is read from
+  mapping: {
+    type: Map,
+    of: String,
+    required: [true, 'Column mapping is required']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+columnMappingTemplateSchema.index({ headerSignature: 1, lastUsedAt: -1 });
+
+// Static method to find the template applied automatically to a header row: the most recently used match
+columnMappingTemplateSchema.statics.findBySignature = function(headerSignature) {
+  return this.findOne({ headerSignature }).sort({ lastUsedAt: -1, updatedAt: -1 });
+};
+
+// Static method to record that an import used a template
+columnMappingTemplateSchema.statics.markUsed = function(templateId) {
+  return this.updateOne({ _id: templateId }, { lastUsedAt: new Date() });
+};
+
+module.exports = mongoose.model('ColumnMappingTemplate', columnMappingTemplateSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+const IMPORT_TYPES = ['bulk', 'assign'];
+const IMPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+const importJobSchema = new mongoose.Schema({
+  // bulk leaves leads unassigned, assign gives every lead to `assignee`
+  type: {
+    type: String,
+    enum: {
+      values: IMPORT_TYPES,
+      message: 'Import type must be bulk or assign'
+    },
+    required: [true, 'Import type is required']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: IMPORT_STATUSES,
+      message: 'Status must be queued, processing, completed or failed'
+    },
+    default: 'queued'
+  },
+
+  file: {
+    originalName: {
+      type: String,
+      required: [true, 'File name is required']
+    },
+    mimetype: {
+      type: String,
+      required: [true, 'File type is required']
+    },
+    size: {
+      type: Number,
+      default: 0
+    },
+    // Name of the uploaded contents in IMPORT_UPLOAD_PATH, removed once the worker has processed them
+    storedName: {
+      type: String,
+      default: null
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploader is required']
+  },
+
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Column mapping chosen at upload; without either, a saved template matching the headers or the detected guess is used
+  mapping: {
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ColumnMappingTemplate',
+      default: null
+    },
+    columnMapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+
+  // Worksheets to import (the first one when empty), and whether each lead is tagged with its sheet name
+  sheets: [{
+    type: String
+  }],
+
+  tagWithSheet: {
+    type: Boolean,
+    default: false
+  },
+
+  // Client details of the upload request, passed on to the audit trail
+  requestInfo: {
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null }
+  },
+
+  // Latest progress; sequence goes up with every update and is the id of the matching progress event
+  progress: {
+    stage: { type: String, default: 'queued' },
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    sequence: { type: Number, default: 0 }
+  },
+
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    parsedLeads: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    inserted: { type: Number, default: 0 }
+  },
+
+  // Output of excelParser.generateReport with the first error and duplicate rows; all of them are kept as ImportJobRow records
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  insertedLeadIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead'
+  }],
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Static method to take the oldest queued job for processing
+importJobSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: {
+        status: 'processing',
+        startedAt: new Date(),
+        'progress.stage': 'parsing',
+        'progress.processed': 0,
+        'progress.total': 0
+      },
+      $inc: { 'progress.sequence': 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+importJobSchema.statics.FINISHED_STATUSES = FINISHED_STATUSES;
+importJobSchema.statics.IMPORT_TYPES = IMPORT_TYPES;
+importJobSchema.statics.IMPORT_STATUSES = IMPORT_STATUSES;
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const ROW_KINDS = ['error', 'duplicate'];
+
+// Rows written per insertMany call
+const INSERT_BATCH_SIZE = 1000;
+
+const importJobRowSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    required: [true, 'Import job is required']
+  },
+
+  // error: the row was rejected, duplicate: its phone number was already taken
+  kind: {
+    type: String,
+    enum: {
+      values: ROW_KINDS,
+      message: 'Row kind must be error or duplicate'
+    },
+    required: [true, 'Row kind is required']
+  },
+
+  // Position in the parsing report, so rows come back in the order they were found
+  position: {
+    type: Number,
+    required: [true, 'Position is required']
+  },
+
+  // The report entry as produced by the parser ({ sheet, row, errors } or { sheet, row, phone, existingId })
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Indexes for better performance
+importJobRowSchema.index({ job: 1, kind: 1, position: 1 });
+
+// Static method to store a parsing report's error and duplicate rows for a job
+importJobRowSchema.statics.recordReport = async function(jobId, { errors = [], duplicates = [] } = {}) {
+  const rows = [
+    ...errors.map((data, position) => ({ job: jobId, kind: 'error', position, data })),
+    ...duplicates.map((data, position) => ({ job: jobId, kind: 'duplicate', position, data }))
+  ];
+
+  for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+    await this.insertMany(rows.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+  }
+};
+
+// Static method to fetch one page of a job's rows of a kind
+importJobRowSchema.statics.getPage = function(jobId, kind, { skip = 0, limit = 100 } = {}) {
+  return this.find({ job: jobId, kind })
+    .sort({ position: 1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+};
+
+importJobRowSchema.statics.ROW_KINDS = ROW_KINDS;
+
+module.exports = mongoose.model('ImportJobRow', importJobRowSchema);
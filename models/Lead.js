@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const LeadActivity = require('./LeadActivity');
+const Campaign = require('./Campaign');
+const { DEFAULT_TIME_ZONE, formatInTimeZone } = require('../utils/timeZone');
 
 const leadSchema = new mongoose.Schema({
   name: {
@@ -45,6 +48,27 @@ const leadSchema = new mongoose.Schema({
     type: String
   },
 
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+
+  leadScore: {
+    type: Number,
+    min: [0, 'Lead score cannot be negative'],
+    max: [100, 'Lead score cannot exceed 100'],
+    default: null
+  },
+
+  // Employee the lead is assigned to; this is what all queries match on
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Display name of the assignee, kept in sync with the user record
   assignedTo: {
     type: String,
     default: 'Unassigned',
@@ -56,6 +80,38 @@ const leadSchema = new mongoose.Schema({
     default: null
   },
 
+  // Campaign the lead is being worked under; its settings decide the callback time zone
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campaign',
+    default: null
+  },
+
+  // Follow-up the assigned employee promised to make
+  callback: {
+    scheduledAt: {
+      type: Date,
+      default: null
+    },
+    timeZone: {
+      type: String,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Callback note cannot exceed 500 characters']
+    },
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   callTime: {
     type: String,
     trim: true,
@@ -71,6 +127,24 @@ const leadSchema = new mongoose.Schema({
     }
   },
 
+  // Short lock held by the agent the lead was last served to from the work queue
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  lockExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Last time an employee reached out to the lead (call or logged outcome)
+  lastContactedAt: {
+    type: Date,
+    default: null
+  },
+
   lastUpdatedAt: {
     type: Date,
     default: Date.now
@@ -83,9 +157,13 @@ const leadSchema = new mongoose.Schema({
 
 // Indexes for better performance
 leadSchema.index({ phone: 1 });
-leadSchema.index({ assignedTo: 1 });
+leadSchema.index({ assignee: 1 });
 leadSchema.index({ status: 1 });
 leadSchema.index({ createdAt: -1 });
+leadSchema.index({ campaign: 1 });
+leadSchema.index({ tags: 1 });
+leadSchema.index({ assignee: 1, status: 1, lockExpiresAt: 1 });
+leadSchema.index({ assignee: 1, 'callback.scheduledAt': 1 });
 
 // Virtual for lead summary
 leadSchema.virtual('summary').get(function() {
@@ -94,6 +172,7 @@ leadSchema.virtual('summary').get(function() {
     name: this.name,
     phone: this.phone,
     status: this.status,
+    assignee: this.assignee,
     assignedTo: this.assignedTo,
     createdAt: this.createdAt
   };
@@ -105,39 +184,194 @@ leadSchema.statics.findByStatus = function(status) {
 };
 
 // Static method to find leads by assigned user
-leadSchema.statics.findByAssignedTo = function(assignedTo) {
-  return this.find({ assignedTo });
+leadSchema.statics.findByAssignee = function(userId) {
+  return this.find({ assignee: userId });
 };
 
 // Static method to find unassigned leads
 leadSchema.statics.findUnassigned = function() {
-  return this.find({ assignedTo: 'Unassigned' });
+  return this.find({ assignee: null });
 };
 
+// Static method to find open callbacks scheduled before a point in time
+leadSchema.statics.findDueCallbacks = function(before = new Date(), filter = {}) {
+  return this.find({
+    ...filter,
+    'callback.scheduledAt': { $ne: null, $lte: before },
+    'callback.completedAt': null
+  }).sort({ 'callback.scheduledAt': 1 });
+};
+
+// Static method to refresh the display name on a user's leads after a rename
+leadSchema.statics.syncAssigneeName = function(user) {
+  return this.updateMany(
+    { assignee: user._id, assignedTo: { $ne: user.name } },
+    { assignedTo: user.name }
+  );
+};
+
+// Snapshot of the assignment fields, used for timeline before/after values
+const assignmentSnapshot = (lead) => ({
+  assignee: lead.assignee || null,
+  assignedTo: lead.assignedTo
+});
+
 // Instance method to assign lead to user
-leadSchema.methods.assignTo = function(userName) {
-  this.assignedTo = userName;
+leadSchema.methods.assignTo = async function(user, actor = null) {
+  const before = assignmentSnapshot(this);
+
+  this.assignee = user._id;
+  this.assignedTo = user.name;
   this.assignedDate = new Date();
-  return this.save();
+  await this.save();
+
+  await LeadActivity.record({
+    lead: this,
+    type: 'assignment',
+    actor,
+    before,
+    after: assignmentSnapshot(this)
+  });
+
+  return this;
 };
 
 // Instance method to update lead status
-leadSchema.methods.updateStatus = function(newStatus) {
+leadSchema.methods.updateStatus = async function(newStatus, actor = null) {
+  const previousStatus = this.status;
+
   this.status = newStatus;
   this.lastUpdatedAt = new Date();
-  return this.save();
+  await this.save();
+
+  if (previousStatus !== newStatus) {
+    await LeadActivity.record({
+      lead: this,
+      type: 'status_change',
+      actor,
+      before: { status: previousStatus },
+      after: { status: newStatus }
+    });
+  }
+
+  return this;
 };
 
-// Instance method to add notes
-leadSchema.methods.addNotes = function(notes) {
+// Instance method to add notes; resolves with the new timeline entry
+leadSchema.methods.addNotes = async function(notes, actor = null) {
+  // The flat notes string is kept for existing screens; the timeline is the source of truth
   const currentNotes = this.notes || '';
   this.notes = currentNotes + '\n\n' + new Date().toISOString() + ': ' + notes;
   this.lastUpdatedAt = new Date();
-  return this.save();
+  await this.save();
+
+  return LeadActivity.record({ lead: this, type: 'note', actor, note: notes });
+};
+
+// Instance method to schedule (or reschedule) a follow-up call
+leadSchema.methods.scheduleCallback = async function({ scheduledAt, timeZone, note }, actor = null) {
+  const before = this.hasOpenCallback() ? { scheduledAt: this.callback.scheduledAt } : null;
+
+  this.callback = {
+    scheduledAt,
+    timeZone,
+    note,
+    scheduledBy: actor ? actor._id : null,
+    completedAt: null
+  };
+  this.lastUpdatedAt = new Date();
+  await this.save();
+
+  await LeadActivity.record({
+    lead: this,
+    type: 'callback',
+    actor,
+    before,
+    after: { scheduledAt, timeZone },
+    note
+  });
+
+  return this;
+};
+
+// Instance method to close the open follow-up once the lead has been called back
+leadSchema.methods.completeCallback = async function(actor = null) {
+  if (!this.hasOpenCallback()) return this;
+
+  const scheduledAt = this.callback.scheduledAt;
+
+  this.callback.completedAt = new Date();
+  await this.save();
+
+  await LeadActivity.record({
+    lead: this,
+    type: 'callback',
+    actor,
+    before: { scheduledAt },
+    after: { completedAt: this.callback.completedAt }
+  });
+
+  return this;
+};
+
+// Instance method to check for a scheduled follow-up that has not been made yet
+leadSchema.methods.hasOpenCallback = function() {
+  return Boolean(this.callback && this.callback.scheduledAt && !this.callback.completedAt);
+};
+
+// Instance method to stamp a contact attempt and count it towards the lead's campaign
+leadSchema.methods.recordContact = async function(disposition) {
+  const isNewContact = !this.lastContactedAt;
+
+  this.lastContactedAt = new Date();
+  await this.save();
+
+  if (!this.campaign) return null;
+
+  const campaign = await Campaign.findById(this.campaign);
+  if (!campaign) return null;
+
+  return campaign.updateProgress(Campaign.callResultFor(disposition), isNewContact);
+};
+
+// Instance method to check whether another agent currently holds the queue lock
+leadSchema.methods.isLockedByOther = function(userId, now = new Date()) {
+  return Boolean(
+    this.lockedBy &&
+    this.lockExpiresAt &&
+    this.lockExpiresAt > now &&
+    !this.lockedBy.equals(userId)
+  );
+};
+
+// Instance method to resolve the time zone callbacks for this lead are scheduled in
+leadSchema.methods.getTimeZone = async function() {
+  if (!this.campaign) return DEFAULT_TIME_ZONE;
+
+  const campaign = await Campaign.findById(this.campaign, 'communicationSettings.timeZone');
+  return (campaign && campaign.communicationSettings.timeZone) || DEFAULT_TIME_ZONE;
+};
+
+// Instance method to describe the current callback, with the local time in its own time zone
+leadSchema.methods.getCallbackSummary = function(now = new Date()) {
+  if (!this.callback || !this.callback.scheduledAt) return null;
+
+  const timeZone = this.callback.timeZone || DEFAULT_TIME_ZONE;
+
+  return {
+    scheduledAt: this.callback.scheduledAt,
+    localTime: formatInTimeZone(this.callback.scheduledAt, timeZone),
+    timeZone,
+    note: this.callback.note,
+    completedAt: this.callback.completedAt,
+    overdue: !this.callback.completedAt && this.callback.scheduledAt < now
+  };
 };
 
 // Instance method to update lead with call time
-leadSchema.methods.updateWithCall = function(status, notes, callTime) {
+leadSchema.methods.updateWithCall = async function(status, notes, callTime, actor = null) {
+  const previousStatus = this.status;
+
   if (status) this.status = status;
   if (notes && notes.trim()) {
     const currentNotes = this.notes || '';
@@ -146,7 +380,27 @@ leadSchema.methods.updateWithCall = function(status, notes, callTime) {
   }
   if (callTime) this.callTime = callTime;
   this.lastUpdatedAt = new Date();
-  return this.save();
+  await this.save();
+
+  const entries = [];
+
+  if (status && status !== previousStatus) {
+    entries.push({
+      lead: this,
+      type: 'status_change',
+      actor,
+      before: { status: previousStatus },
+      after: { status }
+    });
+  }
+
+  if (notes && notes.trim()) {
+    entries.push({ lead: this, type: 'note', actor, note: notes.trim() });
+  }
+
+  await LeadActivity.recordMany(entries);
+
+  return this;
 };
 
 // Static method to get call time statistics for employees
@@ -155,12 +409,13 @@ leadSchema.statics.getCallTimeStats = function() {
     {
       $match: {
         callTime: { $exists: true, $ne: null, $ne: '' },
-        assignedTo: { $ne: 'Unassigned' }
+        assignee: { $ne: null }
       }
     },
     {
       $group: {
-        _id: '$assignedTo',
+        _id: '$assignee',
+        employee: { $first: '$assignedTo' },
         totalLeads: { $sum: 1 },
         totalCallTime: { $sum: { $cond: ['$callTime', 1, 0] } },
         completedLeads: {
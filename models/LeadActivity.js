@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const ACTIVITY_TYPES = ['note', 'status_change', 'assignment', 'call', 'import', 'callback'];
+
+const leadActivitySchema = new mongoose.Schema({
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lead',
+    required: [true, 'Lead is required']
+  },
+
+  type: {
+    type: String,
+    enum: {
+      values: ACTIVITY_TYPES,
+      message: 'Invalid activity type'
+    },
+    required: [true, 'Activity type is required']
+  },
+
+  // User who caused the event; null for system-generated entries
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  actorName: {
+    type: String,
+    trim: true,
+    default: 'System'
+  },
+
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+
+  // Previous versions of an edited note entry
+  editHistory: [{
+    note: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+leadActivitySchema.index({ lead: 1, createdAt: -1 });
+leadActivitySchema.index({ actor: 1, createdAt: -1 });
+leadActivitySchema.index({ type: 1 });
+
+// Build the actor fields from a user document (or nothing for system events)
+const actorFields = (actor) => ({
+  actor: actor ? actor._id : null,
+  actorName: actor ? actor.name : 'System'
+});
+
+// Static method to record a single timeline entry
+leadActivitySchema.statics.record = function({ lead, type, actor = null, before = null, after = null, note }) {
+  return this.create({
+    lead: lead._id || lead,
+    type,
+    ...actorFields(actor),
+    before,
+    after,
+    note
+  });
+};
+
+// Static method to record many timeline entries at once (bulk imports and assignments)
+leadActivitySchema.statics.recordMany = function(entries) {
+  if (!entries || entries.length === 0) return Promise.resolve([]);
+
+  return this.insertMany(entries.map(({ lead, type, actor = null, before = null, after = null, note }) => ({
+    lead: lead._id || lead,
+    type,
+    ...actorFields(actor),
+    before,
+    after,
+    note
+  })), { ordered: false });
+};
+
+// Build a timeline entry for a logged call
+const callEntry = (call, actor) => ({
+  lead: call.lead,
+  type: 'call',
+  actor,
+  after: {
+    callId: call._id,
+    disposition: call.disposition,
+    duration: call.duration,
+    startedAt: call.startedAt
+  },
+  note: call.notes
+});
+
+// Static method to record a logged call against its lead
+leadActivitySchema.statics.recordCall = function(call, actor) {
+  return this.record(callEntry(call, actor));
+};
+
+// Static method to record several logged calls at once
+leadActivitySchema.statics.recordCalls = function(calls, actor) {
+  return this.recordMany(calls.map(call => callEntry(call, actor)));
+};
+
+// Build the query filter for a lead's timeline
+const timelineFilter = (leadId, { types, actor } = {}) => {
+  const filter = { lead: leadId };
+
+  if (types && types.length > 0) {
+    filter.type = { $in: types };
+  }
+
+  if (actor) {
+    filter.actor = actor;
+  }
+
+  return filter;
+};
+
+// Static method to fetch a lead's timeline with optional type/actor filters
+leadActivitySchema.statics.getTimeline = function(leadId, { types, actor, skip = 0, limit = 0 } = {}) {
+  let query = this.find(timelineFilter(leadId, { types, actor })).sort({ createdAt: -1 });
+  if (limit) {
+    query = query.skip(skip).limit(limit);
+  }
+
+  return query;
+};
+
+// Static method to read a `type` query value into activity types; it may be comma-separated, repeated, or both
+leadActivitySchema.statics.parseTypes = function(value) {
+  const types = [...new Set([].concat(value || []).join(',').split(',').map(type => type.trim()).filter(Boolean))];
+  const unknown = types.filter(type => !ACTIVITY_TYPES.includes(type));
+
+  if (unknown.length > 0) {
+    return { error: `Unknown activity type(s): ${unknown.join(', ')}. Available: ${ACTIVITY_TYPES.join(', ')}` };
+  }
+
+  return { types };
+};
+
+// Static method to count timeline entries matching the same filters
+leadActivitySchema.statics.countTimeline = function(leadId, options = {}) {
+  return this.countDocuments(timelineFilter(leadId, options));
+};
+
+// Instance method to edit the text of a note entry, keeping the previous version
+leadActivitySchema.methods.editNote = function(note) {
+  this.editHistory.push({ note: this.note, editedAt: new Date() });
+  this.note = note;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Instance method to shape an entry for timeline responses
+leadActivitySchema.methods.toTimelineEntry = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    actor: {
+      id: this.actor,
+      name: this.actorName
+    },
+    timestamp: this.createdAt,
+    before: this.before,
+    after: this.after,
+    note: this.note,
+    editedAt: this.editedAt
+  };
+};
+
+leadActivitySchema.statics.ACTIVITY_TYPES = ACTIVITY_TYPES;
+
+module.exports = mongoose.model('LeadActivity', leadActivitySchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const THROTTLE_SCOPES = ['account', 'ip'];
+
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: {
+      values: THROTTLE_SCOPES,
+      message: 'Scope must be account or ip'
+    },
+    required: [true, 'Scope is required']
+  },
+
+  // Lower-cased email for account counters, client address for ip counters
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    trim: true
+  },
+
+  // Failures inside the current window
+  failures: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+
+  // Progressive delay: no attempt is checked before this time
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // How many times this key has been locked, kept across windows
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+
+  // The record removes itself once it has been quiet long enough
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the key is locked right now
+loginThrottleSchema.virtual('isLocked').get(function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+});
+
+/**
+ * Static method to count a failure atomically. Failures older than the window
+ * no longer count, so the counter starts again from 1.
+ * @param {string} scope - account or ip
+ * @param {string} key - Email or address
+ * @param {object} options - { now, windowMs, retainMs }
+ * @returns {object} The updated record
+ */
+loginThrottleSchema.statics.incrementFailures = function(scope, key, { now, windowMs, retainMs }) {
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  return this.findOneAndUpdate(
+    { scope, key },
+    [{
+      $set: {
+        scope,
+        key,
+        failures: {
+          $cond: [
+            { $or: [{ $eq: [{ $ifNull: ['$lastFailureAt', null] }, null] }, { $lt: ['$lastFailureAt', windowStart] }] },
+            1,
+            { $add: ['$failures', 1] }
+          ]
+        },
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + retainMs)
+      }
+    }],
+    { new: true, upsert: true }
+  );
+};
+
+// Static method to find the records that currently block a login
+loginThrottleSchema.statics.findBlocking = function(keys, now = new Date()) {
+  return this.find({
+    $or: keys.map(({ scope, key }) => ({ scope, key })),
+    $and: [{
+      $or: [
+        { lockedUntil: { $gt: now } },
+        { nextAttemptAt: { $gt: now } }
+      ]
+    }]
+  });
+};
+
+loginThrottleSchema.statics.THROTTLE_SCOPES = THROTTLE_SCOPES;
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
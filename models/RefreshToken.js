@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REVOKE_REASONS = {
+  ROTATED: 'rotated',
+  LOGOUT: 'logout',
+  REUSE_DETECTED: 'reuse_detected',
+  FORCED_LOGOUT: 'forced_logout',
+  PASSWORD_RESET: 'password_reset'
+};
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(String(jti)).digest('hex');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Every token rotated from the same login shares a family
+  family: {
+    type: String,
+    required: [true, 'Token family is required']
+  },
+
+  // SHA-256 of the token's jti claim; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: {
+      values: Object.values(REVOKE_REASONS),
+      message: 'Invalid revoke reason'
+    },
+    default: null
+  },
+
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+
+  createdByIp: {
+    type: String,
+    trim: true
+  },
+
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to store a newly signed token
+refreshTokenSchema.statics.store = function({ user, family, jti, expiresAt, ip, userAgent }) {
+  return this.create({
+    user: user._id || user,
+    family,
+    tokenHash: hashTokenId(jti),
+    expiresAt,
+    createdByIp: ip,
+    userAgent
+  });
+};
+
+// Static method to find the stored record for a token's jti
+refreshTokenSchema.statics.findByTokenId = function(jti) {
+  return this.findOne({ tokenHash: hashTokenId(jti) });
+};
+
+// Static method to mark a token as used; resolves with null when it was already revoked (a reuse)
+refreshTokenSchema.statics.claimForRotation = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: REVOKE_REASONS.ROTATED },
+    { new: true }
+  );
+};
+
+// Static method to revoke every live token in a family
+refreshTokenSchema.statics.revokeFamily = async function(family, reason) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to revoke every live token a user holds
+refreshTokenSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to list a user's live sessions (one per family)
+refreshTokenSchema.statics.getActiveSessions = function(userId) {
+  return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('family createdByIp userAgent createdAt expiresAt')
+    .sort({ createdAt: -1 });
+};
+
+refreshTokenSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
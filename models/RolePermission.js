@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { ROLES, isValidPermission } = require('../utils/roles');
+
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: {
+      values: Object.values(ROLES),
+      message: 'Role must be Admin, Manager or Employee'
+    },
+    required: [true, 'Role is required'],
+    unique: true
+  },
+
+  // Replaces the role's default permission set while this record exists
+  permissions: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isValidPermission),
+      message: 'Permissions contain an unknown permission'
+    }
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to store the permission set for a role
+rolePermissionSchema.statics.setForRole = function(role, permissions, user) {
+  return this.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], updatedBy: user ? user._id || user : null },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Known setting keys and the value used until an admin changes them
+const SETTING_DEFAULTS = {
+  'security.requireTwoFactorForAdmins': false
+};
+
+const systemSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Static method to read a setting, falling back to its default
+systemSettingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key }).lean();
+  if (!setting || setting.value === null || setting.value === undefined) {
+    return SETTING_DEFAULTS[key];
+  }
+  return setting.value;
+};
+
+// Static method to write a setting
+systemSettingSchema.statics.setValue = function(key, value, user) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: user ? user._id || user : null },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+systemSettingSchema.statics.SETTING_DEFAULTS = SETTING_DEFAULTS;
+
+module.exports = mongoose.model('SystemSetting', systemSettingSchema);
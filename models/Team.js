@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    trim: true,
+    maxlength: [100, 'Team name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+
+  // Manager (or admin) responsible for the team; members are users whose `team` points here
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better performance
+teamSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+teamSchema.index({ lead: 1 });
+
+// Virtual for the team's members
+teamSchema.virtual('members', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'team'
+});
+
+// Virtual for the number of members
+teamSchema.virtual('memberCount', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'team',
+  count: true
+});
+
+// Static method to find the teams a user leads
+teamSchema.statics.findLedBy = function(userId) {
+  return this.find({ lead: userId });
+};
+
+module.exports = mongoose.model('Team', teamSchema);
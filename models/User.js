@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,17 +33,38 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['Admin', 'Employee'],
-      message: 'Role must be Admin or Employee'
+      values: ['Admin', 'Manager', 'Employee'],
+      message: 'Role must be Admin, Manager or Employee'
     },
     default: 'Employee'
   },
 
+  // Team (floor / department) this user works in
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // Relative share of leads this user receives from weighted distribution
+  leadCapacity: {
+    type: Number,
+    min: [1, 'Lead capacity must be at least 1'],
+    default: 1
+  },
+
+  // Most leads automatic distribution may hand this user per day; null means no personal cap
+  dailyLeadCap: {
+    type: Number,
+    min: [0, 'Daily lead cap cannot be negative'],
+    default: null
+  },
+
   addressProof: {
     type: String,
     trim: true
@@ -50,6 +75,53 @@ const userSchema = new mongoose.Schema({
     trim: true
   },
 
+  // SHA-256 of the emailed reset token; the token itself is never stored
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+
+  // TOTP two-factor authentication; secrets and recovery code hashes are never selected by default
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during setup, promoted to `secret` once a code from it is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Tokens issued before this moment are no longer accepted
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +135,8 @@ const userSchema = new mongoose.Schema({
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ team: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
 
 // Virtual for user's basic info
 userSchema.virtual('basicInfo').get(function() {
@@ -93,15 +167,96 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Instance method to issue a password reset token; returns the raw token to send to the user
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = hashResetToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to revoke every token issued so far
+userSchema.methods.revokeSessions = function() {
+  this.sessionsRevokedAt = new Date();
+};
+
+// Instance method to check whether a token issued at `iat` (JWT seconds) has been revoked
+userSchema.methods.isTokenRevoked = function(iat) {
+  if (!this.sessionsRevokedAt) return false;
+  return iat < Math.floor(this.sessionsRevokedAt.getTime() / 1000);
+};
+
+// Instance method to check a TOTP code (needs +twoFactor.secret +twoFactor.lastUsedStep); marks it used when valid
+userSchema.methods.checkTwoFactorCode = function(code) {
+  if (!this.twoFactor || !this.twoFactor.secret) return false;
+
+  const step = totp.verifyCode(this.twoFactor.secret, code);
+  if (step === null) return false;
+  if (this.twoFactor.lastUsedStep !== undefined && this.twoFactor.lastUsedStep !== null && step <= this.twoFactor.lastUsedStep) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method to spend a recovery code (needs +twoFactor.recoveryCodes); each code works once
+userSchema.methods.useRecoveryCode = function(code) {
+  const codes = (this.twoFactor && this.twoFactor.recoveryCodes) || [];
+  const index = codes.indexOf(totp.hashRecoveryCode(code));
+  if (index === -1) return false;
+
+  codes.splice(index, 1);
+  this.markModified('twoFactor.recoveryCodes');
+  return true;
+};
+
+// Instance method to replace the recovery codes; returns the new plain codes to show once
+userSchema.methods.resetRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.twoFactor.recoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+};
+
+// Static method to use up a reset token; resolves with the user, or null when the token is invalid or expired
+userSchema.statics.consumePasswordResetToken = function(token) {
+  // Clearing the token in the same update makes it single-use even under concurrent requests
+  return this.findOneAndUpdate(
+    {
+      passwordResetToken: hashResetToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  ).select('+password');
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role });
 };
 
+// Static method to look up display names by user id; resolves with a Map of id string to name
+userSchema.statics.getNames = async function(ids) {
+  const users = await this.find({ _id: { $in: ids.filter(Boolean) } }, 'name').lean();
+  return new Map(users.map(user => [user._id.toString(), user.name]));
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
@@ -46,13 +46,17 @@ class AdminApp {
         }
     }
 
-    setStoredAuth(token, user) {
+    setStoredAuth(token, user, refreshToken) {
         localStorage.setItem('adminToken', token);
         localStorage.setItem('user', JSON.stringify(user));
+        if (refreshToken) {
+            localStorage.setItem('adminRefreshToken', refreshToken);
+        }
     }
 
     clearStoredAuth() {
         localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminRefreshToken');
         localStorage.removeItem('user');
     }
 
@@ -202,18 +206,23 @@ class AdminApp {
                 body: JSON.stringify({ email, password }),
             });
 
-            const data = await response.json();
+            let data = await response.json();
 
             if (!response.ok) {
                 throw new Error(data.message || 'Login failed');
             }
 
+            // Password accepted, but the account needs a second step
+            if (data.data.twoFactorRequired || data.data.twoFactorSetupRequired) {
+                data = await this.completeTwoFactorLogin(data.data);
+            }
+
             console.log('Login successful for user:', data.data.user.email);
 
             // Store authentication data
             this.token = data.data.token;
             this.user = data.data.user;
-            this.setStoredAuth(this.token, this.user);
+            this.setStoredAuth(this.token, this.user, data.data.refreshToken);
 
             this.showToast('Login successful!', 'success');
             window.location.href = '/admin/dashboard';
@@ -225,7 +234,66 @@ class AdminApp {
         }
     }
 
+    async postTwoFactor(endpoint, body, preAuthToken) {
+        const response = await fetch(`${this.authBaseURL}/2fa/${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(preAuthToken && { 'Authorization': `Bearer ${preAuthToken}` }),
+            },
+            body: JSON.stringify(body),
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.message || 'Two-factor authentication failed');
+        }
+        return data;
+    }
+
+    async completeTwoFactorLogin(challenge) {
+        if (challenge.twoFactorRequired) {
+            const code = prompt('Enter the 6-digit code from your authenticator app (or a recovery code):');
+            if (!code) {
+                throw new Error('Two-factor code is required');
+            }
+
+            const isRecoveryCode = code.trim().length !== 6;
+            return this.postTwoFactor('verify', {
+                preAuthToken: challenge.preAuthToken,
+                ...(isRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() })
+            });
+        }
+
+        // Policy requires 2FA and this account has not enrolled yet
+        const setup = await this.postTwoFactor('setup', {}, challenge.preAuthToken);
+        prompt('Two-factor authentication is required. Add this key to your authenticator app (or open the otpauth link):', setup.data.otpauthUri);
+
+        const code = prompt('Enter the 6-digit code shown by your authenticator app:');
+        if (!code) {
+            throw new Error('Two-factor code is required');
+        }
+
+        const enabled = await this.postTwoFactor('enable', { code: code.trim() }, challenge.preAuthToken);
+        alert(`Save these recovery codes somewhere safe. Each works once and they will not be shown again:\n\n${enabled.data.recoveryCodes.join('\n')}`);
+
+        return enabled;
+    }
+
     logout() {
+        // Revoke the session on the server; the local sign-out goes ahead regardless
+        const refreshToken = localStorage.getItem('adminRefreshToken');
+        const token = this.getStoredToken();
+        fetch(`${this.authBaseURL}/logout`, {
+            method: 'POST',
+            keepalive: true,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token && { 'Authorization': `Bearer ${token}` }),
+            },
+            body: JSON.stringify({ refreshToken }),
+        }).catch(error => console.error('Logout request failed:', error));
+
         this.clearStoredAuth();
         this.showToast('Logged out successfully', 'info');
         window.location.href = '/admin/login';
@@ -699,6 +767,10 @@ class AdminApp {
                 <span class="stat-value">${stats.pendingLeads || 0}</span>
                 <span class="stat-label">Pending Leads</span>
             </div>
+            <div class="stat-card">
+                <span class="stat-value">${stats.overdueCallbacks || 0}</span>
+                <span class="stat-label">Overdue Callbacks</span>
+            </div>
             <div class="stat-card">
                 <span class="stat-value">${stats.totalCompletedCalls || 0}</span>
                 <span class="stat-label">Completed Calls</span>
@@ -1780,15 +1852,6 @@ class AdminApp {
         this.showUploadProgress();
 
         try {
-            // Start progress polling
-            const progressInterval = setInterval(() => {
-                this.updateUploadProgress({
-                    percentage: Math.min(90, Math.random() * 80 + 10), // Simulate progress
-                    message: 'Processing file...',
-                    stage: 'processing'
-                });
-            }, 500);
-
             const response = await fetch(`${this.adminBaseURL}/leads/bulk-upload`, {
                 method: 'POST',
                 headers: {
@@ -1797,9 +1860,6 @@ class AdminApp {
                 body: formData,
             });
 
-            // Clear progress polling
-            clearInterval(progressInterval);
-
             if (response.status === 401) {
                 // Token is invalid, clear stored auth and redirect to login
                 this.clearStoredAuth();
@@ -1816,15 +1876,38 @@ class AdminApp {
                 throw new Error(data.message || 'File upload failed');
             }
 
+            // The file is imported in the background; follow the job until it finishes
+            const job = await this.waitForImportJob(data.data.uploadId);
+
+            if (job.status === 'failed') {
+                throw new Error(job.error || 'Import failed');
+            }
+
+            const summary = job.summary || {};
+
             // Show completion
             this.completeUploadProgress({
-                message: `Successfully uploaded ${data.data?.uploadedCount || data.uploadedCount || 0} leads`,
-                finalCount: data.data?.uploadedCount || data.uploadedCount || 0,
-                percentage: 100
+                message: `Successfully uploaded ${summary.inserted || 0} leads`,
+                finalCount: summary.inserted || 0,
+                percentage: 100,
+                details: {
+                    uploaded: summary.inserted || 0,
+                    duplicates: summary.duplicates || 0,
+                    errors: summary.errors || 0
+                }
             });
 
             // Return the data so it can be used by the caller
-            return data;
+            return {
+                success: true,
+                data: {
+                    uploadId: job.uploadId,
+                    uploadedCount: summary.inserted || 0,
+                    summary,
+                    report: job.report,
+                    leads: (job.leadIds || []).map(id => ({ id }))
+                }
+            };
         } catch (error) {
             console.error('File upload error:', error);
             this.errorUploadProgress({
@@ -1834,6 +1917,103 @@ class AdminApp {
         }
     }
 
+    // Follow an import job's progress events until it completes or fails, then load its report.
+    // A dropped connection is resumed from the last event received.
+    async waitForImportJob(uploadId) {
+        const stageLabels = {
+            queued: 'Waiting to start import',
+            parsing: 'Parsing rows',
+            dedupe: 'Checking for duplicates',
+            inserting: 'Inserting leads'
+        };
+        let lastEventId = null;
+        let failedAttempts = 0;
+
+        while (true) {
+            try {
+                const token = this.getStoredToken();
+                const response = await fetch(`${this.adminBaseURL}/leads/imports/${uploadId}/events`, {
+                    headers: {
+                        'Accept': 'text/event-stream',
+                        ...(token && { 'Authorization': `Bearer ${token}` }),
+                        ...(lastEventId && { 'Last-Event-ID': lastEventId })
+                    }
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Progress stream failed with status ${response.status}`);
+                }
+
+                const reader = response.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+
+                    failedAttempts = 0;
+                    buffer += decoder.decode(value, { stream: true });
+
+                    let boundary;
+                    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                        const message = this.parseServerSentEvent(buffer.slice(0, boundary));
+                        buffer = buffer.slice(boundary + 2);
+                        if (!message) continue;
+
+                        if (message.id) {
+                            lastEventId = message.id;
+                        }
+
+                        if (message.event === 'completed' || message.event === 'failed') {
+                            const result = await this.apiRequest(`/leads/parsing-report/${uploadId}`);
+                            return result.data;
+                        }
+
+                        const progress = message.data;
+                        this.updateUploadProgress({
+                            percentage: progress.percentage,
+                            message: `${stageLabels[progress.stage] || progress.stage}: ${progress.processed} of ${progress.total}`,
+                            stage: progress.stage,
+                            duplicates: progress.duplicates,
+                            errors: progress.errors
+                        });
+                    }
+                }
+            } catch (error) {
+                failedAttempts++;
+                if (failedAttempts >= 5) {
+                    throw error;
+                }
+            }
+
+            // The stream ended before the job finished; reconnect after a short pause
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
+    }
+
+    // Parse one Server-Sent Events message; comment-only blocks (heartbeats) return null
+    parseServerSentEvent(block) {
+        const message = { event: 'message', id: null, data: '' };
+
+        block.split('\n').forEach(line => {
+            if (!line || line.startsWith(':')) return;
+
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'event') message.event = value;
+            if (field === 'id') message.id = value;
+            if (field === 'data') message.data += value;
+        });
+
+        if (!message.data) return null;
+
+        message.data = JSON.parse(message.data);
+        return message;
+    }
+
     // Upload Progress Functions
     showUploadProgress() {
         const progressContainer = document.getElementById('uploadProgressContainer');
@@ -2132,6 +2312,20 @@ class AdminApp {
         }
     }
 
+    async forceLogoutUser(userId) {
+        if (!confirm('Log this user out of all devices? They will need to sign in again.')) return;
+
+        try {
+            const response = await this.apiRequest(`/users/${userId}/force-logout`, {
+                method: 'POST',
+            });
+
+            this.showToast(response?.message || 'User logged out of all sessions', 'success');
+        } catch (error) {
+            this.showToast('Failed to log out user', 'error');
+        }
+    }
+
 
     // Utility Functions
     formatDate(date) {
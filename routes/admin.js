@@ -2,57 +2,93 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { authenticateToken, requireAdmin, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { excelUpload, handleUploadError } = require('../middleware/fileUpload');
 const { setExcelFileInfo, validateExcelUpload, setupProgressTracking } = require('../middleware/excelValidation');
+const { PERMISSIONS } = require('../utils/roles');
 
-// Import admin controller
+// Import admin controllers
 const adminController = require('../controllers/adminController');
+const teamController = require('../controllers/teamController');
 
 
 // Apply authentication to all admin routes
 router.use(authenticateToken);
 
-// Allow all authenticated users to access admin routes
-router.use(requireAnyRole);
+// Every route below names the permission it needs; role permission sets are
+// managed under /permissions. Managers are further limited to their own team's data.
 
 // Dashboard routes
-router.get('/dashboard/stats', adminController.getDashboardStats);
-router.get('/dashboard/charts', adminController.getChartData);
-router.get('/dashboard/activity', adminController.getRecentActivity);
+router.get('/dashboard/stats', requirePermission(PERMISSIONS.DASHBOARD_VIEW), adminController.getDashboardStats);
+router.get('/dashboard/charts', requirePermission(PERMISSIONS.DASHBOARD_VIEW), adminController.getChartData);
+router.get('/dashboard/activity', requirePermission(PERMISSIONS.DASHBOARD_VIEW), adminController.getRecentActivity);
 
 // Leads management routes
-router.get('/leads', adminController.getAllLeads);
+router.get('/leads', requirePermission(PERMISSIONS.LEADS_VIEW), adminController.getAllLeads);
+
+// Export leads data (declared before /leads/:id so "export" is not taken for an ID)
+router.get('/leads/export', requirePermission(PERMISSIONS.LEADS_EXPORT), adminController.exportLeads);
+
+// Column mapping templates for imports (declared before /leads/:id so "mapping-templates" is not taken for an ID)
+router.get('/leads/mapping-templates', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.getMappingTemplates);
+router.post('/leads/mapping-templates', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.createMappingTemplate);
+router.put('/leads/mapping-templates/:id', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.updateMappingTemplate);
+router.delete('/leads/mapping-templates/:id', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.deleteMappingTemplate);
+
+// Background import jobs and their parsing reports
+router.get('/leads/imports', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.getImportJobs);
+router.get('/leads/parsing-report/:uploadId', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.getExcelParsingReport);
+router.get('/leads/imports/:uploadId/rows', requirePermission(PERMISSIONS.LEADS_IMPORT), adminController.getImportJobRows);
+router.get('/leads/imports/:uploadId/events',
+  requirePermission(PERMISSIONS.LEADS_IMPORT),
+  setupProgressTracking,
+  adminController.streamImportProgress
+);
 
-router.get('/leads/:id', adminController.getLeadById);
+router.get('/leads/:id', requirePermission(PERMISSIONS.LEADS_VIEW), adminController.getLeadById);
+router.get('/leads/:id/timeline', requirePermission(PERMISSIONS.LEADS_VIEW), adminController.getLeadTimeline);
 
-router.post('/leads/assign', adminController.assignLeads);
+router.post('/leads/assign', requirePermission(PERMISSIONS.LEADS_ASSIGN), adminController.assignLeads);
+router.post('/leads/distribute', requirePermission(PERMISSIONS.LEADS_DISTRIBUTE), adminController.distributeLeads);
+router.post('/leads/distribute/preview', requirePermission(PERMISSIONS.LEADS_DISTRIBUTE), adminController.previewLeadDistribution);
 
-router.put('/leads/:id', adminController.updateLead);
+router.put('/leads/:id', requirePermission(PERMISSIONS.LEADS_UPDATE), adminController.updateLead);
 
-router.delete('/leads/:id', adminController.deleteLead);
+// Bulk operations routes (declared before /leads/:id so "bulk-delete" is not taken for an ID)
+router.delete('/leads/bulk-delete', requirePermission(PERMISSIONS.LEADS_DELETE), adminController.bulkDeleteLeads);
 
-// Bulk operations routes
-router.delete('/leads/bulk-delete', adminController.bulkDeleteLeads);
+router.delete('/leads/:id', requirePermission(PERMISSIONS.LEADS_DELETE), adminController.deleteLead);
 
 // Lead assignment routes
-router.get('/employees', adminController.getAllEmployees);
+router.get('/employees', requirePermission(PERMISSIONS.EMPLOYEES_VIEW), adminController.getAllEmployees);
 
 // Employee assignments routes
-router.get('/assignments/:employeeId', adminController.getEmployeeAssignments);
+router.get('/assignments/:employeeId', requirePermission(PERMISSIONS.EMPLOYEES_VIEW), adminController.getEmployeeAssignments);
 
 // Get all lead assignments (for admin dashboard)
-router.get('/lead-assignments', adminController.getAllLeadAssignments);
+router.get('/lead-assignments', requirePermission(PERMISSIONS.LEADS_VIEW), adminController.getAllLeadAssignments);
+
+// Team routes
+router.get('/teams', requirePermission(PERMISSIONS.TEAMS_VIEW), teamController.getTeams);
+router.post('/teams', requirePermission(PERMISSIONS.TEAMS_MANAGE), teamController.createTeam);
+router.get('/teams/:id', requirePermission(PERMISSIONS.TEAMS_VIEW), teamController.getTeamById);
+router.put('/teams/:id', requirePermission(PERMISSIONS.TEAMS_MANAGE), teamController.updateTeam);
+router.delete('/teams/:id', requirePermission(PERMISSIONS.TEAMS_MANAGE), teamController.deleteTeam);
+router.post('/teams/:id/members', requirePermission(PERMISSIONS.TEAMS_MANAGE), teamController.addTeamMembers);
+router.delete('/teams/:id/members/:userId', requirePermission(PERMISSIONS.TEAMS_MANAGE), teamController.removeTeamMember);
 
 // Excel upload and parsing routes
 router.post('/leads/upload-assign/:employeeId',
+  requirePermission(PERMISSIONS.LEADS_IMPORT),
   excelUpload.single('excel'),
   handleUploadError,
   setExcelFileInfo,
+  validateExcelUpload,
   adminController.uploadAndAssignLeads
 );
 
 router.post('/leads/preview',
+  requirePermission(PERMISSIONS.LEADS_IMPORT),
   excelUpload.single('excel'),
   handleUploadError,
   setExcelFileInfo,
@@ -60,28 +96,51 @@ router.post('/leads/preview',
 );
 
 router.post('/leads/bulk-upload',
+  requirePermission(PERMISSIONS.LEADS_IMPORT),
   excelUpload.single('excel'),
   handleUploadError,
   setExcelFileInfo,
+  validateExcelUpload,
   adminController.bulkUploadLeads
 );
 
-router.get('/leads/parsing-report/:uploadId', adminController.getExcelParsingReport);
-
 // Progress tracking route for large file uploads
 router.post('/leads/upload-progress/:employeeId',
+  requirePermission(PERMISSIONS.LEADS_IMPORT),
   excelUpload.single('excel'),
   handleUploadError,
+  setExcelFileInfo,
+  validateExcelUpload,
   adminController.uploadAndAssignLeads
 );
 
 // Call time statistics route
-router.get('/call-time-stats', adminController.getCallTimeStats);
+router.get('/call-time-stats', requirePermission(PERMISSIONS.CALLS_STATS), adminController.getCallTimeStats);
 
-// Export leads data
-router.get('/leads/export', adminController.exportLeads);
+// Calls refused by campaign calling rules
+router.get('/compliance/blocked-attempts', requirePermission(PERMISSIONS.COMPLIANCE_VIEW), adminController.getBlockedCallAttempts);
 
 // User password change route
-router.put('/users/:userId/password', adminController.changeUserPassword);
+router.put('/users/:userId/password', requirePermission(PERMISSIONS.USERS_MANAGE), adminController.changeUserPassword);
+
+// End every session a user holds
+router.post('/users/:userId/force-logout', requirePermission(PERMISSIONS.USERS_MANAGE), adminController.forceLogoutUser);
+
+// Failed-login lockouts
+router.post('/users/:userId/unlock', requirePermission(PERMISSIONS.USERS_MANAGE), adminController.unlockUser);
+router.get('/security/lockouts', requirePermission(PERMISSIONS.SECURITY_MANAGE), adminController.getLoginLockouts);
+router.delete('/security/lockouts/:id', requirePermission(PERMISSIONS.SECURITY_MANAGE), adminController.clearLoginLockout);
+
+// Audit trail
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), adminController.searchAuditTrail);
+router.get('/audit/stats', requirePermission(PERMISSIONS.AUDIT_VIEW), adminController.getAuditStats);
+router.get('/audit/export', requirePermission(PERMISSIONS.AUDIT_VIEW), adminController.exportAuditTrail);
+router.get('/audit/verify', requirePermission(PERMISSIONS.AUDIT_VIEW), adminController.verifyAuditTrail);
+router.get('/audit/checkpoints', requirePermission(PERMISSIONS.AUDIT_VIEW), adminController.getAuditCheckpoints);
+
+// Role permission sets
+router.get('/permissions', requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), adminController.getPermissionSets);
+router.put('/permissions/:role', requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), adminController.updateRolePermissions);
+router.delete('/permissions/:role', requirePermission(PERMISSIONS.PERMISSIONS_MANAGE), adminController.resetRolePermissions);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -12,11 +12,19 @@ const {
   updateProfile,
   changePassword,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
 } = require('../controllers/authController');
 
 // Import middleware
-const { authenticateToken, optionalAuth, requireAdmin, requireEmployee, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, authenticateTwoFactorSetup, throttleLogin, optionalAuth, requireAdmin, requireEmployee, requireAnyRole } = require('../middleware/auth');
 
 // Configure multer for document uploads (addressProof and signedOfferLetter)
 const documentStorage = multer.diskStorage({
@@ -57,10 +65,11 @@ router.post('/register', uploadDocuments.fields([
   { name: 'addressProof', maxCount: 1 },
   { name: 'signedOfferLetter', maxCount: 1 }
 ]), register);
-router.post('/login', login);
+router.post('/login', throttleLogin, login);
 router.post('/refresh-token', refreshToken);
 router.post('/forgot-password', forgotPassword);
 router.post('/reset-password', resetPassword);
+router.post('/2fa/verify', verifyTwoFactorLogin);
 
 // Debug route - only in development
 if (process.env.NODE_ENV === 'development') {
@@ -96,6 +105,15 @@ router.put('/profile', authenticateToken, updateProfile);
 router.post('/change-password', authenticateToken, changePassword);
 router.post('/logout', optionalAuth, logout);
 
+// Two-factor authentication (setup also accepts the pre-auth token from a login that requires enrolment)
+router.get('/2fa/status', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authenticateTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
+router.get('/2fa/policy', authenticateToken, requireAdmin, getTwoFactorPolicy);
+router.put('/2fa/policy', authenticateToken, requireAdmin, updateTwoFactorPolicy);
+
 // Admin only routes
 router.get('/admin/users', authenticateToken, requireAdmin, (req, res) => {
   // Placeholder for admin user management
@@ -11,6 +11,8 @@ const {
   toggleCampaignStatus,
   getCampaignStats,
   assignCustomersToCampaign,
+  previewCampaignAudience,
+  attachCampaignAudience,
   getCampaignCustomers
 } = require('../controllers/campaignController');
 
@@ -32,5 +34,7 @@ router.delete('/:id', requireManagerOrAdmin, deleteCampaign);
 router.patch('/:id/toggle-status', requireManagerOrAdmin, toggleCampaignStatus);
 router.get('/stats/overview', requireManagerOrAdmin, getCampaignStats);
 router.post('/:id/assign-customers', requireManagerOrAdmin, assignCustomersToCampaign);
+router.post('/:id/audience/preview', requireManagerOrAdmin, previewCampaignAudience);
+router.post('/:id/audience/attach', requireManagerOrAdmin, attachCampaignAudience);
 
 module.exports = router;
\ No newline at end of file
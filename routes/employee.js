@@ -7,11 +7,17 @@ const {
   register,
   getProfile,
   getTodayLeads,
-  updateLead
+  updateLead,
+  getNextLead,
+  releaseQueueLead,
+  getDueCallbacks,
+  getLeadTimeline,
+  addLeadNote,
+  editLeadNote
 } = require('../controllers/employeeController');
 
 // Import middleware
-const { authenticateToken, requireEmployee } = require('../middleware/auth');
+const { authenticateToken, requireEmployee, throttleLogin } = require('../middleware/auth');
 const {
   documentUpload,
   handleUploadError,
@@ -20,7 +26,7 @@ const {
 } = require('../middleware/fileUpload');
 
 // Public routes
-router.post('/login', login);
+router.post('/login', throttleLogin, login);
 
 // Employee registration with document upload
 router.post('/register',
@@ -47,5 +53,11 @@ router.use(requireEmployee); // All routes below require employee role
 router.get('/profile', getProfile);
 router.get('/leads/today', getTodayLeads);
 router.put('/leads/update/:id', updateLead);
+router.get('/queue/next', getNextLead);
+router.post('/queue/:id/release', releaseQueueLead);
+router.get('/callbacks/due', getDueCallbacks);
+router.get('/leads/:id/timeline', getLeadTimeline);
+router.post('/leads/:id/notes', addLeadNote);
+router.put('/leads/:id/notes/:entryId', editLeadNote);
 
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,7 @@ const router = express.Router();
 // Import controllers (will be created in next step)
 const {
   getAllUsers,
+  getTeam,
   getUserById,
   createUser,
   updateUser,
@@ -14,7 +15,7 @@ const {
 } = require('../controllers/userController');
 
 // Import middleware
-const { authenticateToken, requireAdmin, requireAnyRole } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireManagerOrAdmin, requireAnyRole } = require('../middleware/auth');
 
 // All routes require authentication
 router.use(authenticateToken);
@@ -25,7 +26,10 @@ router.post('/', requireAdmin, createUser);
 router.get('/stats', requireAdmin, getUserStats);
 router.post('/seed-admin', requireAdmin, seedAdmin);
 
-// Admin and Employee routes (for viewing/updating own profile)
+// Manager routes
+router.get('/team', requireManagerOrAdmin, getTeam);
+
+// Own profile, a manager's team, or any user for admins
 router.get('/:id', requireAnyRole, getUserById);
 router.put('/:id', requireAnyRole, updateUser);
 router.delete('/:id', requireAdmin, deleteUser);
@@ -0,0 +1,249 @@
+const { describe, it, before, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const AuditEntry = require('../models/AuditEntry');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { GENESIS_HASH, computeEntryHash, appendToChain, createCheckpoint, verifyAuditChain } = require('../utils/auditChain');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+// Query stand-in: every chained call returns itself and awaiting it (or lean()) gives the result
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    limit: () => chain,
+    lean: async () => result,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Cursor stand-in over stored entries
+const cursorOver = (entries) => ({
+  cursor: () => ({
+    async *[Symbol.asyncIterator]() {
+      yield* entries;
+    },
+    close: async () => {}
+  })
+});
+
+const clone = (value) => structuredClone(value);
+
+// Serve `entries` and `checkpoints` to verifyAuditChain
+const useStore = (entries, checkpoints = []) => {
+  mock.method(AuditCheckpoint, 'find', () => query(clone(checkpoints)));
+  mock.method(AuditEntry, 'countDocuments', async () => 0);
+  mock.method(AuditEntry, 'find', () => ({ sort: () => ({ lean: () => cursorOver(clone(entries)) }) }));
+};
+
+// Entry as appendToChain receives it from the audit logger, retained for `retentionDays` from `timestamp`
+const auditEvent = (n, timestamp, retentionDays = 90) => ({
+  eventId: `event-${n}`,
+  timestamp,
+  eventType: 'LEAD_UPDATED',
+  user: { id: 'user-1', email: 'a@example.com', role: 'Admin', name: 'Admin' },
+  action: `Update ${n}`,
+  details: { leadId: `lead-${n}` },
+  metadata: { ip: '127.0.0.1' },
+  compliance: {
+    category: 'Data',
+    severity: 'low',
+    retentionUntil: new Date(timestamp.getTime() + retentionDays * DAY)
+  }
+});
+
+describe('auditChain', () => {
+  // Five entries three days apart, kept 90 days: the first until 2024-05-30 (before NOW), the rest until after NOW
+  let chain;
+
+  before(async () => {
+    const stored = [];
+    const findOne = mock.method(AuditEntry, 'findOne', () => query(null));
+    const save = mock.method(AuditEntry.prototype, 'save', async function() {
+      stored.push(this.toObject());
+      return this;
+    });
+
+    for (let n = 1; n <= 5; n++) {
+      await appendToChain(auditEvent(n, new Date(Date.UTC(2024, 2, 1 + 3 * (n - 1)))));
+    }
+
+    findOne.mock.restore();
+    save.mock.restore();
+    chain = stored;
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('computeEntryHash', () => {
+    it('ignores key order and fields outside the hash', () => {
+      const [entry] = chain;
+      const reordered = Object.fromEntries(Object.entries(entry).reverse());
+      assert.equal(computeEntryHash(reordered), entry.hash);
+      assert.equal(computeEntryHash({ ...entry, _id: 'other', hash: 'other' }), entry.hash);
+    });
+
+    it('changes when hashed content changes', () => {
+      const [entry] = chain;
+      assert.notEqual(computeEntryHash({ ...entry, action: 'Something else' }), entry.hash);
+      assert.notEqual(computeEntryHash({ ...entry, details: { leadId: 'lead-2' } }), entry.hash);
+      assert.notEqual(computeEntryHash({ ...entry, previousRetentionUntil: NOW }), entry.hash);
+    });
+
+    it('leaves entries without previousRetentionUntil hashing as before it existed', () => {
+      const { previousRetentionUntil, ...legacy } = chain[0];
+      assert.equal(previousRetentionUntil, null);
+      assert.equal(computeEntryHash(legacy), chain[0].hash);
+    });
+  });
+
+  describe('appendToChain', () => {
+    it('links each entry to the one before it', () => {
+      assert.deepEqual(chain.map(entry => entry.sequence), [1, 2, 3, 4, 5]);
+      assert.equal(chain[0].previousHash, GENESIS_HASH);
+
+      chain.slice(1).forEach((entry, i) => {
+        assert.equal(entry.previousHash, chain[i].hash);
+        assert.deepEqual(entry.previousRetentionUntil, chain[i].compliance.retentionUntil);
+      });
+
+      chain.forEach(entry => assert.equal(computeEntryHash(entry), entry.hash));
+    });
+  });
+
+  describe('verifyAuditChain', () => {
+    it('accepts an intact chain', async () => {
+      useStore(chain);
+      const result = await verifyAuditChain({ now: NOW });
+
+      assert.equal(result.valid, true);
+      assert.equal(result.checkedEntries, 5);
+      assert.equal(result.firstSequence, 1);
+      assert.equal(result.lastSequence, 5);
+      assert.equal(result.startsAfterExpiredEntries, false);
+      assert.equal(result.brokenLink, null);
+    });
+
+    it('detects edited content', async () => {
+      const edited = clone(chain);
+      edited[2].details.leadId = 'someone-else';
+      useStore(edited);
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.valid, false);
+      assert.equal(result.brokenLink.sequence, 3);
+      assert.equal(result.brokenLink.reason, 'content_modified');
+    });
+
+    it('detects an entry rewritten with a fresh hash', async () => {
+      const rewritten = clone(chain);
+      rewritten[2].action = 'Rewritten';
+      rewritten[2].hash = computeEntryHash(rewritten[2]);
+      useStore(rewritten);
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.brokenLink.sequence, 4);
+      assert.equal(result.brokenLink.reason, 'previous_hash_mismatch');
+    });
+
+    it('detects entries deleted from the middle', async () => {
+      useStore(chain.filter(entry => entry.sequence !== 3));
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.brokenLink.reason, 'missing_entries');
+      assert.equal(result.brokenLink.expectedSequence, 3);
+    });
+
+    it('accepts a start removed after its retention date', async () => {
+      useStore(chain.slice(1));
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.valid, true);
+      assert.equal(result.firstSequence, 2);
+      assert.equal(result.startsAfterExpiredEntries, true);
+      assert.equal(result.startRetentionVerified, true);
+    });
+
+    it('detects a start removed before its retention date', async () => {
+      useStore(chain.slice(2));
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.valid, false);
+      assert.equal(result.brokenLink.sequence, 3);
+      assert.equal(result.brokenLink.reason, 'entries_removed_before_retention');
+    });
+
+    it('cannot date the removed start of entries written before retention tracking', async () => {
+      // Re-link entries 3-5 as they were stored before previousRetentionUntil existed
+      const legacy = chain.slice(2).map(({ previousRetentionUntil, ...entry }) => clone(entry));
+      legacy.forEach((entry, i) => {
+        if (i > 0) entry.previousHash = legacy[i - 1].hash;
+        entry.hash = computeEntryHash(entry);
+      });
+      useStore(legacy);
+
+      const result = await verifyAuditChain({ now: NOW });
+      assert.equal(result.valid, true);
+      assert.equal(result.startRetentionVerified, false);
+    });
+
+    describe('with checkpoints', () => {
+      let checkpoint;
+
+      before(async () => {
+        const head = chain[3];
+        mock.method(AuditEntry, 'findOne', () => query(head));
+        mock.method(AuditCheckpoint, 'findLatest', async () => null);
+        mock.method(AuditCheckpoint, 'create', async (fields) => fields);
+
+        checkpoint = await createCheckpoint();
+        mock.restoreAll();
+      });
+
+      it('signs the head of the chain', () => {
+        assert.equal(checkpoint.sequence, 4);
+        assert.equal(checkpoint.hash, chain[3].hash);
+        assert.deepEqual(checkpoint.entryRetentionUntil, chain[3].compliance.retentionUntil);
+        assert.match(checkpoint.signature, /^[0-9a-f]{64}$/);
+      });
+
+      it('matches entries against checkpoints', async () => {
+        useStore(chain, [checkpoint]);
+
+        const result = await verifyAuditChain({ now: NOW });
+        assert.equal(result.valid, true);
+        assert.equal(result.checkpointsChecked, 1);
+      });
+
+      it('detects a forged checkpoint', async () => {
+        useStore(chain, [{ ...checkpoint, sequence: 5, hash: chain[4].hash, eventId: chain[4].eventId }]);
+
+        const result = await verifyAuditChain({ now: NOW });
+        assert.equal(result.brokenLink.reason, 'checkpoint_signature_invalid');
+      });
+
+      it('detects entries cut from the end after a checkpoint', async () => {
+        useStore(chain.slice(0, 3), [checkpoint]);
+
+        const result = await verifyAuditChain({ now: NOW });
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenLink.reason, 'entries_missing_after_checkpoint');
+        assert.equal(result.brokenLink.lastSequence, 3);
+      });
+
+      it('detects a checkpointed entry removed before its retention date', async () => {
+        // Everything up to and including the checkpointed entry is gone
+        useStore(chain.slice(4), [checkpoint]);
+
+        const result = await verifyAuditChain({ now: NOW });
+        assert.equal(result.valid, false);
+        assert.equal(result.brokenLink.reason, 'entries_removed_before_retention');
+      });
+    });
+  });
+});
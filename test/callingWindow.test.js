@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkCallingWindow } = require('../utils/callingWindow');
+const { BLOCK_REASONS } = require('../models/BlockedCallAttempt');
+
+// Monday 15 January 2024, 10:00 in Kolkata
+const MONDAY_MORNING = new Date('2024-01-15T04:30:00Z');
+
+describe('callingWindow', () => {
+  describe('checkCallingWindow', () => {
+    it('allows calls when no restrictions are set', () => {
+      const result = checkCallingWindow({}, MONDAY_MORNING);
+      assert.equal(result.allowed, true);
+      assert.equal(result.reason, null);
+      assert.equal(result.timeZone, 'Asia/Kolkata');
+      assert.equal(result.localTime, '2024-01-15 10:00');
+    });
+
+    it('checks calling hours in the campaign time zone', () => {
+      const settings = { callingHours: { start: '09:00', end: '18:00' } };
+      assert.equal(checkCallingWindow(settings, MONDAY_MORNING).allowed, true);
+
+      const result = checkCallingWindow({ ...settings, timeZone: 'Europe/London' }, MONDAY_MORNING);
+      assert.equal(result.allowed, false);
+      assert.equal(result.reason, BLOCK_REASONS.OUTSIDE_CALLING_HOURS);
+      assert.equal(result.localTime, '2024-01-15 04:30');
+    });
+
+    it('treats the end of the window as exclusive', () => {
+      const settings = { callingHours: { start: '09:00', end: '10:00' } };
+      assert.equal(checkCallingWindow(settings, MONDAY_MORNING).allowed, false);
+      assert.equal(checkCallingWindow(settings, new Date('2024-01-15T03:30:00Z')).allowed, true);
+    });
+
+    it('handles windows that wrap past midnight', () => {
+      const settings = { callingHours: { start: '20:00', end: '02:00' }, timeZone: 'UTC' };
+      assert.equal(checkCallingWindow(settings, new Date('2024-01-15T23:00:00Z')).allowed, true);
+      assert.equal(checkCallingWindow(settings, new Date('2024-01-15T01:59:00Z')).allowed, true);
+      assert.equal(checkCallingWindow(settings, new Date('2024-01-15T12:00:00Z')).allowed, false);
+    });
+
+    it('blocks days that are not allowed, using the local weekday', () => {
+      const weekdays = { daysOfWeek: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] };
+      assert.equal(checkCallingWindow(weekdays, MONDAY_MORNING).allowed, true);
+
+      // Still Sunday in New York
+      const result = checkCallingWindow({ ...weekdays, timeZone: 'America/New_York' }, MONDAY_MORNING);
+      assert.equal(result.allowed, false);
+      assert.equal(result.reason, BLOCK_REASONS.DAY_NOT_ALLOWED);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const { planDistribution, distributeLeads } = require('../utils/leadDistribution');
+
+// Candidate shaped like loadCandidates' output
+const candidate = (name, { capacity = 1, assignedToday = 0, openLeads = 0, remaining = Infinity } = {}) => ({
+  employee: { name },
+  capacity,
+  assignedToday,
+  openLeads,
+  remaining,
+  current: 0,
+  leadIds: []
+});
+
+const leads = (count) => Array.from({ length: count }, (_, i) => ({ _id: `lead${i + 1}` }));
+
+const shares = (candidates) => Object.fromEntries(candidates.map(c => [c.employee.name, c.leadIds]));
+
+describe('leadDistribution', () => {
+  describe('planDistribution', () => {
+    it('round robin takes turns, starting with whoever received the fewest leads today', () => {
+      const candidates = [candidate('ana', { assignedToday: 3 }), candidate('ben'), candidate('cy', { assignedToday: 1 })];
+      const leftover = planDistribution(leads(5), candidates, 'round_robin');
+
+      assert.deepEqual(leftover, []);
+      assert.deepEqual(shares(candidates), {
+        ben: ['lead1', 'lead4'],
+        cy: ['lead2', 'lead5'],
+        ana: ['lead3']
+      });
+    });
+
+    it('skips full candidates and returns leads no one has room for', () => {
+      const candidates = [candidate('ana', { remaining: 1 }), candidate('ben', { remaining: 2 })];
+      const leftover = planDistribution(leads(5), candidates, 'round_robin');
+
+      assert.deepEqual(shares(candidates), { ana: ['lead1'], ben: ['lead2', 'lead3'] });
+      assert.deepEqual(leftover.map(lead => lead._id), ['lead4', 'lead5']);
+      assert.equal(candidates[0].remaining, 0);
+    });
+
+    it('weighted shares follow capacity without bunching', () => {
+      const candidates = [candidate('ana', { capacity: 2 }), candidate('ben', { capacity: 1 })];
+      planDistribution(leads(6), candidates, 'weighted');
+
+      assert.deepEqual(shares(candidates), {
+        ana: ['lead1', 'lead3', 'lead4', 'lead6'],
+        ben: ['lead2', 'lead5']
+      });
+    });
+
+    it('least loaded evens out open workloads, ties going to the earlier candidate', () => {
+      const candidates = [candidate('ana', { openLeads: 4 }), candidate('ben', { openLeads: 1 })];
+      planDistribution(leads(5), candidates, 'least_loaded');
+
+      assert.deepEqual(shares(candidates), {
+        ana: ['lead4'],
+        ben: ['lead1', 'lead2', 'lead3', 'lead5']
+      });
+    });
+
+    it('places nothing without candidates', () => {
+      assert.equal(planDistribution(leads(2), [], 'least_loaded').length, 2);
+      assert.equal(planDistribution(leads(2), [], 'round_robin').length, 2);
+    });
+  });
+
+  describe('distributeLeads', () => {
+    // Query stand-in: every chained call returns itself and awaiting it gives the result
+    const query = (result) => {
+      const chain = {
+        where: () => chain,
+        select: () => chain,
+        sort: () => chain,
+        limit: () => chain,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+      };
+      return chain;
+    };
+
+    beforeEach(() => {
+      mock.method(Lead, 'aggregate', async () => []);
+      mock.method(Lead, 'findUnassigned', () => query(leads(2)));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('only offers employees in the caller\'s scope', async () => {
+      const employees = [{ _id: 'emp1', name: 'ana' }];
+      const find = mock.method(User, 'find', () => query(employees));
+
+      const result = await distributeLeads({ employeeIds: ['emp1', 'emp9'], scopedUserIds: ['mgr1', 'emp1'], dryRun: true });
+
+      const [filter] = find.mock.calls[0].arguments;
+      assert.deepEqual(filter._id, { $in: ['emp1', 'emp9'] });
+      assert.deepEqual(filter.$and, [{ _id: { $in: ['mgr1', 'emp1'] } }]);
+      assert.deepEqual(result.allocations.map(allocation => allocation.leadIds), [['lead1', 'lead2']]);
+    });
+
+    it('offers every active employee without a scope', async () => {
+      const find = mock.method(User, 'find', () => query([]));
+
+      const result = await distributeLeads({ dryRun: true });
+
+      assert.deepEqual(find.mock.calls[0].arguments[0], { role: 'Employee', isActive: true });
+      assert.equal(result.employeeCount, 0);
+    });
+  });
+});
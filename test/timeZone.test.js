@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidTimeZone,
+  parseDateTimeInZone,
+  formatInTimeZone,
+  startOfDayInZone
+} = require('../utils/timeZone');
+
+const iso = (date) => (date ? date.toISOString() : date);
+
+describe('timeZone', () => {
+  describe('parseDateTimeInZone', () => {
+    it('reads bare local values as wall-clock time in the zone', () => {
+      assert.equal(iso(parseDateTimeInZone('2024-01-15T17:30', 'Asia/Kolkata')), '2024-01-15T12:00:00.000Z');
+      assert.equal(iso(parseDateTimeInZone('2024-01-15 17:30:15', 'Asia/Kolkata')), '2024-01-15T12:00:15.000Z');
+    });
+
+    it('follows daylight saving time', () => {
+      assert.equal(iso(parseDateTimeInZone('2024-01-15T09:00', 'America/New_York')), '2024-01-15T14:00:00.000Z');
+      assert.equal(iso(parseDateTimeInZone('2024-07-15T09:00', 'America/New_York')), '2024-07-15T13:00:00.000Z');
+    });
+
+    it('keeps values with an offset or Z absolute', () => {
+      assert.equal(iso(parseDateTimeInZone('2024-01-15T17:30:00Z', 'Asia/Kolkata')), '2024-01-15T17:30:00.000Z');
+      assert.equal(iso(parseDateTimeInZone('2024-01-15T17:30:00+01:00', 'Asia/Kolkata')), '2024-01-15T16:30:00.000Z');
+    });
+
+    it('passes valid dates through', () => {
+      const date = new Date('2024-01-15T00:00:00Z');
+      assert.equal(parseDateTimeInZone(date), date);
+      assert.equal(parseDateTimeInZone(new Date('nope')), null);
+    });
+
+    it('rejects out-of-range parts instead of rolling them over', () => {
+      ['2024-13-01T10:00', '2024-02-30T10:00', '2023-02-29', '2024-01-15T25:00', '2024-01-15T10:60', '2024-02-30T10:00:00Z']
+        .forEach(value => assert.equal(parseDateTimeInZone(value, 'Asia/Kolkata'), null, value));
+      assert.equal(iso(parseDateTimeInZone('2024-02-29T10:00', 'UTC')), '2024-02-29T10:00:00.000Z');
+    });
+
+    it('rejects values that are not date-times', () => {
+      ['', '   ', 'tomorrow', null, undefined, 42].forEach(value => assert.equal(parseDateTimeInZone(value), null));
+    });
+  });
+
+  describe('formatInTimeZone', () => {
+    it('formats wall-clock time in the zone', () => {
+      assert.equal(formatInTimeZone(new Date('2024-01-15T12:00:00Z'), 'Asia/Kolkata'), '2024-01-15 17:30');
+      assert.equal(formatInTimeZone(null), null);
+    });
+  });
+
+  describe('startOfDayInZone', () => {
+    it('returns local midnight of the day in the zone', () => {
+      // 20:00 UTC is already the next day in Kolkata
+      assert.equal(iso(startOfDayInZone(new Date('2024-01-15T20:00:00Z'), 'Asia/Kolkata')), '2024-01-15T18:30:00.000Z');
+      assert.equal(iso(startOfDayInZone(new Date('2024-07-15T03:00:00Z'), 'America/New_York')), '2024-07-14T04:00:00.000Z');
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA names only', () => {
+      assert.equal(isValidTimeZone('Europe/London'), true);
+      assert.equal(isValidTimeZone('Mars/Olympus'), false);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 seed "12345678901234567890"; codes are the last 6 of the 8 published digits
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  { time: 59, code: '287082' },
+  { time: 1111111109, code: '081804' },
+  { time: 1111111111, code: '050471' },
+  { time: 1234567890, code: '005924' },
+  { time: 2000000000, code: '279037' },
+  { time: 20000000000, code: '353130' }
+];
+
+describe('totp', () => {
+  describe('base32', () => {
+    it('round-trips bytes', () => {
+      const bytes = Buffer.from('12345678901234567890', 'ascii');
+      assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      assert.deepEqual(totp.base32Decode(RFC_SECRET), bytes);
+    });
+
+    it('generates 160-bit secrets', () => {
+      assert.equal(totp.base32Decode(totp.generateSecret()).length, 20);
+    });
+  });
+
+  describe('generateCode', () => {
+    RFC_VECTORS.forEach(({ time, code }) => {
+      it(`matches the RFC 6238 vector at ${time}`, () => {
+        assert.equal(totp.generateCode(RFC_SECRET, totp.getTimeStep(time * 1000)), code);
+      });
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.getTimeStep(now);
+
+    it('accepts the current code and returns its step', () => {
+      assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now }), step);
+    });
+
+    it('accepts codes one step either side of now', () => {
+      assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+      assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now }), null);
+      assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now, window: 0 }), null);
+    });
+
+    it('ignores spaces and rejects malformed codes', () => {
+      assert.equal(totp.verifyCode(RFC_SECRET, '050 471', { now }), step);
+      assert.equal(totp.verifyCode(RFC_SECRET, '50471', { now }), null);
+      assert.equal(totp.verifyCode(RFC_SECRET, '05047a', { now }), null);
+      assert.equal(totp.verifyCode(RFC_SECRET, undefined, { now }), null);
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('hashes the same code the same way regardless of formatting', () => {
+      const [code] = totp.generateRecoveryCodes(1);
+      assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      assert.equal(totp.hashRecoveryCode(code), totp.hashRecoveryCode(code.toUpperCase().replace('-', ' ')));
+    });
+  });
+});
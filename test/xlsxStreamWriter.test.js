@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const XLSX = require('xlsx');
+const { XlsxStreamWriter } = require('../utils/xlsxStreamWriter');
+
+// Writable that keeps everything written to it
+const collector = () => {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.contents = () => Buffer.concat(chunks);
+  return output;
+};
+
+// Write sheets of rows, then read the workbook back with the xlsx library
+const roundTrip = async (sheets) => {
+  const output = collector();
+  const writer = new XlsxStreamWriter(output);
+
+  for (const { name, rows, header } of sheets) {
+    await writer.startSheet(name, { widths: [20, 10] });
+    if (header) await writer.writeRow(header, { header: true });
+    for (const row of rows) {
+      await writer.writeRow(row);
+    }
+    await writer.endSheet();
+  }
+  await writer.finish();
+
+  return XLSX.read(output.contents(), { type: 'buffer', cellDates: true });
+};
+
+describe('xlsxStreamWriter', () => {
+  it('writes a workbook the xlsx library can read', async () => {
+    const workbook = await roundTrip([{
+      name: 'Leads',
+      header: ['Name', 'Calls'],
+      rows: [['Acme', 3], ['Globex', 0]]
+    }]);
+
+    assert.deepEqual(workbook.SheetNames, ['Leads']);
+    assert.deepEqual(XLSX.utils.sheet_to_json(workbook.Sheets.Leads, { header: 1 }), [
+      ['Name', 'Calls'],
+      ['Acme', 3],
+      ['Globex', 0]
+    ]);
+  });
+
+  it('keeps types: numbers, booleans, dates and blanks', async () => {
+    const when = new Date(Date.UTC(2024, 0, 15, 10, 30));
+    const workbook = await roundTrip([{ name: 'Types', rows: [[1.5, true, when, null, '', undefined, 'end']] }]);
+    const sheet = workbook.Sheets.Types;
+
+    assert.equal(sheet.A1.t, 'n');
+    assert.equal(sheet.A1.v, 1.5);
+    assert.equal(sheet.B1.t, 'b');
+    assert.equal(sheet.B1.v, true);
+    assert.ok(sheet.C1.v instanceof Date);
+    assert.equal(Math.abs(sheet.C1.v.getTime() - when.getTime()) < 1000, true);
+    assert.equal(sheet.D1, undefined);
+    assert.equal(sheet.G1.v, 'end');
+  });
+
+  it('escapes XML and drops characters XML cannot hold', async () => {
+    const workbook = await roundTrip([{ name: 'Text <&>', rows: [['<b>"Tom" & \'Jerry\'</b>', 'bell\u0007ring']] }]);
+    const sheet = workbook.Sheets['Text <&>'];
+
+    assert.equal(sheet.A1.v, '<b>"Tom" & \'Jerry\'</b>');
+    assert.equal(sheet.B1.v, 'bellring');
+  });
+
+  it('writes several sheets and columns past Z', async () => {
+    const wide = Array.from({ length: 30 }, (_, i) => i);
+    const workbook = await roundTrip([
+      { name: 'First', rows: [wide] },
+      { name: 'A sheet name longer than thirty-one characters', rows: [['x']] }
+    ]);
+
+    assert.deepEqual(workbook.SheetNames, ['First', 'A sheet name longer than thirty']);
+    assert.equal(workbook.Sheets.First.AD1.v, 29);
+  });
+
+  it('streams large sheets in several chunks', async () => {
+    const rows = Array.from({ length: 5000 }, (_, i) => [`Lead ${i}`, `98765${String(i).padStart(5, '0')}`]);
+    const workbook = await roundTrip([{ name: 'Big', rows }]);
+
+    const read = XLSX.utils.sheet_to_json(workbook.Sheets.Big, { header: 1 });
+    assert.equal(read.length, 5000);
+    assert.deepEqual(read[4999], ['Lead 4999', '9876504999']);
+  });
+
+  it('stops with EXPORT_CANCELLED once the output closes', async () => {
+    const output = collector();
+    const writer = new XlsxStreamWriter(output);
+    await writer.startSheet('Leads');
+    output.destroy();
+
+    await assert.rejects(async () => {
+      for (let i = 0; i < 5000; i++) {
+        await writer.writeRow([`Lead ${i}`, 'x'.repeat(50)]);
+      }
+      await writer.endSheet();
+    }, { code: 'EXPORT_CANCELLED' });
+  });
+});
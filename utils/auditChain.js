@@ -0,0 +1,357 @@
+/**
+ * Audit Chain
+ * Links audit entries into a hash chain so later edits or deletions can be
+ * detected, and signs periodic checkpoints of the chain head
+ */
+
+const crypto = require('crypto');
+const AuditEntry = require('../models/AuditEntry');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { logger } = require('./logger');
+
+// previousHash of the very first entry
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by an entry's hash
+const HASHED_FIELDS = [
+  'sequence', 'previousHash', 'eventId', 'timestamp', 'eventType',
+  'user', 'action', 'details', 'metadata', 'compliance'
+];
+
+// Hashed only when set, so entries written before these fields existed keep their hash
+const OPTIONAL_HASHED_FIELDS = ['previousRetentionUntil'];
+
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Writes from this process are queued so each entry sees the one before it
+let appendQueue = Promise.resolve();
+let lastLink = null;
+
+let checkpointTimer = null;
+let checkpointInProgress = false;
+
+const getSigningSecret = () => process.env.AUDIT_CHECKPOINT_SECRET || process.env.JWT_SECRET;
+
+// Stable form of a value: sorted keys, dates as ISO strings, ObjectIds as hex, undefined dropped
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(canonicalize);
+
+  if (typeof value === 'object') {
+    if (typeof value.toHexString === 'function') return value.toHexString();
+
+    return Object.keys(value).sort().reduce((acc, key) => {
+      if (value[key] !== undefined) acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+
+  return value;
+};
+
+/**
+ * SHA-256 of an entry's content and its link to the previous entry
+ * @param {object} entry - Audit entry (plain object)
+ * @returns {string} Hex digest
+ */
+const computeEntryHash = (entry) => {
+  const content = HASHED_FIELDS.reduce((acc, field) => {
+    acc[field] = canonicalize(entry[field]);
+    return acc;
+  }, {});
+
+  OPTIONAL_HASHED_FIELDS.forEach(field => {
+    if (entry[field] !== null && entry[field] !== undefined) content[field] = canonicalize(entry[field]);
+  });
+
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+};
+
+// Last entry in the chain, read from the database
+const readLastLink = async () => {
+  const last = await AuditEntry.findOne({ sequence: { $type: 'number' } })
+    .sort({ sequence: -1 })
+    .select('sequence hash compliance.retentionUntil')
+    .lean();
+
+  return last
+    ? { sequence: last.sequence, hash: last.hash, retentionUntil: last.compliance?.retentionUntil || null }
+    : { sequence: 0, hash: GENESIS_HASH, retentionUntil: null };
+};
+
+const insertLinked = async (entry) => {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const previous = lastLink || await readLastLink();
+    const doc = new AuditEntry({
+      ...entry,
+      sequence: previous.sequence + 1,
+      previousHash: previous.hash,
+      previousRetentionUntil: previous.retentionUntil
+    });
+    doc.hash = computeEntryHash(doc.toObject());
+
+    try {
+      await doc.save();
+      lastLink = { sequence: doc.sequence, hash: doc.hash, retentionUntil: doc.compliance.retentionUntil };
+      return doc;
+    } catch (error) {
+      // Another server took this position; read the new head and try again
+      if (error.code !== 11000) throw error;
+      lastLink = null;
+    }
+  }
+
+  throw new Error(`Could not append audit entry after ${MAX_APPEND_ATTEMPTS} attempts`);
+};
+
+// Store an entry at the end of the chain
+const appendToChain = (entry) => {
+  const result = appendQueue.then(() => insertLinked(entry));
+
+  // A failed write must not block the entries queued behind it
+  appendQueue = result.catch(() => {
+    lastLink = null;
+  });
+
+  return result;
+};
+
+// HMAC over the fields a checkpoint vouches for; checkpoints signed before entryRetentionUntil existed omit it
+const signCheckpoint = ({ sequence, hash, eventId, signedAt, entryRetentionUntil }) => {
+  const retention = entryRetentionUntil ? `:${new Date(entryRetentionUntil).toISOString()}` : '';
+
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${sequence}:${hash}:${eventId}:${new Date(signedAt).toISOString()}${retention}`)
+    .digest('hex');
+};
+
+const isCheckpointSignatureValid = (checkpoint) => {
+  const expected = Buffer.from(signCheckpoint(checkpoint), 'hex');
+  const actual = Buffer.from(String(checkpoint.signature || ''), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Sign the current head of the chain
+ * @returns {object|null} The new checkpoint, or null when nothing was logged since the last one
+ */
+const createCheckpoint = async () => {
+  const head = await AuditEntry.findOne({ sequence: { $type: 'number' } })
+    .sort({ sequence: -1 })
+    .select('sequence hash eventId timestamp compliance.retentionUntil')
+    .lean();
+
+  if (!head) return null;
+
+  const latest = await AuditCheckpoint.findLatest();
+  if (latest && latest.sequence >= head.sequence) return null;
+
+  const checkpoint = {
+    sequence: head.sequence,
+    hash: head.hash,
+    eventId: head.eventId,
+    entryTimestamp: head.timestamp,
+    entryRetentionUntil: head.compliance?.retentionUntil || null,
+    signedAt: new Date()
+  };
+  checkpoint.signature = signCheckpoint(checkpoint);
+
+  return await AuditCheckpoint.create(checkpoint);
+};
+
+// Checkpoints newest first, each with whether its signature still holds
+const listCheckpoints = async ({ limit = 100 } = {}) => {
+  const checkpoints = await AuditCheckpoint.find().sort({ sequence: -1 }).limit(limit).lean();
+
+  return checkpoints.map(checkpoint => ({
+    sequence: checkpoint.sequence,
+    hash: checkpoint.hash,
+    eventId: checkpoint.eventId,
+    entryTimestamp: checkpoint.entryTimestamp,
+    entryRetentionUntil: checkpoint.entryRetentionUntil || null,
+    signedAt: checkpoint.signedAt,
+    signature: checkpoint.signature,
+    signatureValid: isCheckpointSignatureValid(checkpoint)
+  }));
+};
+
+/**
+ * Walk the chain from its oldest remaining entry and stop at the first broken link.
+ * Entries removed by the retention TTL leave the chain starting after sequence 1;
+ * that start is reported, not treated as a break, as long as the removed entry
+ * before it had passed its retention date.
+ * @param {object} [options]
+ * @param {Date} [options.now] - Time to check retention dates against
+ * @returns {object} { valid, checkedEntries, firstSequence, lastSequence, startsAfterExpiredEntries, startRetentionVerified, checkpointsChecked, unchainedEntries, brokenLink }
+ */
+const verifyAuditChain = async ({ now = new Date() } = {}) => {
+  const checkpoints = await AuditCheckpoint.find().lean();
+  const checkpointsBySequence = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, checkpoint]));
+
+  const result = {
+    valid: true,
+    checkedEntries: 0,
+    firstSequence: null,
+    lastSequence: null,
+    startsAfterExpiredEntries: false,
+    startRetentionVerified: null,
+    checkpointsChecked: 0,
+    unchainedEntries: await AuditEntry.countDocuments({ sequence: { $not: { $type: 'number' } } }),
+    brokenLink: null
+  };
+
+  const breakAt = (entry, reason, extra = {}) => {
+    result.valid = false;
+    result.brokenLink = {
+      sequence: entry.sequence,
+      eventId: entry.eventId,
+      timestamp: entry.timestamp,
+      reason,
+      ...extra
+    };
+  };
+
+  // The signatures themselves must hold before they can vouch for anything
+  const forged = checkpoints.find(checkpoint => !isCheckpointSignatureValid(checkpoint));
+  if (forged) {
+    result.valid = false;
+    result.brokenLink = {
+      sequence: forged.sequence,
+      eventId: forged.eventId,
+      timestamp: forged.entryTimestamp,
+      reason: 'checkpoint_signature_invalid'
+    };
+    return result;
+  }
+
+  const cursor = AuditEntry.find({ sequence: { $type: 'number' } }).sort({ sequence: 1 }).lean().cursor();
+  let previous = null;
+
+  for await (const entry of cursor) {
+    if (previous === null) {
+      result.firstSequence = entry.sequence;
+
+      if (entry.sequence === 1 && entry.previousHash !== GENESIS_HASH) {
+        breakAt(entry, 'previous_hash_mismatch', { expected: GENESIS_HASH, actual: entry.previousHash });
+        break;
+      }
+
+      if (entry.sequence > 1) {
+        // The entry before the start must have been old enough for the TTL to remove it
+        const previousRetentionUntil = entry.previousRetentionUntil ? new Date(entry.previousRetentionUntil) : null;
+        if (previousRetentionUntil && previousRetentionUntil > now) {
+          breakAt(entry, 'entries_removed_before_retention', {
+            expectedSequence: entry.sequence - 1,
+            previousRetentionUntil
+          });
+          break;
+        }
+
+        // A checkpoint older than the start vouched for an entry that has gone
+        const removedCheckpoint = checkpoints.find(checkpoint =>
+          checkpoint.sequence < entry.sequence && checkpoint.entryRetentionUntil && new Date(checkpoint.entryRetentionUntil) > now
+        );
+        if (removedCheckpoint) {
+          breakAt(entry, 'entries_removed_before_retention', {
+            expectedSequence: removedCheckpoint.sequence,
+            previousRetentionUntil: removedCheckpoint.entryRetentionUntil
+          });
+          break;
+        }
+
+        result.startsAfterExpiredEntries = true;
+        // Entries from before previousRetentionUntil was recorded cannot show when their predecessor expired
+        result.startRetentionVerified = Boolean(previousRetentionUntil);
+      }
+    } else if (entry.sequence !== previous.sequence + 1) {
+      breakAt(entry, 'missing_entries', { expectedSequence: previous.sequence + 1 });
+      break;
+    } else if (entry.previousHash !== previous.hash) {
+      breakAt(entry, 'previous_hash_mismatch', { expected: previous.hash, actual: entry.previousHash });
+      break;
+    }
+
+    const hash = computeEntryHash(entry);
+    if (hash !== entry.hash) {
+      breakAt(entry, 'content_modified', { expected: entry.hash, actual: hash });
+      break;
+    }
+
+    const checkpoint = checkpointsBySequence.get(entry.sequence);
+    if (checkpoint) {
+      result.checkpointsChecked++;
+      if (checkpoint.hash !== entry.hash || checkpoint.eventId !== entry.eventId) {
+        breakAt(entry, 'checkpoint_mismatch', { expected: checkpoint.hash, actual: entry.hash });
+        break;
+      }
+    }
+
+    result.checkedEntries++;
+    result.lastSequence = entry.sequence;
+    previous = entry;
+  }
+
+  await cursor.close();
+
+  // Entries cut from the end after a checkpoint was signed
+  const latest = checkpoints.reduce((max, checkpoint) => (!max || checkpoint.sequence > max.sequence ? checkpoint : max), null);
+  if (result.valid && latest && (result.lastSequence === null || result.lastSequence < latest.sequence)) {
+    result.valid = false;
+    result.brokenLink = {
+      sequence: latest.sequence,
+      eventId: latest.eventId,
+      timestamp: latest.entryTimestamp,
+      reason: 'entries_missing_after_checkpoint',
+      lastSequence: result.lastSequence
+    };
+  }
+
+  return result;
+};
+
+// Sign a checkpoint on an interval (AUDIT_CHECKPOINT_INTERVAL_MINUTES, default 60)
+const startCheckpointScheduler = (intervalMinutes = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60) => {
+  if (checkpointTimer) return checkpointTimer;
+
+  checkpointTimer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (checkpointInProgress) return;
+
+    checkpointInProgress = true;
+    try {
+      const checkpoint = await createCheckpoint();
+      if (checkpoint) {
+        logger.info('Audit checkpoint signed', { sequence: checkpoint.sequence });
+      }
+    } catch (error) {
+      logger.error('Audit checkpoint scheduler failed', { error: error.message });
+    } finally {
+      checkpointInProgress = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for the scheduler
+  checkpointTimer.unref();
+
+  return checkpointTimer;
+};
+
+const stopCheckpointScheduler = () => {
+  if (checkpointTimer) {
+    clearInterval(checkpointTimer);
+    checkpointTimer = null;
+  }
+};
+
+module.exports = {
+  GENESIS_HASH,
+  computeEntryHash,
+  appendToChain,
+  createCheckpoint,
+  listCheckpoints,
+  verifyAuditChain,
+  startCheckpointScheduler,
+  stopCheckpointScheduler
+};
@@ -1,25 +1,59 @@
 const { logger, maskSensitiveData } = require('./logger');
-const fs = require('fs').promises;
-const path = require('path');
-
-// In-memory audit trail for quick access (in production, use Redis or database)
-const auditTrail = new Map();
-const AUDIT_RETENTION_DAYS = 90;
-
-// Clean up old audit entries daily
-setInterval(() => {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - AUDIT_RETENTION_DAYS);
-
-  for (const [key, entries] of auditTrail.entries()) {
-    const filteredEntries = entries.filter(entry => new Date(entry.timestamp) > cutoffDate);
-    if (filteredEntries.length === 0) {
-      auditTrail.delete(key);
-    } else {
-      auditTrail.set(key, filteredEntries);
+const AuditEntry = require('../models/AuditEntry');
+const { appendToChain, listCheckpoints } = require('./auditChain');
+const { escapeRegex } = require('./regex');
+
+// Entries live in MongoDB; the TTL index on compliance.retentionUntil removes them once retention ends
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 90;
+const AUDIT_EXPORT_LIMIT = parseInt(process.env.AUDIT_EXPORT_LIMIT) || 10000;
+
+// Fields recorded when a user or lead is created or deleted
+const USER_AUDIT_FIELDS = ['name', 'email', 'role', 'team', 'isActive', 'leadCapacity', 'dailyLeadCap'];
+const LEAD_AUDIT_FIELDS = [
+  'name', 'phone', 'website', 'description', 'location', 'sector', 'status', 'notes',
+  'leadScore', 'assignee', 'assignedTo', 'assignedDate', 'campaign', 'callTime', 'callback'
+];
+
+// Fields whose values are never written to the audit trail; a change is recorded without them
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'passwordResetExpires', 'twoFactor'];
+
+// Plain JSON form of a field value (ObjectIds and dates become strings) so versions compare reliably
+const toAuditValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Copy of the given fields of a record, for create and delete entries
+ * @param {object} record - Mongoose document or plain object
+ * @param {string[]} fields - Fields to keep
+ * @returns {object} Field values
+ */
+const snapshotFields = (record, fields) => {
+  return fields.reduce((acc, field) => {
+    if (!REDACTED_FIELDS.includes(field)) acc[field] = toAuditValue(record ? record[field] : undefined);
+    return acc;
+  }, {});
+};
+
+/**
+ * Before and after values of the fields that differ between two versions of a record
+ * @param {object} before - Record (or snapshot) before the change
+ * @param {object} after - Record after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {object} { field: { from, to } } for each changed field; redacted fields are { changed: true }
+ */
+const diffChanges = (before, after, fields) => {
+  const changes = {};
+
+  fields.forEach(field => {
+    const from = toAuditValue(before ? before[field] : undefined);
+    const to = toAuditValue(after ? after[field] : undefined);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = REDACTED_FIELDS.includes(field) ? { changed: true } : { from, to };
     }
-  }
-}, 24 * 60 * 60 * 1000); // Daily cleanup
+  });
+
+  return changes;
+};
 
 // Audit event types
 const AUDIT_EVENTS = {
@@ -29,6 +63,9 @@ const AUDIT_EVENTS = {
   USER_LOGIN_FAILED: 'USER_LOGIN_FAILED',
   PASSWORD_CHANGED: 'PASSWORD_CHANGED',
   PASSWORD_RESET: 'PASSWORD_RESET',
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+  RECOVERY_CODES_REGENERATED: 'RECOVERY_CODES_REGENERATED',
 
   // User management events
   USER_CREATED: 'USER_CREATED',
@@ -78,43 +115,31 @@ const AUDIT_EVENTS = {
 
 // Audit logger class
 class AuditLogger {
-  constructor() {
-    this.auditFile = path.join(__dirname, '../logs/audit-trail.json');
-    this.initializeAuditFile();
-  }
-
-  async initializeAuditFile() {
-    try {
-      await fs.access(this.auditFile);
-    } catch (error) {
-      // Create audit file if it doesn't exist
-      await fs.writeFile(this.auditFile, JSON.stringify([]));
-    }
-  }
-
   // Core audit logging method
   async log(eventType, user, action, details = {}, metadata = {}) {
+    const userId = user._id || user.id;
     const auditEntry = {
-      id: require('crypto').randomUUID(),
-      timestamp: new Date().toISOString(),
+      eventId: require('crypto').randomUUID(),
+      timestamp: new Date(),
       eventType,
       user: {
-        id: user._id || user.id,
+        id: userId ? String(userId) : null,
         email: user.email,
         role: user.role,
         name: user.name,
       },
       action,
-      details: maskSensitiveData(details),
-      metadata: {
+      // Stored as plain JSON so the entry reads back exactly as it was hashed
+      details: toAuditValue(maskSensitiveData(details)),
+      metadata: toAuditValue({
         ip: metadata.ip,
         userAgent: metadata.userAgent,
         sessionId: metadata.sessionId,
         requestId: metadata.requestId,
         ...metadata,
-      },
+      }),
       compliance: {
-        retentionUntil: new Date(Date.now() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        retentionUntil: new Date(Date.now() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
         category: this.getComplianceCategory(eventType),
         severity: this.getSeverityLevel(eventType),
       },
@@ -123,46 +148,18 @@ class AuditLogger {
     // Log to Winston
     logger.info(`AUDIT: ${eventType}`, maskSensitiveData(auditEntry));
 
-    // Store in memory for quick access
-    this.storeInMemory(auditEntry);
-
-    // Store in file for persistence
-    await this.storeInFile(auditEntry);
+    // Persist to MongoDB
+    await this.storeEntry(auditEntry);
 
-    return auditEntry.id;
+    return auditEntry.eventId;
   }
 
-  // Store audit entry in memory
-  storeInMemory(entry) {
-    const userId = entry.user.id;
-    if (!auditTrail.has(userId)) {
-      auditTrail.set(userId, []);
-    }
-
-    const userEntries = auditTrail.get(userId);
-    userEntries.push(entry);
-
-    // Keep only last 1000 entries per user
-    if (userEntries.length > 1000) {
-      userEntries.splice(0, userEntries.length - 1000);
-    }
-  }
-
-  // Store audit entry in file
-  async storeInFile(entry) {
+  // Append audit entry to the hash chain in MongoDB; a failed write is logged but never breaks the request being audited
+  async storeEntry(entry) {
     try {
-      const data = await fs.readFile(this.auditFile, 'utf8');
-      const entries = JSON.parse(data);
-      entries.push(entry);
-
-      // Keep only last 10000 entries in file
-      if (entries.length > 10000) {
-        entries.splice(0, entries.length - 10000);
-      }
-
-      await fs.writeFile(this.auditFile, JSON.stringify(entries, null, 2));
+      await appendToChain(entry);
     } catch (error) {
-      logger.error('Failed to write audit entry to file', { error: error.message, entry: entry.id });
+      logger.error('Failed to store audit entry', { error: error.message, entry: entry.eventId });
     }
   }
 
@@ -174,6 +171,9 @@ class AuditLogger {
       [AUDIT_EVENTS.USER_LOGIN_FAILED]: 'Security',
       [AUDIT_EVENTS.PASSWORD_CHANGED]: 'Authentication',
       [AUDIT_EVENTS.PASSWORD_RESET]: 'Authentication',
+      [AUDIT_EVENTS.TWO_FACTOR_ENABLED]: 'Authentication',
+      [AUDIT_EVENTS.TWO_FACTOR_DISABLED]: 'Security',
+      [AUDIT_EVENTS.RECOVERY_CODES_REGENERATED]: 'Authentication',
       [AUDIT_EVENTS.USER_CREATED]: 'User Management',
       [AUDIT_EVENTS.USER_UPDATED]: 'User Management',
       [AUDIT_EVENTS.USER_DELETED]: 'User Management',
@@ -220,6 +220,7 @@ class AuditLogger {
       [AUDIT_EVENTS.USER_DELETED]: 'high',
       [AUDIT_EVENTS.USER_ROLE_CHANGED]: 'high',
       [AUDIT_EVENTS.ADMIN_CONFIG_CHANGED]: 'medium',
+      [AUDIT_EVENTS.TWO_FACTOR_DISABLED]: 'medium',
       [AUDIT_EVENTS.DATA_PURGE]: 'high',
       [AUDIT_EVENTS.LEAD_BULK_UPDATED]: 'medium',
       [AUDIT_EVENTS.ADMIN_BULK_OPERATION]: 'medium',
@@ -269,6 +270,80 @@ class AuditLogger {
     );
   }
 
+  async logPasswordSetByAdmin(user, admin, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.PASSWORD_CHANGED,
+      admin,
+      'Password set by admin',
+      {
+        targetUserId: user._id,
+        targetUserEmail: user.email,
+        changes: { password: { changed: true } },
+      },
+      metadata
+    );
+  }
+
+  async logPasswordReset(user, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.PASSWORD_RESET,
+      user,
+      'Password reset with emailed token',
+      { sessionsRevokedAt: user.sessionsRevokedAt },
+      metadata
+    );
+  }
+
+  async logSuspiciousActivity(user, action, details, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
+      user,
+      action,
+      details,
+      metadata
+    );
+  }
+
+  async logTwoFactorChange(user, enabled, metadata = {}) {
+    return await this.log(
+      enabled ? AUDIT_EVENTS.TWO_FACTOR_ENABLED : AUDIT_EVENTS.TWO_FACTOR_DISABLED,
+      user,
+      enabled ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled',
+      {},
+      metadata
+    );
+  }
+
+  async logRecoveryCodesRegenerated(user, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.RECOVERY_CODES_REGENERATED,
+      user,
+      'Recovery codes regenerated',
+      {},
+      metadata
+    );
+  }
+
+  async logConfigChange(admin, setting, value, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.ADMIN_CONFIG_CHANGED,
+      admin,
+      'System setting changed',
+      { setting, value },
+      metadata
+    );
+  }
+
+  async logRefreshTokenReuse(user, family, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.SUSPICIOUS_ACTIVITY,
+      user,
+      'Refresh token reused; session revoked',
+      { family },
+      metadata
+    );
+  }
+
   async logUserCreation(createdUser, createdBy, metadata = {}) {
     return await this.log(
       AUDIT_EVENTS.USER_CREATED,
@@ -278,6 +353,7 @@ class AuditLogger {
         createdUserId: createdUser._id,
         createdUserEmail: createdUser.email,
         createdUserRole: createdUser.role,
+        after: snapshotFields(createdUser, USER_AUDIT_FIELDS),
       },
       metadata
     );
@@ -306,6 +382,35 @@ class AuditLogger {
         deletedUserId: deletedUser._id,
         deletedUserEmail: deletedUser.email,
         deletedUserRole: deletedUser.role,
+        before: snapshotFields(deletedUser, USER_AUDIT_FIELDS),
+      },
+      metadata
+    );
+  }
+
+  async logUserStatusChange(user, changedBy, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.USER_STATUS_CHANGED,
+      changedBy,
+      user.isActive ? 'User account activated' : 'User account deactivated',
+      {
+        targetUserId: user._id,
+        targetUserEmail: user.email,
+        changes: { isActive: { from: !user.isActive, to: user.isActive } },
+      },
+      metadata
+    );
+  }
+
+  async logUserRoleChange(user, changedBy, change, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.USER_ROLE_CHANGED,
+      changedBy,
+      'User role changed',
+      {
+        targetUserId: user._id,
+        targetUserEmail: user.email,
+        changes: { role: change },
       },
       metadata
     );
@@ -321,6 +426,7 @@ class AuditLogger {
         leadName: lead.name,
         leadPhone: lead.phone,
         leadEmail: lead.email,
+        after: snapshotFields(lead, LEAD_AUDIT_FIELDS),
       },
       metadata
     );
@@ -355,6 +461,48 @@ class AuditLogger {
     );
   }
 
+  // One entry for a batch of assignments; each item is { leadId, from, to } with the assignee id and name
+  async logBulkLeadAssignment(assignedBy, assignments, details = {}, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.LEAD_ASSIGNED,
+      assignedBy,
+      'Leads assigned',
+      {
+        leadCount: assignments.length,
+        ...details,
+        assignments: toAuditValue(assignments),
+      },
+      metadata
+    );
+  }
+
+  async logLeadDeletion(lead, deletedBy, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.LEAD_DELETED,
+      deletedBy,
+      'Lead deleted',
+      {
+        leadId: lead._id,
+        leadName: lead.name,
+        before: snapshotFields(lead, LEAD_AUDIT_FIELDS),
+      },
+      metadata
+    );
+  }
+
+  async logBulkLeadDeletion(leads, deletedBy, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.ADMIN_BULK_OPERATION,
+      deletedBy,
+      'Leads bulk deleted',
+      {
+        leadCount: leads.length,
+        before: leads.map(lead => ({ leadId: lead._id, ...snapshotFields(lead, LEAD_AUDIT_FIELDS) })),
+      },
+      metadata
+    );
+  }
+
   async logAdminAction(admin, action, target, details, metadata = {}) {
     return await this.log(
       AUDIT_EVENTS.ADMIN_USER_MANAGEMENT,
@@ -383,6 +531,20 @@ class AuditLogger {
     );
   }
 
+  async logDataImport(user, importType, recordCount, metadata = {}) {
+    return await this.log(
+      AUDIT_EVENTS.DATA_IMPORT,
+      user,
+      'Data imported',
+      {
+        importType,
+        recordCount,
+        fileName: metadata.fileName || 'unknown',
+      },
+      metadata
+    );
+  }
+
   async logFileUpload(user, file, metadata = {}) {
     return await this.log(
       AUDIT_EVENTS.FILE_UPLOADED,
@@ -408,146 +570,140 @@ class AuditLogger {
     );
   }
 
-  // Query audit trail
-  async getUserAuditTrail(userId, options = {}) {
-    const {
-      startDate,
-      endDate,
-      eventTypes,
-      limit = 100,
-      offset = 0
-    } = options;
-
-    let entries = auditTrail.get(userId) || [];
-
-    // Apply filters
-    if (startDate) {
-      entries = entries.filter(entry => new Date(entry.timestamp) >= new Date(startDate));
-    }
-
-    if (endDate) {
-      entries = entries.filter(entry => new Date(entry.timestamp) <= new Date(endDate));
-    }
-
-    if (eventTypes && eventTypes.length > 0) {
-      entries = entries.filter(entry => eventTypes.includes(entry.eventType));
-    }
-
-    // Sort by timestamp (newest first)
-    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-
-    // Apply pagination
-    return entries.slice(offset, offset + limit);
-  }
-
-  // Get audit statistics
-  async getAuditStats(userId, days = 30) {
-    const entries = auditTrail.get(userId) || [];
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
-
-    const recentEntries = entries.filter(entry => new Date(entry.timestamp) >= cutoffDate);
-
-    const stats = {
-      totalEvents: recentEntries.length,
-      eventsByType: {},
-      eventsByCategory: {},
-      eventsBySeverity: { low: 0, medium: 0, high: 0 },
-      dailyBreakdown: {},
-    };
-
-    recentEntries.forEach(entry => {
-      // Count by event type
-      stats.eventsByType[entry.eventType] = (stats.eventsByType[entry.eventType] || 0) + 1;
-
-      // Count by category
-      stats.eventsByCategory[entry.compliance.category] = (stats.eventsByCategory[entry.compliance.category] || 0) + 1;
-
-      // Count by severity
-      stats.eventsBySeverity[entry.compliance.severity]++;
-
-      // Daily breakdown
-      const date = entry.timestamp.split('T')[0];
-      stats.dailyBreakdown[date] = (stats.dailyBreakdown[date] || 0) + 1;
-    });
-
-    return stats;
-  }
-
-  // Search audit trail
-  async searchAuditTrail(searchCriteria, options = {}) {
+  // Build a MongoDB filter from audit search criteria
+  buildSearchFilter(criteria = {}) {
     const {
       userId,
+      userIds,
       searchTerm,
       eventTypes,
       categories,
       severity,
       startDate,
-      endDate,
-      limit = 100,
-      offset = 0
-    } = searchCriteria;
+      endDate
+    } = criteria;
 
-    let entries = [];
+    const filter = {};
 
-    // Collect entries from relevant users
     if (userId) {
-      entries = auditTrail.get(userId) || [];
-    } else {
-      // Search across all users
-      for (const userEntries of auditTrail.values()) {
-        entries.push(...userEntries);
-      }
-    }
-
-    // Apply filters
-    if (startDate) {
-      entries = entries.filter(entry => new Date(entry.timestamp) >= new Date(startDate));
+      filter['user.id'] = String(userId);
     }
 
-    if (endDate) {
-      entries = entries.filter(entry => new Date(entry.timestamp) <= new Date(endDate));
+    // Restricts results to a set of actors, e.g. a manager's team; combines with userId
+    if (userIds) {
+      filter.$and = [{ 'user.id': { $in: userIds.map(String) } }];
     }
 
     if (eventTypes && eventTypes.length > 0) {
-      entries = entries.filter(entry => eventTypes.includes(entry.eventType));
+      filter.eventType = { $in: eventTypes };
     }
 
     if (categories && categories.length > 0) {
-      entries = entries.filter(entry => categories.includes(entry.compliance.category));
+      filter['compliance.category'] = { $in: categories };
     }
 
     if (severity) {
-      entries = entries.filter(entry => entry.compliance.severity === severity);
+      filter['compliance.severity'] = severity;
+    }
+
+    if (startDate || endDate) {
+      filter.timestamp = {};
+      if (startDate) filter.timestamp.$gte = new Date(startDate);
+      if (endDate) filter.timestamp.$lte = new Date(endDate);
     }
 
     if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      entries = entries.filter(entry =>
-        entry.action.toLowerCase().includes(term) ||
-        entry.details && JSON.stringify(entry.details).toLowerCase().includes(term) ||
-        entry.user.email.toLowerCase().includes(term) ||
-        entry.user.name && entry.user.name.toLowerCase().includes(term)
-      );
+      const pattern = new RegExp(escapeRegex(searchTerm), 'i');
+      filter.$or = [
+        { action: pattern },
+        { eventType: pattern },
+        { 'user.email': pattern },
+        { 'user.name': pattern }
+      ];
     }
 
-    // Sort by timestamp (newest first)
-    entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return filter;
+  }
+
+  // Query audit trail
+  async getUserAuditTrail(userId, options = {}) {
+    const { entries } = await this.searchAuditTrail({ ...options, userId });
+    return entries;
+  }
+
+  // Get audit statistics for entries matching the search criteria, by default over the last `days` days
+  async getAuditStats(searchCriteria = {}, days = 30) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const match = this.buildSearchFilter(searchCriteria);
+
+    // An explicit start date takes precedence over the `days` window
+    if (!searchCriteria.startDate) {
+      match.timestamp = { ...match.timestamp, $gte: cutoffDate };
+    }
+
+    const [result] = await AuditEntry.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byType: [{ $group: { _id: '$eventType', count: { $sum: 1 } } }],
+          byCategory: [{ $group: { _id: '$compliance.category', count: { $sum: 1 } } }],
+          bySeverity: [{ $group: { _id: '$compliance.severity', count: { $sum: 1 } } }],
+          daily: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const toCounts = (groups, initial = {}) => groups.reduce((acc, group) => {
+      acc[group._id] = (acc[group._id] || 0) + group.count;
+      return acc;
+    }, initial);
+
+    return {
+      totalEvents: result.total.length > 0 ? result.total[0].count : 0,
+      eventsByType: toCounts(result.byType),
+      eventsByCategory: toCounts(result.byCategory),
+      eventsBySeverity: toCounts(result.bySeverity, { low: 0, medium: 0, high: 0 }),
+      dailyBreakdown: toCounts(result.daily),
+    };
+  }
 
-    // Apply pagination
-    return entries.slice(offset, offset + limit);
+  // Search audit trail; resolves with one page of entries (newest first) and the total match count
+  async searchAuditTrail(searchCriteria = {}) {
+    const { limit = 100, offset = 0 } = searchCriteria;
+    const filter = this.buildSearchFilter(searchCriteria);
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      AuditEntry.countDocuments(filter)
+    ]);
+
+    return { entries, total };
   }
 
-  // Export audit trail for compliance
-  async exportAuditTrail(userId, format = 'json', options = {}) {
-    const entries = await this.getUserAuditTrail(userId, { ...options, limit: 10000 });
+  // Export audit trail for compliance; JSON exports carry the signed checkpoints so the chain can be checked offline
+  async exportAuditTrail(searchCriteria = {}, format = 'json') {
+    const { entries } = await this.searchAuditTrail({ ...searchCriteria, limit: AUDIT_EXPORT_LIMIT, offset: 0 });
 
     switch (format) {
       case 'csv':
         return this.convertToCSV(entries);
       case 'json':
       default:
-        return JSON.stringify(entries, null, 2);
+        return JSON.stringify({
+          exportedAt: new Date().toISOString(),
+          entries,
+          checkpoints: await listCheckpoints()
+        }, null, 2);
     }
   }
 
@@ -564,21 +720,27 @@ class AuditLogger {
       'Details',
       'IP Address',
       'Category',
-      'Severity'
+      'Severity',
+      'Sequence',
+      'Previous Hash',
+      'Hash'
     ];
 
     const csvRows = [
       headers.join(','),
       ...entries.map(entry => [
-        entry.timestamp,
+        new Date(entry.timestamp).toISOString(),
         entry.eventType,
         entry.user.email,
         entry.user.role,
-        `"${entry.action}"`,
+        `"${String(entry.action).replace(/"/g, '""')}"`,
         `"${JSON.stringify(entry.details).replace(/"/g, '""')}"`,
         entry.metadata.ip || '',
         entry.compliance.category,
-        entry.compliance.severity
+        entry.compliance.severity,
+        entry.sequence ?? '',
+        entry.previousHash || '',
+        entry.hash || ''
       ].join(','))
     ];
 
@@ -592,4 +754,8 @@ const auditLogger = new AuditLogger();
 module.exports = {
   auditLogger,
   AUDIT_EVENTS,
+  USER_AUDIT_FIELDS,
+  LEAD_AUDIT_FIELDS,
+  snapshotFields,
+  diffChanges,
 };
\ No newline at end of file
@@ -78,19 +78,23 @@ const calculateTotalCallTime = (leads) => {
   };
 };
 
-// Get call time statistics for dashboard
-const getCallTimeStats = async (Lead) => {
+// Get call time statistics for dashboard, optionally limited to leads matching `match`
+const getCallTimeStats = async (Lead, match = {}) => {
   try {
     const stats = await Lead.aggregate([
       {
         $match: {
           callTime: { $exists: true, $ne: null, $ne: '' },
-          assignedTo: { $ne: 'Unassigned' }
+          assignee: { $ne: null }
         }
       },
+      {
+        $match: match
+      },
       {
         $group: {
-          _id: '$assignedTo',
+          _id: '$assignee',
+          employee: { $first: '$assignedTo' },
           totalLeads: { $sum: 1 },
           totalCallTimeSeconds: {
             $sum: {
@@ -115,7 +119,8 @@ const getCallTimeStats = async (Lead) => {
     ]);
 
     return stats.map(stat => ({
-      employee: stat._id,
+      employeeId: stat._id,
+      employee: stat.employee,
       totalLeads: stat.totalLeads,
       completedLeads: stat.completedLeads,
       totalCallTime: secondsToDuration(stat.totalCallTimeSeconds),
@@ -0,0 +1,188 @@
+/**
+ * Calling Window Utilities
+ * Enforce Campaign.communicationSettings (calling hours, days of week,
+ * maxCallsPerDay) in the campaign's own time zone
+ */
+
+const Campaign = require('../models/Campaign');
+const Call = require('../models/Call');
+const BlockedCallAttempt = require('../models/BlockedCallAttempt');
+const { DEFAULT_TIME_ZONE, getZonedParts, formatInTimeZone, startOfDayInZone } = require('./timeZone');
+
+const { BLOCK_REASONS } = BlockedCallAttempt;
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether calls are allowed right now under a campaign's settings
+ * @param {object} settings - Campaign.communicationSettings
+ * @param {Date} now - Moment to check
+ * @returns {object} { allowed, reason, timeZone, localTime }
+ */
+const checkCallingWindow = (settings = {}, now = new Date()) => {
+  const timeZone = settings.timeZone || DEFAULT_TIME_ZONE;
+  const parts = getZonedParts(now, timeZone);
+  const result = { allowed: true, reason: null, timeZone, localTime: formatInTimeZone(now, timeZone) };
+
+  if (settings.daysOfWeek && settings.daysOfWeek.length > 0 && !settings.daysOfWeek.includes(parts.weekday)) {
+    return { ...result, allowed: false, reason: BLOCK_REASONS.DAY_NOT_ALLOWED };
+  }
+
+  const hours = settings.callingHours || {};
+  if (hours.start && hours.end) {
+    const current = parts.hour * 60 + parts.minute;
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+
+    // A window such as 20:00-02:00 wraps past midnight
+    const inside = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+
+    if (!inside) {
+      return { ...result, allowed: false, reason: BLOCK_REASONS.OUTSIDE_CALLING_HOURS };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Work out, per campaign, whether an agent may call its leads right now
+ * @param {Array} campaignIds - Campaigns to check
+ * @param {ObjectId} agentId - Agent making the calls
+ * @param {Date} now - Moment to check
+ * @returns {Map} campaign id string -> { allowed, reason, timeZone, localTime, callsToday, maxCallsPerDay }
+ */
+const getCampaignRestrictions = async (campaignIds, agentId, now = new Date()) => {
+  const restrictions = new Map();
+  if (!campaignIds || campaignIds.length === 0) return restrictions;
+
+  const campaigns = await Campaign.find({ _id: { $in: campaignIds } }, 'name status startDate endDate communicationSettings');
+
+  for (const campaign of campaigns) {
+    const settings = campaign.communicationSettings || {};
+    const window = checkCallingWindow(settings, now);
+
+    const callsToday = await Call.countDocuments({
+      agent: agentId,
+      campaign: campaign._id,
+      startedAt: { $gte: startOfDayInZone(now, window.timeZone) }
+    });
+
+    const restriction = {
+      campaignId: campaign._id,
+      campaignName: campaign.name,
+      ...window,
+      callsToday,
+      maxCallsPerDay: settings.maxCallsPerDay || null
+    };
+
+    if (!campaign.isActive()) {
+      restriction.allowed = false;
+      restriction.reason = BLOCK_REASONS.CAMPAIGN_NOT_ACTIVE;
+    } else if (window.allowed && restriction.maxCallsPerDay && callsToday >= restriction.maxCallsPerDay) {
+      restriction.allowed = false;
+      restriction.reason = BLOCK_REASONS.DAILY_CAP_REACHED;
+    }
+
+    restrictions.set(campaign._id.toString(), restriction);
+  }
+
+  return restrictions;
+};
+
+/**
+ * Split leads into those an agent may be served now and those held back
+ * Leads outside any campaign are never restricted.
+ * @param {Array} leads - Lead documents
+ * @param {ObjectId} agentId - Agent the leads are served to
+ * @param {Date} now - Moment to check
+ * @returns {object} { servable, heldBack, restrictions }
+ */
+const filterServableLeads = async (leads, agentId, now = new Date()) => {
+  const campaignIds = [...new Set(leads.filter(lead => lead.campaign).map(lead => lead.campaign.toString()))];
+  const restrictions = await getCampaignRestrictions(campaignIds, agentId, now);
+
+  const servable = [];
+  const heldBack = [];
+
+  leads.forEach(lead => {
+    const restriction = lead.campaign ? restrictions.get(lead.campaign.toString()) : null;
+
+    if (restriction && !restriction.allowed) {
+      heldBack.push({ leadId: lead._id, campaignId: lead.campaign, reason: restriction.reason });
+    } else {
+      servable.push(lead);
+    }
+  });
+
+  return { servable, heldBack, restrictions };
+};
+
+// Check a single lead before an agent calls it; resolves with the campaign restriction (or an allowed result)
+const checkLeadCallable = async (lead, agentId, now = new Date()) => {
+  if (!lead.campaign) {
+    return { allowed: true, reason: null };
+  }
+
+  const restrictions = await getCampaignRestrictions([lead.campaign], agentId, now);
+  return restrictions.get(lead.campaign.toString()) || { allowed: true, reason: null };
+};
+
+/**
+ * Refuse a call an agent is about to make when the lead's campaign does not allow it,
+ * recording the refused attempt so admins can review it
+ * @param {object} lead - Lead document
+ * @param {object} agent - User making the call
+ * @param {string} source - Endpoint the attempt came through
+ * @returns {object} The restriction; check .allowed before going ahead
+ */
+const enforceCallingWindow = async (lead, agent, source) => {
+  const restriction = await checkLeadCallable(lead, agent._id);
+
+  if (!restriction.allowed) {
+    await BlockedCallAttempt.record({ agent, lead, restriction, source });
+  }
+
+  return restriction;
+};
+
+// Human-readable explanation of a block reason
+const describeBlock = (restriction) => {
+  switch (restriction.reason) {
+    case BLOCK_REASONS.CAMPAIGN_NOT_ACTIVE:
+      return `Campaign "${restriction.campaignName}" is not active`;
+    case BLOCK_REASONS.DAY_NOT_ALLOWED:
+      return `Calls for campaign "${restriction.campaignName}" are not allowed today (${restriction.localTime} ${restriction.timeZone})`;
+    case BLOCK_REASONS.OUTSIDE_CALLING_HOURS:
+      return `Outside calling hours for campaign "${restriction.campaignName}" (${restriction.localTime} ${restriction.timeZone})`;
+    case BLOCK_REASONS.DAILY_CAP_REACHED:
+      return `Daily call limit of ${restriction.maxCallsPerDay} reached for campaign "${restriction.campaignName}"`;
+    default:
+      return 'Calls to this lead are not allowed right now';
+  }
+};
+
+// Tally held-back leads by reason for API summaries
+const summariseHeldBack = (heldBack) => ({
+  total: heldBack.length,
+  byReason: heldBack.reduce((acc, item) => {
+    acc[item.reason] = (acc[item.reason] || 0) + 1;
+    return acc;
+  }, {})
+});
+
+module.exports = {
+  BLOCK_REASONS,
+  checkCallingWindow,
+  getCampaignRestrictions,
+  filterServableLeads,
+  checkLeadCallable,
+  enforceCallingWindow,
+  describeBlock,
+  summariseHeldBack
+};
@@ -0,0 +1,219 @@
+/**
+ * Campaign Audience Builder
+ * Turns Campaign.customerCriteria into a lead query, previews the matching
+ * audience, attaches it to the campaign and keeps auto-refresh campaigns current
+ */
+
+const Campaign = require('../models/Campaign');
+const Lead = require('../models/Lead');
+const User = require('../models/User');
+const { logger } = require('./logger');
+const { applyScope, leadScopeFilter } = require('./teamScope');
+const { escapeRegex } = require('./regex');
+
+// Closed leads are never pulled into a new campaign
+const CLOSED_STATUSES = ['Completed', 'Not Interested'];
+
+// Fallback window for excludeRecentContacts when no daysSinceLastContact is given
+const DEFAULT_RECENT_CONTACT_DAYS = 1;
+
+const hasValue = (value) => value !== undefined && value !== null;
+
+/**
+ * Build a Mongo filter over leads from a campaign's customer criteria
+ * @param {object} criteria - Campaign.customerCriteria
+ * @param {Date} now - Reference time for contact-recency rules
+ * @returns {object} { filter, ignored } where ignored lists criteria leads cannot be matched on
+ */
+const buildAudienceQuery = (criteria = {}, now = new Date()) => {
+  const conditions = [{ status: { $nin: CLOSED_STATUSES } }];
+  const ignored = [];
+
+  if (criteria.locations && criteria.locations.length > 0) {
+    conditions.push({
+      $or: criteria.locations.map(location => ({
+        location: { $regex: escapeRegex(location), $options: 'i' }
+      }))
+    });
+  }
+
+  if (criteria.tags && criteria.tags.length > 0) {
+    conditions.push({ tags: { $in: criteria.tags.map(tag => tag.trim().toLowerCase()) } });
+  }
+
+  const score = criteria.leadScore || {};
+  if (hasValue(score.min) || hasValue(score.max)) {
+    const range = {};
+    if (hasValue(score.min)) range.$gte = score.min;
+    if (hasValue(score.max)) range.$lte = score.max;
+    conditions.push({ leadScore: range });
+  }
+
+  // Leads never contacted always pass the recency rule
+  const days = criteria.daysSinceLastContact || (criteria.excludeRecentContacts ? DEFAULT_RECENT_CONTACT_DAYS : 0);
+  if (days > 0) {
+    const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    conditions.push({
+      $or: [{ lastContactedAt: null }, { lastContactedAt: { $lte: cutoff } }]
+    });
+  }
+
+  // Leads carry no customer category or age, so these criteria cannot narrow the audience
+  if (criteria.categories && criteria.categories.length > 0) ignored.push('categories');
+  const age = criteria.ageRange || {};
+  if (hasValue(age.min) || hasValue(age.max)) ignored.push('ageRange');
+
+  return {
+    filter: conditions.length === 1 ? conditions[0] : { $and: conditions },
+    ignored
+  };
+};
+
+/**
+ * Count the leads a campaign's criteria match, split by where they currently sit
+ * @param {object} campaign - Campaign document
+ * @param {object} criteria - Criteria to evaluate instead of the saved ones (optional)
+ * @param {object} scope - Extra lead condition limiting who is counted, e.g. a manager's team (optional)
+ * @returns {object} Counts and a sample of leads that would be attached
+ */
+const previewAudience = async (campaign, criteria = campaign.customerCriteria, scope = {}) => {
+  const audience = buildAudienceQuery(criteria);
+  const filter = applyScope(audience.filter, scope);
+  const { ignored } = audience;
+
+  const [matching, inCampaign, available, sample] = await Promise.all([
+    Lead.countDocuments(filter),
+    Lead.countDocuments({ ...filter, campaign: campaign._id }),
+    Lead.countDocuments({ ...filter, campaign: null }),
+    Lead.find({ ...filter, campaign: null })
+      .select('name phone location sector status tags leadScore assignedTo lastContactedAt')
+      .sort({ createdAt: 1 })
+      .limit(10)
+  ]);
+
+  return {
+    matching,
+    inCampaign,
+    inOtherCampaigns: matching - inCampaign - available,
+    available,
+    ignoredCriteria: ignored,
+    sample
+  };
+};
+
+/**
+ * Attach every unattached lead matching the campaign's criteria.
+ * Leads already in another campaign are left where they are, and leads that
+ * stop matching are not removed so work in progress is never lost.
+ * @param {object} campaign - Campaign document
+ * @param {object} options - { limit, scope } where scope limits which leads may be attached
+ * @returns {object} How many leads matched and were attached
+ */
+const attachAudience = async (campaign, { limit, scope = {} } = {}) => {
+  const audience = buildAudienceQuery(campaign.customerCriteria);
+  const filter = applyScope(audience.filter, scope);
+  const { ignored } = audience;
+
+  let query = Lead.find({ ...filter, campaign: null }).select('_id').sort({ createdAt: 1 });
+  if (limit) query = query.limit(limit);
+
+  const leadIds = (await query).map(lead => lead._id);
+
+  let attached = 0;
+  if (leadIds.length > 0) {
+    const result = await Lead.updateMany({ _id: { $in: leadIds }, campaign: null }, { campaign: campaign._id });
+    attached = result.modifiedCount;
+  }
+
+  const agentsAdded = leadIds.length > 0 ? await campaign.addAgentsForLeads(leadIds) : [];
+  const matching = await Lead.countDocuments(filter);
+
+  await Campaign.refreshCustomerCounts([campaign._id]);
+  await Campaign.updateOne({ _id: campaign._id }, {
+    'audience.lastEvaluatedAt': new Date(),
+    'audience.lastMatchedCount': matching,
+    'audience.lastAttachedCount': attached
+  });
+
+  return {
+    matching,
+    attached,
+    agentsAdded,
+    ignoredCriteria: ignored
+  };
+};
+
+// Re-evaluate every active campaign that opted into automatic audience refresh.
+// Each campaign only picks up leads its manager could attach by hand.
+const refreshAutoAudiences = async () => {
+  const campaigns = await Campaign.findActive().where({ 'audience.autoRefresh': true });
+  const results = [];
+
+  for (const campaign of campaigns) {
+    try {
+      const manager = await User.findById(campaign.manager);
+      if (!manager) {
+        logger.warn('Campaign audience refresh skipped: manager not found', { campaignId: campaign._id });
+        continue;
+      }
+
+      const result = await attachAudience(campaign, { scope: await leadScopeFilter(manager) });
+      results.push({ campaignId: campaign._id, ...result });
+
+      if (result.attached > 0) {
+        logger.info('Campaign audience refreshed', {
+          campaignId: campaign._id,
+          campaign: campaign.name,
+          attached: result.attached
+        });
+      }
+    } catch (error) {
+      logger.error('Campaign audience refresh failed', { campaignId: campaign._id, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+let schedulerTimer = null;
+let refreshInProgress = false;
+
+// Run refreshAutoAudiences on an interval (AUDIENCE_REFRESH_INTERVAL_MINUTES, default 60)
+const startAudienceScheduler = (intervalMinutes = parseInt(process.env.AUDIENCE_REFRESH_INTERVAL_MINUTES) || 60) => {
+  if (schedulerTimer) return schedulerTimer;
+
+  schedulerTimer = setInterval(async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (refreshInProgress) return;
+
+    refreshInProgress = true;
+    try {
+      await refreshAutoAudiences();
+    } catch (error) {
+      logger.error('Campaign audience scheduler failed', { error: error.message });
+    } finally {
+      refreshInProgress = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for the scheduler
+  schedulerTimer.unref();
+
+  return schedulerTimer;
+};
+
+const stopAudienceScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  buildAudienceQuery,
+  previewAudience,
+  attachAudience,
+  refreshAutoAudiences,
+  startAudienceScheduler,
+  stopAudienceScheduler
+};
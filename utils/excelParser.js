@@ -1,5 +1,11 @@
+const crypto = require('crypto');
 const XLSX = require('xlsx');
 const Lead = require('../models/Lead');
+const ColumnMappingTemplate = require('../models/ColumnMappingTemplate');
+const { logger } = require('./logger');
+
+// Rows parsed between progress callbacks
+const PROGRESS_ROWS = 100;
 
 /**
  * Excel Parser Utility for Lead Uploads
@@ -42,9 +48,15 @@ class ExcelParser {
       // Status variations
       status: ['Status', 'status', 'Lead Status', 'State', 'Progress', 'Stage'],
 
+      // Description variations
+      description: ['Description', 'description', 'Details', 'About', 'Company Description'],
+
       // Notes variations
-      notes: ['Notes', 'notes', 'Comments', 'Remarks', 'Description', 'Additional Notes', 'Comment']
+      notes: ['Notes', 'notes', 'Comments', 'Remarks', 'Additional Notes', 'Comment']
     };
+
+    // Fields every import must map to a column
+    this.requiredFields = ['name', 'phone'];
   }
 
   /**
@@ -83,7 +95,12 @@ class ExcelParser {
         skipDuplicates = true,
         validateData = true,
         batchSize = 1000,
-        progressCallback = null
+        progressCallback = null,
+        columnMapping = null,
+        template = null,
+        useSavedTemplates = false,
+        sheets = null,
+        tagWithSheet = false
       } = options;
 
       // Read file buffer
@@ -93,146 +110,211 @@ class ExcelParser {
         cellStyles: true
       });
 
-      // Get first worksheet
-      const sheetName = workbook.SheetNames[0];
-      if (!sheetName) {
+      if (workbook.SheetNames.length === 0) {
         throw new Error('No worksheets found in file');
       }
 
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON with header row detection
-      const rawData = XLSX.utils.sheet_to_json(worksheet, {
-        header: 1,
-        defval: '',
-        blankrows: false
-      });
+      // The first worksheet unless others are picked
+      const sheetNames = this.selectSheets(workbook.SheetNames, sheets);
+      const inSheet = (sheetName, message) => (sheetNames.length > 1 ? `Sheet "${sheetName}": ${message}` : message);
+
+      // Settle every sheet's column mapping before any rows are processed; each sheet has its own header row
+      const selectedSheets = [];
+      for (const sheetName of sheetNames) {
+        // Convert to JSON with header row detection
+        const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+          header: 1,
+          defval: '',
+          blankrows: false
+        });
 
-      if (rawData.length === 0) {
-        throw new Error('File is empty or contains no data');
-      }
+        if (rawData.length === 0) {
+          throw new Error(sheetNames.length > 1 ? `Sheet "${sheetName}" is empty or contains no data` : 'File is empty or contains no data');
+        }
 
-      // Detect headers and map columns
-      const { headers, columnMap } = this.detectHeaders(rawData[0]);
-      
-      // Check if we have at least the minimum required columns (name and phone)
-      const requiredColumns = ['name', 'phone'];
-      const missingRequired = requiredColumns.filter(col =>
-        columnMap[col] === undefined || columnMap[col] === null
-      );
-
-      if (missingRequired.length > 0) {
-        throw new Error(`Missing required columns: ${missingRequired.join(', ')}. Expected columns: ${Object.keys(this.columnMappings).join(', ')}. Found columns: ${headers.join(', ')}`);
-      }
+        // Detect headers and map columns; a given mapping or saved template takes precedence over the guess
+        const { headers, columnMap: detectedMap } = this.detectHeaders(rawData[0]);
 
-      // Log which columns were successfully mapped for debugging
-      console.log(`Column mapping: ${Object.keys(columnMap).length}/${headers.length} columns mapped successfully`);
+        // A given mapping names columns by header, so it only fits sheets laid out like the first one
+        if ((columnMapping || template) && selectedSheets.length > 0 &&
+            this.headerSignature(headers) !== this.headerSignature(selectedSheets[0].headers)) {
+          throw new Error(this.mixedHeadersMessage(selectedSheets[0].name, sheetName));
+        }
+        let resolved;
+        try {
+          resolved = await this.resolveColumnMapping(headers, detectedMap, {
+            columnMapping,
+            template,
+            useSavedTemplates
+          });
+        } catch (mappingError) {
+          throw new Error(inSheet(sheetName, mappingError.message));
+        }
+        const { columnMap } = resolved;
+
+        // Check if we have at least the minimum required columns (name and phone)
+        const missingRequired = this.requiredFields.filter(col =>
+          columnMap[col] === undefined || columnMap[col] === null
+        );
+
+        if (missingRequired.length > 0) {
+          throw new Error(inSheet(sheetName, `Missing required columns: ${missingRequired.join(', ')}. Expected columns: ${Object.keys(this.columnMappings).join(', ')}. Found columns: ${headers.join(', ')}`));
+        }
+
+        logger.debug('Import column mapping resolved', {
+          sheet: sheetName,
+          mappedColumns: Object.keys(columnMap).length,
+          columns: headers.length
+        });
+
+        selectedSheets.push({
+          name: sheetName,
+          headers,
+          columnMap,
+          mappingSource: resolved.mappingSource,
+          template: resolved.template,
+          dataRows: rawData.slice(1)
+        });
+      }
 
       // Process data rows
-      const dataRows = rawData.slice(1);
-      const parsedLeads = [];
+      const totalRows = selectedSheets.reduce((sum, sheet) => sum + sheet.dataRows.length, 0);
+      const candidates = [];
       const errors = [];
       const duplicates = [];
+      let parsedLeads = [];
+
+      const reportProgress = async (stage, processed, total) => {
+        if (progressCallback) {
+          await progressCallback({
+            stage,
+            processed,
+            total,
+            parsed: candidates.length,
+            errors: errors.length,
+            duplicates: duplicates.length
+          });
+        }
+      };
 
-      console.log(`Processing ${dataRows.length} rows from Excel file...`);
-
-      for (let i = 0; i < dataRows.length; i++) {
-        const rowIndex = i + 2; // +2 because we're 0-indexed and skipping header row
-
-        try {
-          // Debug: Log raw row data for first few rows
-          if (i < 3) {
-            console.log(`Row ${rowIndex} raw data:`, dataRows[i]);
-            console.log(`Row ${rowIndex} headers:`, headers);
-            console.log(`Row ${rowIndex} column mapping:`, columnMap);
-          }
+      logger.debug('Parsing import rows', { rows: totalRows, sheets: selectedSheets.length });
 
-          const leadData = this.extractLeadData(dataRows[i], columnMap, headers);
+      // Parsing stage: extract and validate every row of every selected sheet
+      let processedRows = 0;
+      for (const { name: sheetName, headers, columnMap, dataRows } of selectedSheets) {
+        for (let i = 0; i < dataRows.length; i++) {
+          const rowIndex = i + 2; // +2 because we're 0-indexed and skipping header row
 
-          // Debug: Log extracted data for first few rows
-          if (i < 3) {
-            console.log(`Row ${rowIndex} extracted data:`, leadData);
-          }
+          try {
+            const leadData = this.extractLeadData(dataRows[i], columnMap, headers);
 
-          if (validateData) {
-            const validation = this.validateLeadData(leadData, rowIndex);
-            if (!validation.isValid) {
-              console.log(`Row ${rowIndex} validation failed:`, validation.errors);
+            if (validateData) {
+              const validation = this.validateLeadData(leadData, rowIndex);
               // For now, let's be more lenient and only require name and phone to be present
-              if (!leadData.name || !leadData.phone) {
+              if (!validation.isValid && (!leadData.name || !leadData.phone)) {
+                logger.debug('Import row failed validation', { sheet: sheetName, row: rowIndex, errors: validation.errors });
                 errors.push({
+                  sheet: sheetName,
                   row: rowIndex,
                   errors: validation.errors
                 });
                 continue;
-              } else {
-                console.log(`Row ${rowIndex} proceeding despite validation warnings`);
               }
             }
-          }
 
-          // Check for duplicates if enabled
-          if (skipDuplicates) {
-            const existingLead = await Lead.findOne({ phone: leadData.phone });
-            if (existingLead) {
-              console.log(`Row ${rowIndex} duplicate found:`, leadData.phone);
-              duplicates.push({
-                row: rowIndex,
-                phone: leadData.phone,
-                existingId: existingLead._id
-              });
-              continue;
+            if (tagWithSheet) {
+              leadData.tags = [sheetName];
             }
-          }
-
-          parsedLeads.push(leadData);
 
-          // Debug: Log successful parsing for first few rows
-          if (i < 3) {
-            console.log(`Row ${rowIndex} parsed successfully:`, leadData.name, leadData.phone);
+            candidates.push({ sheet: sheetName, row: rowIndex, leadData });
+
+          } catch (error) {
+            errors.push({
+              sheet: sheetName,
+              row: rowIndex,
+              errors: [error.message]
+            });
+          } finally {
+            processedRows++;
+            if (processedRows % PROGRESS_ROWS === 0 || processedRows === totalRows) {
+              await reportProgress('parsing', processedRows, totalRows);
+            }
           }
+        }
+      }
 
-          // Batch processing for large files
-          if (parsedLeads.length >= batchSize) {
-            if (progressCallback) {
-              progressCallback({
-                processed: i + 1,
-                total: dataRows.length,
-                parsed: parsedLeads.length,
-                errors: errors.length,
-                duplicates: duplicates.length
+      // Dedupe stage: rows whose phone number is already in the database, looked up one batch
+      // of phone numbers at a time, or earlier in this upload (on any sheet) are skipped
+      const parsedBySheet = {};
+      if (skipDuplicates) {
+        const firstRowByPhone = new Map();
+
+        for (let i = 0; i < candidates.length; i += batchSize) {
+          const batch = candidates.slice(i, i + batchSize);
+          const existing = await Lead.find({ phone: { $in: batch.map(({ leadData }) => leadData.phone) } })
+            .select('_id phone')
+            .lean();
+          const existingByPhone = new Map(existing.map(lead => [lead.phone, lead._id]));
+
+          batch.forEach(({ sheet, row, leadData }) => {
+            if (existingByPhone.has(leadData.phone)) {
+              duplicates.push({
+                sheet,
+                row,
+                phone: leadData.phone,
+                existingId: existingByPhone.get(leadData.phone)
               });
+            } else if (firstRowByPhone.has(leadData.phone)) {
+              duplicates.push({
+                sheet,
+                row,
+                phone: leadData.phone,
+                existingId: null,
+                duplicateOf: firstRowByPhone.get(leadData.phone)
+              });
+            } else {
+              firstRowByPhone.set(leadData.phone, { sheet, row });
+              parsedLeads.push(leadData);
+              parsedBySheet[sheet] = (parsedBySheet[sheet] || 0) + 1;
             }
-          }
-
-        } catch (error) {
-          errors.push({
-            row: rowIndex,
-            errors: [error.message]
           });
-        }
-      }
 
-      // Final progress update
-      if (progressCallback) {
-        progressCallback({
-          processed: dataRows.length,
-          total: dataRows.length,
-          parsed: parsedLeads.length,
-          errors: errors.length,
-          duplicates: duplicates.length,
-          completed: true
+          await reportProgress('dedupe', Math.min(i + batchSize, candidates.length), candidates.length);
+        }
+      } else {
+        parsedLeads = candidates.map(({ leadData }) => leadData);
+        candidates.forEach(({ sheet }) => {
+          parsedBySheet[sheet] = (parsedBySheet[sheet] || 0) + 1;
         });
       }
 
+      // Per-sheet mapping and counts; the top-level mapping fields describe the first selected sheet
+      const sheetSummaries = selectedSheets.map(({ name, headers, columnMap, mappingSource, template: sheetTemplate, dataRows }) => ({
+        name,
+        headers,
+        headerSignature: this.headerSignature(headers),
+        columnMap,
+        mappingSource,
+        template: sheetTemplate,
+        totalRows: dataRows.length,
+        parsedLeads: parsedBySheet[name] || 0,
+        errors: errors.filter(error => error.sheet === name).length,
+        duplicates: duplicates.filter(duplicate => duplicate.sheet === name).length
+      }));
+      const [firstSheet] = sheetSummaries;
+
       return {
         success: true,
         data: {
-          headers,
-          columnMap,
+          headers: firstSheet.headers,
+          headerSignature: firstSheet.headerSignature,
+          columnMap: firstSheet.columnMap,
+          mappingSource: firstSheet.mappingSource,
+          template: firstSheet.template,
+          sheets: sheetSummaries,
           leads: parsedLeads,
           summary: {
-            totalRows: dataRows.length,
+            totalRows,
             parsedLeads: parsedLeads.length,
             errors: errors.length,
             duplicates: duplicates.length
@@ -247,6 +329,77 @@ class ExcelParser {
     }
   }
 
+  /**
+   * Names of the worksheets in a file, read without parsing any cells
+   */
+  getSheetNames(file) {
+    return XLSX.read(file.buffer, { type: 'buffer', bookSheets: true }).SheetNames;
+  }
+
+  /**
+   * Header row of each worksheet, read without parsing the rows below it
+   * @param {object} file - Multer file held in memory
+   * @returns {object} Sheet name -> header texts (empty for an empty sheet)
+   */
+  getSheetHeaders(file) {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer', sheetRows: 1 });
+
+    return workbook.SheetNames.reduce((acc, name) => {
+      const [headerRow = []] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '', blankrows: false });
+      acc[name] = headerRow.map(header => String(header).trim());
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Pick the sheets to import
+   * @param {string[]} sheetNames - Every sheet in the workbook
+   * @param {string[]} sheets - Requested sheet names; empty or null means the first sheet
+   * @returns {string[]} Selected sheet names in workbook order
+   */
+  selectSheets(sheetNames, sheets) {
+    if (!sheets || sheets.length === 0) {
+      return [sheetNames[0]];
+    }
+
+    const missing = sheets.filter(name => !sheetNames.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Sheet(s) not found: ${missing.join(', ')}. Available sheets: ${sheetNames.join(', ')}`);
+    }
+
+    return sheetNames.filter(name => sheets.includes(name));
+  }
+
+  /**
+   * Describe every worksheet in a file: data row count, header row and the fields detected from it
+   * @param {object} file - Multer file held in memory
+   * @returns {object[]} [{ name, rowCount, headers, headerSignature, detectedFields }]
+   */
+  listSheets(file) {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer', cellDates: true });
+
+    return workbook.SheetNames.map(name => {
+      const rawData = XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        defval: '',
+        blankrows: false
+      });
+
+      if (rawData.length === 0) {
+        return { name, rowCount: 0, headers: [], headerSignature: null, detectedFields: [] };
+      }
+
+      const { headers, columnMap } = this.detectHeaders(rawData[0]);
+      return {
+        name,
+        rowCount: rawData.length - 1,
+        headers,
+        headerSignature: this.headerSignature(headers),
+        detectedFields: Object.keys(columnMap)
+      };
+    });
+  }
+
   /**
    * Detect and map column headers with improved flexibility
    */
@@ -301,10 +454,121 @@ class ExcelParser {
       }
     });
 
-    console.log('Final column mapping:', columnMap);
+    logger.debug('Detected import column mapping', { columnMap });
     return { headers, columnMap };
   }
 
+  /**
+   * Error for a given column mapping used on sheets with different header rows
+   */
+  mixedHeadersMessage(firstSheet, otherSheet) {
+    return `A columnMapping or templateId applies to every selected sheet, but sheets "${firstSheet}" and "${otherSheet}" have different headers. Import them separately or leave the mapping out to map each sheet on its own`;
+  }
+
+  /**
+   * Normalise a header for comparison: trimmed, lower case, single spaces
+   */
+  normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Signature of a header row; the same whatever the column order or letter case
+   */
+  headerSignature(headers) {
+    const normalized = headers.map(header => this.normalizeHeader(header)).filter(Boolean).sort();
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  /**
+   * Turn a field -> header text mapping into a field -> column index map
+   * @param {object} mapping - Lead field to header text; empty values leave the field unmapped
+   * @param {string[]} headers - Header row of the file
+   * @returns {object} { columnMap } or { errors }
+   */
+  applyColumnMapping(mapping, headers) {
+    const normalizedHeaders = headers.map(header => this.normalizeHeader(header));
+    const columnMap = {};
+    const fieldByColumn = {};
+    const errors = [];
+
+    Object.entries(mapping || {}).forEach(([field, header]) => {
+      if (!this.columnMappings[field]) {
+        errors.push(`Unknown field: ${field}`);
+        return;
+      }
+
+      if (header === null || header === undefined || String(header).trim() === '') return;
+
+      const index = normalizedHeaders.indexOf(this.normalizeHeader(header));
+      if (index === -1) {
+        errors.push(`Column "${header}" mapped to ${field} is not in the file`);
+        return;
+      }
+
+      if (fieldByColumn[index]) {
+        errors.push(`Column "${header}" is mapped to both ${fieldByColumn[index]} and ${field}`);
+        return;
+      }
+
+      fieldByColumn[index] = field;
+      columnMap[field] = index;
+    });
+
+    this.requiredFields
+      .filter(field => columnMap[field] === undefined && !(mapping && mapping[field]))
+      .forEach(field => errors.push(`${field} must be mapped to a column`));
+
+    return errors.length > 0 ? { errors } : { columnMap };
+  }
+
+  /**
+   * Field -> header text form of a column index map, as stored in mapping templates
+   */
+  describeColumnMap(columnMap, headers) {
+    return Object.entries(columnMap).reduce((acc, [field, index]) => {
+      acc[field] = headers[index];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Choose the column mapping for a file, in order: an explicit mapping, an explicit
+   * template, a saved template for the same header signature, the detected guess
+   * @param {string[]} headers - Header row of the file
+   * @param {object} detectedMap - Column index map from detectHeaders
+   * @param {object} options - { columnMapping, template, useSavedTemplates }
+   * @returns {object} { columnMap, mappingSource: manual|template|detected, template: { id, name } or null }
+   */
+  async resolveColumnMapping(headers, detectedMap, { columnMapping = null, template = null, useSavedTemplates = false } = {}) {
+    let chosenTemplate = template;
+
+    if (!columnMapping && !chosenTemplate && useSavedTemplates) {
+      chosenTemplate = await ColumnMappingTemplate.findBySignature(this.headerSignature(headers));
+    }
+
+    if (!columnMapping && !chosenTemplate) {
+      return { columnMap: detectedMap, mappingSource: 'detected', template: null };
+    }
+
+    const mapping = columnMapping || (chosenTemplate.mapping instanceof Map
+      ? Object.fromEntries(chosenTemplate.mapping)
+      : chosenTemplate.mapping);
+
+    const { columnMap, errors } = this.applyColumnMapping(mapping, headers);
+    if (errors) {
+      throw new Error(columnMapping
+        ? `Invalid column mapping: ${errors.join('; ')}`
+        : `Mapping template "${chosenTemplate.name}" does not fit this file: ${errors.join('; ')}`);
+    }
+
+    return {
+      columnMap,
+      mappingSource: columnMapping ? 'manual' : 'template',
+      template: columnMapping ? null : { id: chosenTemplate._id, name: chosenTemplate.name }
+    };
+  }
+
   /**
    * Extract lead data from row using column mapping
    */
@@ -336,6 +600,7 @@ class ExcelParser {
           case 'status':
             value = this.cleanStatus(value);
             break;
+          case 'description':
           case 'notes':
             value = this.cleanNotes(value);
             break;
@@ -486,8 +751,10 @@ class ExcelParser {
 
   /**
    * Generate parsing report
+   * @param {object} parseResult - Result of parseExcelFile
+   * @param {object} options - { full: list every error and duplicate instead of the first 10 }
    */
-  generateReport(parseResult) {
+  generateReport(parseResult, { full = false } = {}) {
     const { data } = parseResult;
     const { summary, errors, duplicates } = data;
 
@@ -499,10 +766,13 @@ class ExcelParser {
         duplicates: summary.duplicates,
         successRate: `${((summary.parsedLeads / summary.totalRows) * 100).toFixed(1)}%`
       },
-      errors: errors.slice(0, 10), // Show first 10 errors
-      duplicates: duplicates.slice(0, 10), // Show first 10 duplicates
+      errors: full ? errors : errors.slice(0, 10), // Show first 10 errors
+      duplicates: full ? duplicates : duplicates.slice(0, 10), // Show first 10 duplicates
       columnMapping: data.columnMap,
-      detectedHeaders: data.headers
+      mappingSource: data.mappingSource,
+      template: data.template,
+      detectedHeaders: data.headers,
+      sheets: data.sheets
     };
   }
 }
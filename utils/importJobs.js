@@ -0,0 +1,407 @@
+/**
+ * Lead Import Jobs
+ * Uploads are saved to IMPORT_UPLOAD_PATH and queued as ImportJob records,
+ * then parsed and inserted by a background worker, so the upload request
+ * returns as soon as the file is stored. The parsing report is kept for later
+ * lookup, with its error and duplicate rows as ImportJobRow records, and
+ * every progress update is both saved on the job and published to live
+ * subscribers (the import progress event stream).
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const ImportJob = require('../models/ImportJob');
+const ImportJobRow = require('../models/ImportJobRow');
+const ColumnMappingTemplate = require('../models/ColumnMappingTemplate');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const User = require('../models/User');
+const excelParser = require('./excelParser');
+const { auditLogger } = require('./auditLogger');
+const { logger } = require('./logger');
+
+// Leads inserted per insertMany call
+const INSERT_BATCH_SIZE = 100;
+
+// Progress within a stage is published at most this often
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Progress events of jobs processed in this process, keyed by job ID
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+let workerTimer = null;
+let workerInProgress = false;
+let wakeRequested = false;
+
+const getJobTimeoutMinutes = () => parseInt(process.env.IMPORT_JOB_TIMEOUT_MINUTES) || 30;
+
+// Kept outside uploads/, which is served publicly; must be shared storage when several servers run the worker
+const getUploadDir = () => path.resolve(process.env.IMPORT_UPLOAD_PATH || 'storage/imports/');
+
+const getUploadPath = (job) => path.join(getUploadDir(), job.file.storedName);
+
+// Delete a job's uploaded file; a file that is already gone is fine
+const removeUploadedFile = async (job) => {
+  if (!job.file || !job.file.storedName) return;
+
+  try {
+    await fs.unlink(getUploadPath(job));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Could not delete import upload', { importJobId: job._id, error: error.message });
+    }
+  }
+};
+
+/**
+ * Save an uploaded file to disk, queue an import job for it and wake the worker
+ * @param {object} file - Multer file held in memory
+ * @param {object} user - Uploader
+ * @param {object} options - { assignee: employee every lead is assigned to, template, columnMapping, sheets, tagWithSheet, requestInfo: { ip, userAgent } }
+ * @returns {object} The queued job
+ */
+const createImportJob = async (file, user, {
+  assignee = null,
+  template = null,
+  columnMapping = null,
+  sheets = null,
+  tagWithSheet = false,
+  requestInfo = {}
+} = {}) => {
+  const jobId = new mongoose.Types.ObjectId();
+  const storedName = `${jobId}${path.extname(file.originalname).toLowerCase()}`;
+
+  await fs.mkdir(getUploadDir(), { recursive: true });
+  await fs.writeFile(path.join(getUploadDir(), storedName), file.buffer);
+
+  const fields = {
+    _id: jobId,
+    type: assignee ? 'assign' : 'bulk',
+    file: {
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      storedName
+    },
+    createdBy: user._id,
+    assignee: assignee ? assignee._id : null,
+    mapping: {
+      template: template ? template._id : null,
+      columnMapping
+    },
+    sheets: sheets || [],
+    tagWithSheet,
+    requestInfo
+  };
+
+  let job;
+  try {
+    job = await ImportJob.create(fields);
+  } catch (error) {
+    await removeUploadedFile(fields);
+    throw error;
+  }
+
+  setImmediate(runQueuedImports);
+
+  return job;
+};
+
+// What a progress subscriber receives; `sequence` doubles as the event id
+const toProgressEvent = (job) => {
+  const { stage, processed, total, errors, duplicates, sequence } = job.progress;
+  const finished = ImportJob.FINISHED_STATUSES.includes(job.status);
+
+  return {
+    uploadId: job._id,
+    status: job.status,
+    stage,
+    processed,
+    total,
+    percentage: total > 0 ? Math.round((processed / total) * 100) : (finished ? 100 : 0),
+    errors,
+    duplicates,
+    sequence,
+    summary: finished ? job.summary : undefined,
+    error: job.error || undefined
+  };
+};
+
+// Save the job's changes under the next sequence number and pass them to live subscribers
+const publishProgress = async (job) => {
+  job.progress.sequence += 1;
+  await job.save();
+  progressEvents.emit(String(job._id), toProgressEvent(job));
+};
+
+/**
+ * Listen for an import job's progress events in this process
+ * @param {string} jobId - Import job ID
+ * @param {Function} listener - Called with each progress event
+ * @returns {Function} Stops listening
+ */
+const subscribeToProgress = (jobId, listener) => {
+  const key = String(jobId);
+  progressEvents.on(key, listener);
+  return () => progressEvents.off(key, listener);
+};
+
+const setProgress = (job, stage, fields) => {
+  job.progress.stage = stage;
+  Object.assign(job.progress, fields);
+};
+
+// Mark a job finished and drop the stored file
+const finishJob = async (job, status, error = null) => {
+  job.status = status;
+  job.error = error;
+  job.completedAt = new Date();
+  await publishProgress(job);
+  await removeUploadedFile(job);
+};
+
+// Fail a job that is still processing with a direct update, so it leaves processing even when its own changes cannot be saved
+const failJob = async (job, error) => {
+  const failed = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: 'processing' },
+    {
+      $set: { status: 'failed', error, completedAt: new Date() },
+      $inc: { 'progress.sequence': 1 }
+    },
+    { new: true }
+  ).select('status progress summary error');
+
+  await removeUploadedFile(job);
+
+  if (failed) {
+    progressEvents.emit(String(job._id), toProgressEvent(failed));
+  }
+};
+
+/**
+ * Parse a claimed job's file, insert its leads in batches and store the report.
+ * Progress moves through the parsing, dedupe and inserting stages.
+ * Leads already inserted when a later batch fails stay in place and are listed on the job.
+ * @param {object} job - Job claimed by the worker
+ */
+const processImportJob = async (job) => {
+  progressEvents.emit(String(job._id), toProgressEvent(job));
+
+  const [user, assignee] = await Promise.all([
+    User.findById(job.createdBy),
+    job.assignee ? User.findById(job.assignee) : null
+  ]);
+
+  if (job.type === 'assign' && !assignee) {
+    await finishJob(job, 'failed', 'Employee to assign leads to no longer exists');
+    return;
+  }
+
+  const template = job.mapping.template ? await ColumnMappingTemplate.findById(job.mapping.template) : null;
+  if (job.mapping.template && !template) {
+    await finishJob(job, 'failed', 'Mapping template chosen for this upload no longer exists');
+    return;
+  }
+
+  let buffer = null;
+  try {
+    if (job.file.storedName) buffer = await fs.readFile(getUploadPath(job));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!buffer) {
+    await finishJob(job, 'failed', 'Uploaded file is no longer available');
+    return;
+  }
+
+  let lastProgressAt = 0;
+  const parseResult = await excelParser.parseExcelFile({
+    originalname: job.file.originalName,
+    mimetype: job.file.mimetype,
+    size: job.file.size,
+    buffer
+  }, {
+    skipDuplicates: true,
+    validateData: true,
+    columnMapping: job.mapping.columnMapping,
+    template,
+    useSavedTemplates: true,
+    sheets: job.sheets,
+    tagWithSheet: job.tagWithSheet,
+    progressCallback: async ({ stage, processed, total, errors, duplicates }) => {
+      // Stage changes and the end of a stage always go out; updates in between are throttled
+      const now = Date.now();
+      const stageChanged = stage !== job.progress.stage;
+      if (!stageChanged && processed < total && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+
+      lastProgressAt = now;
+      setProgress(job, stage, { processed, total, errors, duplicates });
+      await publishProgress(job);
+    }
+  });
+
+  const { leads, summary, errors, duplicates } = parseResult.data;
+
+  await ImportJobRow.recordReport(job._id, { errors, duplicates });
+
+  job.summary = { ...summary, inserted: 0 };
+  job.report = excelParser.generateReport(parseResult);
+
+  // Each sheet may have been mapped by a different template
+  const usedTemplateIds = new Set(parseResult.data.sheets
+    .filter(sheet => sheet.template)
+    .map(sheet => String(sheet.template.id)));
+  for (const templateId of usedTemplateIds) {
+    await ColumnMappingTemplate.markUsed(templateId);
+  }
+
+  if (leads.length === 0) {
+    setProgress(job, 'complete', { processed: 0, total: 0, errors: errors.length, duplicates: duplicates.length });
+    await finishJob(job, 'failed', 'No valid leads found in file');
+    return;
+  }
+
+  const leadsToInsert = assignee
+    ? leads.map(lead => ({
+      ...lead,
+      assignee: assignee._id,
+      assignedTo: assignee.name,
+      assignedDate: new Date()
+    }))
+    : leads;
+
+  setProgress(job, 'inserting', { processed: 0, total: leadsToInsert.length, errors: errors.length, duplicates: duplicates.length });
+  await publishProgress(job);
+
+  try {
+    for (let i = 0; i < leadsToInsert.length; i += INSERT_BATCH_SIZE) {
+      const inserted = await Lead.insertMany(leadsToInsert.slice(i, i + INSERT_BATCH_SIZE));
+      job.insertedLeadIds.push(...inserted.map(lead => lead._id));
+      job.summary.inserted = job.insertedLeadIds.length;
+
+      await LeadActivity.recordMany(inserted.flatMap(lead => {
+        const entries = [{ lead, type: 'import', actor: user, after: { source: job.file.originalName } }];
+        if (assignee) {
+          entries.push({
+            lead,
+            type: 'assignment',
+            actor: user,
+            before: { assignee: null, assignedTo: 'Unassigned' },
+            after: { assignee: assignee._id, assignedTo: assignee.name }
+          });
+        }
+        return entries;
+      }));
+
+      setProgress(job, 'inserting', { processed: job.insertedLeadIds.length });
+      await publishProgress(job);
+    }
+  } catch (insertError) {
+    await finishJob(job, 'failed', `Lead insertion failed after ${job.insertedLeadIds.length} leads: ${insertError.message}`);
+    throw insertError;
+  } finally {
+    if (job.insertedLeadIds.length > 0) {
+      await auditLogger.logDataImport(user || { _id: job.createdBy }, 'leads', job.insertedLeadIds.length, {
+        ip: job.requestInfo.ip,
+        userAgent: job.requestInfo.userAgent,
+        fileName: job.file.originalName,
+        importJobId: job._id,
+        assignedToId: assignee ? assignee._id : undefined,
+        assignedToEmail: assignee ? assignee.email : undefined,
+        duplicates: duplicates.length,
+        errors: errors.length
+      });
+    }
+  }
+
+  setProgress(job, 'complete', {});
+  await finishJob(job, 'completed');
+};
+
+// Fail jobs left in processing longer than IMPORT_JOB_TIMEOUT_MINUTES, e.g. by a restart mid-import
+const failStalledImports = async () => {
+  const cutoff = new Date(Date.now() - getJobTimeoutMinutes() * 60 * 1000);
+
+  const stalled = await ImportJob.find({ status: 'processing', startedAt: { $lt: cutoff } }).select('file');
+  if (stalled.length === 0) return;
+
+  for (const job of stalled) {
+    await failJob(job, 'Import was interrupted before it finished');
+  }
+
+  logger.warn('Stalled import jobs marked as failed', { count: stalled.length });
+};
+
+// Process queued jobs one at a time until none are left
+const runQueuedImports = async () => {
+  if (workerInProgress) {
+    wakeRequested = true;
+    return;
+  }
+
+  workerInProgress = true;
+  try {
+    await failStalledImports();
+
+    let job;
+    while ((job = await ImportJob.claimNext())) {
+      try {
+        await processImportJob(job);
+      } catch (error) {
+        logger.error('Import job failed', { importJobId: job._id, error: error.message });
+        // Jobs that failed before any result was stored (e.g. an unreadable file), or whose result could not be saved
+        try {
+          await failJob(job, error.message);
+        } catch (failError) {
+          logger.error('Could not mark import job as failed', { importJobId: job._id, error: failError.message });
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Import worker failed', { error: error.message });
+  } finally {
+    workerInProgress = false;
+  }
+
+  // A job queued while the last pass was finishing
+  if (wakeRequested) {
+    wakeRequested = false;
+    setImmediate(runQueuedImports);
+  }
+};
+
+// Poll for queued jobs on an interval (IMPORT_WORKER_INTERVAL_SECONDS, default 10)
+const startImportWorker = (intervalSeconds = parseInt(process.env.IMPORT_WORKER_INTERVAL_SECONDS) || 10) => {
+  if (workerTimer) return workerTimer;
+
+  workerTimer = setInterval(runQueuedImports, intervalSeconds * 1000);
+
+  // Never keep the process alive just for the worker
+  workerTimer.unref();
+
+  // Pick up jobs queued before a restart straight away
+  setImmediate(runQueuedImports);
+
+  return workerTimer;
+};
+
+const stopImportWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  createImportJob,
+  processImportJob,
+  toProgressEvent,
+  subscribeToProgress,
+  runQueuedImports,
+  startImportWorker,
+  stopImportWorker
+};
@@ -0,0 +1,226 @@
+/**
+ * Lead Distribution Engine
+ * Spreads unassigned leads across active employees using round-robin,
+ * weighted-by-capacity or least-loaded strategies, honouring daily caps
+ */
+
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const LeadActivity = require('../models/LeadActivity');
+const { startOfDayInZone } = require('./timeZone');
+
+const STRATEGIES = ['round_robin', 'weighted', 'least_loaded'];
+
+// Statuses that no longer count towards an employee's open workload
+const CLOSED_STATUSES = ['Completed', 'Not Interested'];
+
+// Count leads per assignee for the given match, keyed by user id
+const countByAssignee = async (match) => {
+  const groups = await Lead.aggregate([
+    { $match: match },
+    { $group: { _id: '$assignee', count: { $sum: 1 } } }
+  ]);
+
+  return groups.reduce((acc, group) => {
+    acc[group._id.toString()] = group.count;
+    return acc;
+  }, {});
+};
+
+// Load active employees together with today's intake and their open workload
+const loadCandidates = async ({ employeeIds, scopedUserIds, dailyCap }) => {
+  const filter = { role: 'Employee', isActive: true };
+  if (employeeIds && employeeIds.length > 0) {
+    filter._id = { $in: employeeIds };
+  }
+  if (scopedUserIds) {
+    filter.$and = [{ _id: { $in: scopedUserIds } }];
+  }
+
+  const employees = await User.find(filter, 'name email leadCapacity dailyLeadCap').sort({ name: 1 });
+  const ids = employees.map(employee => employee._id);
+
+  const [assignedToday, openLeads] = await Promise.all([
+    countByAssignee({ assignee: { $in: ids }, assignedDate: { $gte: startOfDayInZone(new Date()) } }),
+    countByAssignee({ assignee: { $in: ids }, status: { $nin: CLOSED_STATUSES } })
+  ]);
+
+  return employees.map(employee => {
+    const id = employee._id.toString();
+    const cap = employee.dailyLeadCap !== null && employee.dailyLeadCap !== undefined
+      ? employee.dailyLeadCap
+      : dailyCap;
+    const today = assignedToday[id] || 0;
+
+    return {
+      employee,
+      capacity: employee.leadCapacity || 1,
+      dailyCap: cap === undefined ? null : cap,
+      assignedToday: today,
+      openLeads: openLeads[id] || 0,
+      remaining: cap === null || cap === undefined ? Infinity : Math.max(0, cap - today),
+      current: 0,
+      leadIds: []
+    };
+  });
+};
+
+// Each picker returns the next candidate to receive a lead, or undefined when all are full
+const pickers = {
+  // Take turns in a fixed order, starting with whoever received the fewest leads today
+  round_robin: (candidates) => {
+    let cursor = 0;
+    const order = [...candidates].sort((a, b) => a.assignedToday - b.assignedToday);
+
+    return () => {
+      for (let i = 0; i < order.length; i++) {
+        const candidate = order[(cursor + i) % order.length];
+        if (candidate.remaining > 0) {
+          cursor = (cursor + i + 1) % order.length;
+          return candidate;
+        }
+      }
+      return undefined;
+    };
+  },
+
+  // Smooth weighted round-robin: shares follow leadCapacity without bunching
+  weighted: (candidates) => () => {
+    const available = candidates.filter(candidate => candidate.remaining > 0);
+    if (available.length === 0) return undefined;
+
+    const totalWeight = available.reduce((sum, candidate) => sum + candidate.capacity, 0);
+    available.forEach(candidate => { candidate.current += candidate.capacity; });
+
+    const chosen = available.reduce((best, candidate) => (candidate.current > best.current ? candidate : best));
+    chosen.current -= totalWeight;
+    return chosen;
+  },
+
+  // Always give the next lead to whoever has the fewest open leads
+  least_loaded: (candidates) => () => {
+    const available = candidates.filter(candidate => candidate.remaining > 0);
+    if (available.length === 0) return undefined;
+
+    return available.reduce((best, candidate) => {
+      const load = candidate.openLeads + candidate.leadIds.length;
+      const bestLoad = best.openLeads + best.leadIds.length;
+      return load < bestLoad ? candidate : best;
+    });
+  }
+};
+
+/**
+ * Split leads between candidates without touching the database
+ * @param {Array} leads - Leads to place, in the order they should be handed out
+ * @param {Array} candidates - Candidates from loadCandidates
+ * @param {string} strategy - One of STRATEGIES
+ * @returns {Array} Leads that could not be placed because every cap was reached
+ */
+const planDistribution = (leads, candidates, strategy) => {
+  const next = pickers[strategy](candidates);
+  const leftover = [];
+
+  leads.forEach(lead => {
+    const candidate = next();
+    if (!candidate) {
+      leftover.push(lead);
+      return;
+    }
+
+    candidate.leadIds.push(lead._id);
+    candidate.remaining -= 1;
+  });
+
+  return leftover;
+};
+
+// Write one candidate's share, skipping leads someone else assigned in the meantime
+const applyAllocation = async (candidate, actor) => {
+  const { employee, leadIds } = candidate;
+
+  await Lead.updateMany(
+    { _id: { $in: leadIds }, assignee: null },
+    { assignee: employee._id, assignedTo: employee.name, assignedDate: new Date() }
+  );
+
+  const assigned = await Lead.find({ _id: { $in: leadIds }, assignee: employee._id }, '_id');
+
+  await LeadActivity.recordMany(assigned.map(lead => ({
+    lead,
+    type: 'assignment',
+    actor,
+    before: { assignee: null, assignedTo: 'Unassigned' },
+    after: { assignee: employee._id, assignedTo: employee.name }
+  })));
+
+  return assigned.map(lead => lead._id);
+};
+
+/**
+ * Distribute unassigned leads across active employees
+ * @param {object} options - { strategy, employeeIds, scopedUserIds, leadIds, filters, limit, dailyCap, dryRun, actor };
+ *   scopedUserIds (from getScopedUserIds) limits the employees to the caller's scope, null for everyone
+ * @returns {object} The allocation per employee and totals
+ */
+const distributeLeads = async ({
+  strategy = 'round_robin',
+  employeeIds,
+  scopedUserIds = null,
+  leadIds,
+  filters = {},
+  limit,
+  dailyCap = null,
+  dryRun = false,
+  actor = null
+} = {}) => {
+  const candidates = await loadCandidates({ employeeIds, scopedUserIds, dailyCap });
+
+  let query = Lead.findUnassigned().where(filters).select('_id').sort({ createdAt: 1 });
+  if (leadIds && leadIds.length > 0) {
+    query = query.where('_id').in(leadIds);
+  }
+  if (limit) {
+    query = query.limit(limit);
+  }
+
+  const leads = candidates.length > 0 ? await query : [];
+  const leftover = planDistribution(leads, candidates, strategy);
+
+  let assignedCount = 0;
+  const allocations = [];
+
+  for (const candidate of candidates) {
+    const planned = candidate.leadIds.length;
+    const assignedIds = !dryRun && planned > 0 ? await applyAllocation(candidate, actor) : candidate.leadIds;
+
+    assignedCount += assignedIds.length;
+    allocations.push({
+      employeeId: candidate.employee._id,
+      employeeName: candidate.employee.name,
+      capacity: candidate.capacity,
+      dailyCap: candidate.dailyCap,
+      assignedToday: candidate.assignedToday,
+      openLeads: candidate.openLeads,
+      allocated: assignedIds.length,
+      skipped: planned - assignedIds.length,
+      leadIds: assignedIds
+    });
+  }
+
+  return {
+    strategy,
+    dryRun,
+    totalLeads: leads.length,
+    assignedCount,
+    overCapCount: leftover.length,
+    employeeCount: candidates.length,
+    allocations
+  };
+};
+
+module.exports = {
+  STRATEGIES,
+  planDistribution,
+  distributeLeads
+};
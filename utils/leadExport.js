@@ -0,0 +1,247 @@
+const User = require('../models/User');
+const { XlsxStreamWriter, writeWithBackpressure } = require('./xlsxStreamWriter');
+
+/**
+ * Lead Export Utility
+ * Column catalogue for lead exports and the CSV, JSON and XLSX renderers built on it.
+ * CSV and XLSX are streamed from a cursor; JSON is built in memory.
+ */
+
+// Characters of CSV collected before each write
+const FLUSH_SIZE = 64 * 1024;
+
+// Every column a lead export can contain; `type` decides how the value is written
+const EXPORT_COLUMNS = {
+  id: { header: 'ID', type: 'string', value: lead => lead._id.toString() },
+  name: { header: 'Name', type: 'string', value: lead => lead.name },
+  phone: { header: 'Phone', type: 'string', value: lead => lead.phone },
+  website: { header: 'Website', type: 'string', value: lead => lead.website },
+  description: { header: 'Description', type: 'string', value: lead => lead.description },
+  location: { header: 'Location', type: 'string', value: lead => lead.location },
+  sector: { header: 'Sector', type: 'string', value: lead => lead.sector },
+  status: { header: 'Status', type: 'string', value: lead => lead.status },
+  notes: { header: 'Notes', type: 'string', value: lead => lead.notes },
+  tags: { header: 'Tags', type: 'string', value: lead => (lead.tags || []).join('; ') },
+  leadScore: { header: 'Lead Score', type: 'number', value: lead => lead.leadScore },
+  callTime: { header: 'Call Time', type: 'string', value: lead => lead.callTime },
+  assignedTo: { header: 'Assigned To', type: 'string', value: lead => lead.assignedTo },
+  assignedDate: { header: 'Assigned Date', type: 'date', value: lead => lead.assignedDate },
+  campaign: { header: 'Campaign', type: 'string', value: lead => (lead.campaign ? lead.campaign.name : null) },
+  callbackAt: { header: 'Callback At', type: 'date', value: lead => (lead.callback ? lead.callback.scheduledAt : null) },
+  lastContactedAt: { header: 'Last Contacted', type: 'date', value: lead => lead.lastContactedAt },
+  createdAt: { header: 'Created At', type: 'date', value: lead => lead.createdAt },
+  updatedAt: { header: 'Updated At', type: 'date', value: lead => lead.updatedAt }
+};
+
+// Columns used when the request does not pick any
+const DEFAULT_COLUMNS = [
+  'name', 'phone', 'website', 'location', 'sector', 'status', 'notes',
+  'callTime', 'assignedTo', 'assignedDate', 'createdAt', 'updatedAt'
+];
+
+// Lead fields each column reads, for the query projection
+const COLUMN_FIELDS = {
+  id: ['_id'],
+  callbackAt: ['callback.scheduledAt']
+};
+
+/**
+ * Parse a `columns` query parameter
+ * @param {string} value - Comma-separated column keys
+ * @returns {object} { columns } or { error }
+ */
+const parseColumns = (value) => {
+  if (!value) return { columns: DEFAULT_COLUMNS };
+
+  const columns = [...new Set(String(value).split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = columns.filter(column => !EXPORT_COLUMNS[column]);
+
+  if (unknown.length > 0) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Available: ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+
+  if (columns.length === 0) {
+    return { error: 'At least one column is required' };
+  }
+
+  return { columns };
+};
+
+// Mongo projection covering the chosen columns
+const buildProjection = (columns) => {
+  return columns.reduce((acc, column) => {
+    (COLUMN_FIELDS[column] || [column]).forEach(field => {
+      acc[field] = 1;
+    });
+    return acc;
+  }, { _id: 1, status: 1, assignee: 1 }); // status and assignee always feed the summary
+};
+
+const readValue = (lead, column) => {
+  const value = EXPORT_COLUMNS[column].value(lead);
+  return value === undefined || value === null || value === '' ? null : value;
+};
+
+// One plain object per lead holding the chosen columns, keyed by column
+const toJsonRows = (leads, columns) => {
+  return leads.map(lead => columns.reduce((row, column) => {
+    row[column] = readValue(lead, column);
+    return row;
+  }, { id: lead._id }));
+};
+
+const escapeCsv = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// One CSV line; dates are written as local dates
+const toCsvLine = (lead, columns) => {
+  return columns.map(column => {
+    const value = readValue(lead, column);
+    if (value === null) return '""';
+    if (EXPORT_COLUMNS[column].type === 'date') return escapeCsv(new Date(value).toLocaleDateString());
+    return escapeCsv(value);
+  }).join(',');
+};
+
+const createSummary = () => ({ total: 0, byStatus: {}, byAssignee: {} });
+
+// byAssignee is keyed by assignee id while counting, 'Unassigned' for leads without one
+const countLead = (summary, lead) => {
+  const status = lead.status || 'Unknown';
+  const assignee = lead.assignee ? lead.assignee.toString() : 'Unassigned';
+  summary.total++;
+  summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+  summary.byAssignee[assignee] = (summary.byAssignee[assignee] || 0) + 1;
+};
+
+// Replace the counted assignee ids with [{ id, name, count }], largest first
+const nameAssignees = async (summary) => {
+  const names = await User.getNames(Object.keys(summary.byAssignee).filter(id => id !== 'Unassigned'));
+
+  summary.byAssignee = Object.entries(summary.byAssignee)
+    .map(([id, count]) => (id === 'Unassigned'
+      ? { id: null, name: 'Unassigned', count }
+      : { id, name: names.get(id) || 'Unknown user', count }))
+    .sort((a, b) => b.count - a.count);
+  return summary;
+};
+
+// Lead counts by status and assignee
+const summarize = (leads) => {
+  const summary = createSummary();
+  leads.forEach(lead => countLead(summary, lead));
+  return nameAssignees(summary);
+};
+
+// Summary sheet rows: totals, then a count table for status and for assignee
+const buildSummaryRows = (summary, filters) => {
+  const rows = [
+    ['Lead Export Summary'],
+    ['Generated At', new Date()],
+    ['Total Leads', summary.total]
+  ];
+
+  const appliedFilters = Object.entries(filters).filter(([, value]) => value);
+  if (appliedFilters.length > 0) {
+    rows.push([], ['Filter', 'Value'], ...appliedFilters);
+  }
+
+  rows.push([], ['Status', 'Leads']);
+  Object.entries(summary.byStatus)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(entry => rows.push(entry));
+
+  rows.push([], ['Assigned To', 'Leads']);
+  summary.byAssignee.forEach(({ name, count }) => rows.push([name, count]));
+
+  return rows;
+};
+
+/**
+ * Stream leads from a cursor into a CSV file with a header row.
+ * Output is written in chunks and waits for the stream to drain, so only
+ * one batch of leads is held in memory at a time.
+ * @param {AsyncIterable} cursor - Lead cursor (lean documents)
+ * @param {Writable} output - Destination stream, ended when the export completes
+ * @param {string[]} columns - Column keys
+ * @returns {object} Summary of the exported leads, with assignees counted by id
+ */
+const streamCsv = async (cursor, output, columns) => {
+  const summary = createSummary();
+  let buffer = columns.map(column => EXPORT_COLUMNS[column].header).join(',');
+
+  for await (const lead of cursor) {
+    countLead(summary, lead);
+    buffer += `\n${toCsvLine(lead, columns)}`;
+
+    if (buffer.length >= FLUSH_SIZE) {
+      await writeWithBackpressure(output, buffer);
+      buffer = '';
+    }
+  }
+
+  if (buffer) {
+    await writeWithBackpressure(output, buffer);
+  }
+  output.end();
+
+  return summary;
+};
+
+/**
+ * Stream leads from a cursor into an .xlsx workbook with a Leads sheet and a
+ * Summary sheet. The summary is counted while the leads are written, so its
+ * sheet comes second. Date columns are real Excel dates, numbers stay numeric.
+ * @param {AsyncIterable} cursor - Lead cursor (lean documents)
+ * @param {Writable} output - Destination stream, ended when the export completes
+ * @param {string[]} columns - Column keys
+ * @param {object} filters - Filters applied to the export, listed on the summary sheet
+ * @returns {object} Summary of the exported leads
+ */
+const streamWorkbook = async (cursor, output, columns, filters = {}) => {
+  const summary = createSummary();
+  const workbook = new XlsxStreamWriter(output);
+
+  try {
+    await workbook.startSheet('Leads', {
+      widths: columns.map(column => (
+        EXPORT_COLUMNS[column].type === 'date' ? 18 : Math.max(12, EXPORT_COLUMNS[column].header.length + 2)
+      ))
+    });
+    await workbook.writeRow(columns.map(column => EXPORT_COLUMNS[column].header), { header: true });
+
+    for await (const lead of cursor) {
+      countLead(summary, lead);
+      await workbook.writeRow(columns.map(column => {
+        const value = readValue(lead, column);
+        if (value !== null && EXPORT_COLUMNS[column].type === 'date') return new Date(value);
+        return value;
+      }));
+    }
+    await workbook.endSheet();
+
+    await nameAssignees(summary);
+    await workbook.startSheet('Summary', { widths: [24, 18] });
+    for (const row of buildSummaryRows(summary, filters)) {
+      await workbook.writeRow(row);
+    }
+    await workbook.endSheet();
+
+    await workbook.finish();
+  } catch (error) {
+    workbook.abort();
+    throw error;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  buildProjection,
+  toJsonRows,
+  streamCsv,
+  streamWorkbook,
+  summarize
+};
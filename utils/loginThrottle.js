@@ -0,0 +1,168 @@
+/**
+ * Login Throttling
+ * Counts failed logins per account and per client address in MongoDB, slows
+ * repeated failures down with a growing delay and locks the key for a while
+ * once too many failures pile up
+ */
+
+const LoginThrottle = require('../models/LoginThrottle');
+const { auditLogger } = require('./auditLogger');
+const { logger } = require('./logger');
+
+const getSettings = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  windowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  maxDelayMs: (parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30) * 1000
+});
+
+const normalizeEmail = (email) => String(email || '').toLowerCase().trim();
+
+const throttleKeys = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ scope: 'account', key: normalizeEmail(email) });
+  if (ip) keys.push({ scope: 'ip', key: ip });
+  return keys;
+};
+
+// Delay before the next attempt: none for the first failure, then 1s, 2s, 4s ... up to the cap
+const backoffDelay = (failures, maxDelayMs) => {
+  if (failures < 2) return 0;
+  return Math.min(1000 * 2 ** (failures - 2), maxDelayMs);
+};
+
+/**
+ * Check whether a login may be attempted right now
+ * @param {object} attempt - { email, ip }
+ * @param {Date} now - Reference time
+ * @returns {object} { allowed, reason, retryAfter (seconds), lockedUntil }
+ */
+const checkLoginAllowed = async ({ email, ip }, now = new Date()) => {
+  const blocking = await LoginThrottle.findBlocking(throttleKeys({ email, ip }), now);
+  if (blocking.length === 0) {
+    return { allowed: true, reason: null, retryAfter: 0, lockedUntil: null };
+  }
+
+  // Report the block that lasts longest
+  let result = { allowed: false, reason: null, retryAfter: 0, lockedUntil: null };
+  blocking.forEach(record => {
+    const locked = record.lockedUntil && record.lockedUntil > now;
+    const until = locked ? record.lockedUntil : record.nextAttemptAt;
+    const retryAfter = Math.ceil((until.getTime() - now.getTime()) / 1000);
+
+    if (retryAfter > result.retryAfter) {
+      result = {
+        allowed: false,
+        reason: locked ? `${record.scope}_locked` : 'backoff',
+        retryAfter,
+        lockedUntil: locked ? record.lockedUntil : null
+      };
+    }
+  });
+
+  return result;
+};
+
+// Failures from one address that earn no delay: only the last few before its lockout are slowed down,
+// so colleagues sharing an address are not throttled by each other's typos
+const ipFreeFailures = (settings) => Math.max(settings.maxIpFailures - settings.maxAccountFailures, 0);
+
+// Count one failure against a key and apply the delay or lock it has earned
+const registerFailure = async (scope, key, maxFailures, settings, now) => {
+  const record = await LoginThrottle.incrementFailures(scope, key, {
+    now,
+    windowMs: settings.windowMs,
+    retainMs: Math.max(settings.windowMs, settings.lockoutMs)
+  });
+
+  const countedFailures = scope === 'ip' ? record.failures - ipFreeFailures(settings) : record.failures;
+  const update = {
+    nextAttemptAt: new Date(now.getTime() + backoffDelay(countedFailures, settings.maxDelayMs))
+  };
+
+  const lockTriggered = record.failures >= maxFailures && !(record.lockedUntil && record.lockedUntil > now);
+  if (lockTriggered) {
+    update.lockedUntil = new Date(now.getTime() + settings.lockoutMs);
+    update.lockCount = record.lockCount + 1;
+    // A new window starts once the lock ends
+    update.failures = 0;
+  }
+
+  await LoginThrottle.updateOne({ _id: record._id }, update);
+
+  return { ...record.toObject(), ...update, lockTriggered };
+};
+
+/**
+ * Record a failed login against the account and the client address, and audit it
+ * @param {object} attempt - { email, ip, userAgent, user, source }
+ * @param {Date} now - Reference time
+ * @returns {object} { account, ip } throttle state after the failure
+ */
+const recordLoginFailure = async ({ email, ip, userAgent, user, source }, now = new Date()) => {
+  const settings = getSettings();
+  const metadata = { ip, userAgent, source };
+  const state = {};
+
+  if (email) {
+    state.account = await registerFailure('account', normalizeEmail(email), settings.maxAccountFailures, settings, now);
+  }
+  if (ip) {
+    state.ip = await registerFailure('ip', ip, settings.maxIpFailures, settings, now);
+  }
+
+  await auditLogger.logFailedLogin(normalizeEmail(email), {
+    ...metadata,
+    userId: user ? user._id : undefined,
+    failures: state.account ? state.account.failures : undefined
+  });
+
+  for (const scope of ['account', 'ip']) {
+    if (state[scope] && state[scope].lockTriggered) {
+      logger.warn('Login locked after repeated failures', { scope, key: scope === 'ip' ? ip : normalizeEmail(email), lockedUntil: state[scope].lockedUntil });
+      await auditLogger.logSuspiciousActivity(
+        user || { email: normalizeEmail(email) },
+        `Repeated failed logins; ${scope === 'ip' ? 'address' : 'account'} locked`,
+        { scope, email: normalizeEmail(email), lockedUntil: state[scope].lockedUntil, lockCount: state[scope].lockCount },
+        metadata
+      );
+    }
+  }
+
+  return state;
+};
+
+// A successful login clears the account's counter; the address counter decays on its own
+const recordLoginSuccess = async ({ email }) => {
+  await LoginThrottle.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+};
+
+// Lift an account lock (admin action); resolves with true when there was something to clear
+const unlockAccount = async (email) => {
+  const result = await LoginThrottle.deleteOne({ scope: 'account', key: normalizeEmail(email) });
+  return result.deletedCount > 0;
+};
+
+// Accounts and addresses locked right now
+const getActiveLockouts = (now = new Date()) => LoginThrottle.find({ lockedUntil: { $gt: now } })
+  .sort({ lockedUntil: -1 });
+
+// Message shown to a client that has to wait
+const describeThrottle = (check) => {
+  if (check.lockedUntil) {
+    const minutes = Math.max(1, Math.ceil(check.retryAfter / 60));
+    return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+  }
+  return `Too many failed login attempts. Try again in ${check.retryAfter} second${check.retryAfter === 1 ? '' : 's'}.`;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  getActiveLockouts,
+  describeThrottle,
+  backoffDelay
+};
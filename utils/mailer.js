@@ -0,0 +1,115 @@
+/**
+ * Mail Delivery
+ * Sends outgoing mail through a pluggable transport chosen with MAIL_TRANSPORT.
+ * The built-in "console" and "file" transports are meant for local use: they
+ * must be selected explicitly and are refused when NODE_ENV is production,
+ * since they expose message contents such as reset links. A real transport
+ * (SMTP, a mail API) is added with registerTransport.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+const transports = new Map();
+
+// Transports that leave message contents readable on the server
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Print the message to stdout so a developer can copy links from it
+transports.set('console', async (message) => {
+  console.log('📧 Outgoing mail');
+  console.log(`   From:    ${message.from}`);
+  console.log(`   To:      ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('');
+
+  return { transport: 'console' };
+});
+
+// Write each message as a JSON file under MAIL_FILE_DIR (default logs/mail)
+transports.set('file', async (message) => {
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../logs/mail'));
+  await fs.mkdir(directory, { recursive: true });
+
+  const fileName = `${Date.now()}-${require('crypto').randomUUID()}.json`;
+  const filePath = path.join(directory, fileName);
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  return { transport: 'file', path: filePath };
+});
+
+/**
+ * Register a transport, replacing any existing one with the same name
+ * @param {string} name - Name selected through MAIL_TRANSPORT
+ * @param {Function} send - async (message) => info
+ */
+const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports.set(name, send);
+};
+
+// Name of the transport currently in use; null when MAIL_TRANSPORT is not set
+const getTransportName = () => process.env.MAIL_TRANSPORT || null;
+
+/**
+ * Check that the configured transport can be used in this environment
+ * @returns {string|null} Why mail cannot be sent, or null when it can
+ */
+const getTransportProblem = () => {
+  const name = getTransportName();
+
+  if (!name) {
+    return 'No mail transport configured; set MAIL_TRANSPORT';
+  }
+
+  if (!transports.has(name)) {
+    return `Unknown mail transport "${name}"`;
+  }
+
+  if (LOCAL_TRANSPORTS.includes(name) && process.env.NODE_ENV === 'production') {
+    return `Mail transport "${name}" is for local use only and is refused in production`;
+  }
+
+  return null;
+};
+
+/**
+ * Send a message through the configured transport
+ * @param {object} options - { to, subject, text, html }
+ * @returns {object} Whatever the transport reports about the delivery
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const problem = getTransportProblem();
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const name = getTransportName();
+  const send = transports.get(name);
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@telcalling.local',
+    to,
+    subject,
+    text,
+    html,
+    date: new Date().toISOString()
+  };
+
+  const info = await send(message);
+  logger.info('Mail sent', { transport: name, to, subject });
+
+  return info;
+};
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  getTransportProblem,
+  sendMail
+};
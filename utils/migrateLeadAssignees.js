@@ -0,0 +1,101 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Lead = require('../models/Lead');
+const { connectDB } = require('./seedAdmin');
+const { logger } = require('./logger');
+
+/**
+ * Backfill Lead.assignee from the legacy free-text Lead.assignedTo name.
+ * Names that match no employee, or more than one, are reported and left untouched
+ * so they can be reassigned by hand.
+ * @param {object} options - { dryRun: boolean }
+ * @returns {object} Migration summary
+ */
+const migrateLeadAssignees = async ({ dryRun = false } = {}) => {
+  const summary = {
+    migrated: 0,
+    matchedNames: [],
+    unmatchedNames: [],
+    ambiguousNames: []
+  };
+
+  const names = await Lead.distinct('assignedTo', {
+    assignee: null,
+    assignedTo: { $nin: [null, '', 'Unassigned'] }
+  });
+
+  for (const name of names) {
+    const leadCount = await Lead.countDocuments({ assignee: null, assignedTo: name });
+    const candidates = await User.find({ name, role: 'Employee' }, '_id name email');
+
+    if (candidates.length === 0) {
+      summary.unmatchedNames.push({ name, leads: leadCount });
+      continue;
+    }
+
+    if (candidates.length > 1) {
+      summary.ambiguousNames.push({
+        name,
+        leads: leadCount,
+        candidates: candidates.map(user => ({ id: user._id, email: user.email }))
+      });
+      continue;
+    }
+
+    const [employee] = candidates;
+
+    if (!dryRun) {
+      const result = await Lead.updateMany(
+        { assignee: null, assignedTo: name },
+        { assignee: employee._id }
+      );
+      summary.migrated += result.modifiedCount;
+    } else {
+      summary.migrated += leadCount;
+    }
+
+    summary.matchedNames.push({ name, employeeId: employee._id, leads: leadCount });
+  }
+
+  logger.info('Lead assignee migration finished', { dryRun, ...summary });
+
+  return summary;
+};
+
+// Main execution function
+const runMigration = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const summary = await migrateLeadAssignees({ dryRun });
+
+    console.log(`${dryRun ? '🔍 Dry run:' : '✅'} ${summary.migrated} leads linked to ${summary.matchedNames.length} employees`);
+
+    summary.unmatchedNames.forEach(({ name, leads }) => {
+      console.log(`⚠️ No employee named "${name}" (${leads} leads left unassigned)`);
+    });
+
+    summary.ambiguousNames.forEach(({ name, leads, candidates }) => {
+      console.log(`⚠️ "${name}" matches ${candidates.length} employees (${leads} leads skipped): ${candidates.map(c => c.email).join(', ')}`);
+    });
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+module.exports = {
+  migrateLeadAssignees,
+  runMigration
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  runMigration();
+}
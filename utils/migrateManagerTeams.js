@@ -0,0 +1,153 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { connectDB } = require('./seedAdmin');
+const { logger } = require('./logger');
+
+// Comparison used by the team name index: names are unique ignoring case
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// First free team name for a manager: "<name>'s Team", then "<name>'s Team 2" and so on
+const uniqueTeamName = async (manager) => {
+  const base = `${manager.name}'s Team`;
+  let name = base;
+
+  for (let suffix = 2; await Team.exists({ name }).collation(NAME_COLLATION); suffix++) {
+    name = `${base} ${suffix}`;
+  }
+
+  return name;
+};
+
+/**
+ * Turn the legacy User.manager references into teams.
+ * Each manager that users point at gets a team they lead (an existing team they
+ * already lead is reused) and those users become its members. Users already on
+ * a team keep it and are reported. The manager field is then removed from every user.
+ * @param {object} options - { dryRun: boolean }
+ * @returns {object} Migration summary
+ */
+const migrateManagerTeams = async ({ dryRun = false } = {}) => {
+  const summary = {
+    teamsCreated: [],
+    teamsReused: [],
+    membersMoved: 0,
+    keptExistingTeam: [],
+    missingManagers: [],
+    fieldsRemoved: 0
+  };
+
+  // The field is no longer in the schema, so it is read straight from the collection
+  const managerIds = (await User.collection.distinct('manager', { manager: { $ne: null } }))
+    .filter(id => id);
+
+  for (const managerId of managerIds) {
+    const reports = await User.collection
+      .find({ manager: managerId }, { projection: { _id: 1, email: 1, team: 1 } })
+      .toArray();
+    const manager = await User.findById(managerId, '_id name email role');
+
+    if (!manager) {
+      summary.missingManagers.push({ managerId, users: reports.length });
+      continue;
+    }
+
+    let team = await Team.findOne({ lead: manager._id }).sort({ createdAt: 1 });
+    if (team) {
+      summary.teamsReused.push({ teamId: team._id, name: team.name, managerEmail: manager.email });
+    } else {
+      const name = await uniqueTeamName(manager);
+      if (!dryRun) {
+        team = await Team.create({
+          name,
+          description: 'Created from manager assignments',
+          lead: manager._id
+        });
+      }
+      summary.teamsCreated.push({ teamId: team ? team._id : null, name, managerEmail: manager.email });
+    }
+
+    const unassigned = reports.filter(user => !user.team);
+    reports
+      .filter(user => user.team && (!team || !team._id.equals(user.team)))
+      .forEach(user => summary.keptExistingTeam.push({ userId: user._id, email: user.email, managerEmail: manager.email }));
+
+    if (!dryRun && unassigned.length > 0) {
+      await User.updateMany({ _id: { $in: unassigned.map(user => user._id) } }, { team: team._id });
+    }
+    summary.membersMoved += unassigned.length;
+  }
+
+  if (dryRun) {
+    summary.fieldsRemoved = await User.collection.countDocuments({ manager: { $exists: true } });
+  } else {
+    const result = await User.collection.updateMany({ manager: { $exists: true } }, { $unset: { manager: '' } });
+    summary.fieldsRemoved = result.modifiedCount;
+
+    // The old index on the removed field is no longer used
+    const indexes = await User.collection.indexes();
+    if (indexes.some(index => index.name === 'manager_1')) {
+      await User.collection.dropIndex('manager_1');
+    }
+  }
+
+  logger.info('Manager team migration finished', {
+    dryRun,
+    teamsCreated: summary.teamsCreated.length,
+    teamsReused: summary.teamsReused.length,
+    membersMoved: summary.membersMoved,
+    keptExistingTeam: summary.keptExistingTeam.length,
+    missingManagers: summary.missingManagers.length,
+    fieldsRemoved: summary.fieldsRemoved
+  });
+
+  return summary;
+};
+
+// Main execution function
+const runMigration = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await connectDB();
+
+    const summary = await migrateManagerTeams({ dryRun });
+
+    console.log(`${dryRun ? '🔍 Dry run:' : '✅'} ${summary.membersMoved} users moved onto ${summary.teamsCreated.length + summary.teamsReused.length} manager teams`);
+
+    summary.teamsCreated.forEach(({ name, managerEmail }) => {
+      console.log(`   Team "${name}" ${dryRun ? 'would be created' : 'created'} for ${managerEmail}`);
+    });
+
+    summary.teamsReused.forEach(({ name, managerEmail }) => {
+      console.log(`   Existing team "${name}" led by ${managerEmail} reused`);
+    });
+
+    summary.keptExistingTeam.forEach(({ email, managerEmail }) => {
+      console.log(`⚠️ ${email} reported to ${managerEmail} but is already on another team; left there`);
+    });
+
+    summary.missingManagers.forEach(({ managerId, users }) => {
+      console.log(`⚠️ Manager ${managerId} no longer exists (${users} users left without a team)`);
+    });
+
+    console.log(`${dryRun ? '🔍' : '🧹'} manager field ${dryRun ? 'would be removed from' : 'removed from'} ${summary.fieldsRemoved} users`);
+  } catch (error) {
+    console.error('💥 Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+module.exports = {
+  migrateManagerTeams,
+  runMigration
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  runMigration();
+}
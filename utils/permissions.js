@@ -0,0 +1,103 @@
+/**
+ * Permissions
+ * Resolves what each role may do from the sets stored in MongoDB, falling back
+ * to the defaults in utils/roles.js, and keeps them cached briefly so route
+ * checks do not hit the database on every request
+ */
+
+const RolePermission = require('../models/RolePermission');
+const { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, isValidRole, isValidPermission } = require('./roles');
+
+const cache = new Map();
+
+const getCacheTtlMs = () => (parseInt(process.env.PERMISSION_CACHE_SECONDS) || 60) * 1000;
+
+// Forget cached sets so the next check reads the database again
+const clearPermissionCache = () => cache.clear();
+
+/**
+ * Permission set in force for a role
+ * @param {string} role - Role name
+ * @returns {string[]} Permissions
+ */
+const getPermissionsForRole = async (role) => {
+  if (!isValidRole(role)) return [];
+  if (role === ROLES.ADMIN) return DEFAULT_ROLE_PERMISSIONS[ROLES.ADMIN];
+
+  const cached = cache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const record = await RolePermission.findOne({ role }).lean();
+  const permissions = record ? record.permissions : DEFAULT_ROLE_PERMISSIONS[role];
+
+  cache.set(role, { permissions, expiresAt: Date.now() + getCacheTtlMs() });
+  return permissions;
+};
+
+// Whether a user holds every one of the given permissions
+const hasPermission = async (user, ...required) => {
+  if (!user) return false;
+  const granted = await getPermissionsForRole(user.role);
+  return required.every(permission => granted.includes(permission));
+};
+
+// Permission sets for every role, marking those still on their defaults
+const listRolePermissions = async () => {
+  const records = await RolePermission.find().lean();
+  const stored = new Map(records.map(record => [record.role, record]));
+
+  return Object.values(ROLES).map(role => {
+    const record = role === ROLES.ADMIN ? null : stored.get(role);
+    return {
+      role,
+      permissions: record ? record.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+      isDefault: !record,
+      editable: role !== ROLES.ADMIN,
+      updatedAt: record ? record.updatedAt : null
+    };
+  });
+};
+
+/**
+ * Check a permission set an admin wants to store
+ * @param {string} role - Role name
+ * @param {string[]} permissions - Requested permissions
+ * @returns {string|null} Problem with the request, or null when it is valid
+ */
+const validateRolePermissions = (role, permissions) => {
+  if (!isValidRole(role)) return 'Invalid role specified';
+  if (role === ROLES.ADMIN) return 'Admin permissions cannot be changed';
+  if (!Array.isArray(permissions)) return 'Permissions must be an array';
+
+  const unknown = permissions.filter(permission => !isValidPermission(permission));
+  if (unknown.length > 0) return `Unknown permission(s): ${unknown.join(', ')}`;
+
+  return null;
+};
+
+// Store a role's permission set
+const setRolePermissions = async (role, permissions, user) => {
+  const record = await RolePermission.setForRole(role, permissions, user);
+  clearPermissionCache();
+  return record;
+};
+
+// Put a role back on its default permission set; resolves with true when a stored set was removed
+const resetRolePermissions = async (role) => {
+  const result = await RolePermission.deleteOne({ role });
+  clearPermissionCache();
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  PERMISSIONS,
+  getPermissionsForRole,
+  hasPermission,
+  listRolePermissions,
+  validateRolePermissions,
+  setRolePermissions,
+  resetRolePermissions,
+  clearPermissionCache
+};
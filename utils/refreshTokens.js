@@ -0,0 +1,102 @@
+/**
+ * Refresh Token Sessions
+ * Issues refresh tokens that are recorded in the database, rotates them on
+ * every use and revokes the whole token family when a used token comes back
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const { REVOKE_REASONS } = RefreshToken;
+
+// Sign a refresh token and record it; resolves with { token, record }
+const createRefreshToken = async (user, { family, ip, userAgent }) => {
+  const jti = crypto.randomUUID();
+
+  const token = jwt.sign({ userId: user._id, family }, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+    jwtid: jti
+  });
+
+  const { exp } = jwt.decode(token);
+  const record = await RefreshToken.store({ user, family, jti, expiresAt: new Date(exp * 1000), ip, userAgent });
+
+  return { token, record };
+};
+
+/**
+ * Start a new session for a user
+ * @param {object} user - User the token belongs to
+ * @param {object} options - { ip, userAgent }
+ * @returns {string} Signed refresh token
+ */
+const issueRefreshToken = async (user, { ip, userAgent } = {}) => {
+  const { token } = await createRefreshToken(user, { family: crypto.randomUUID(), ip, userAgent });
+  return token;
+};
+
+// Verify a refresh token's signature; resolves with the payload, or null when invalid or expired
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+    return decoded.jti && decoded.family ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * A token that was already exchanged or revoked means it has leaked, so the
+ * whole family is revoked and the holder has to log in again.
+ * @param {string} token - Refresh token presented by the client
+ * @param {object} options - { ip, userAgent }
+ * @returns {object} { status: 'rotated' | 'invalid' | 'reused', decoded, token, record }
+ */
+const rotateRefreshToken = async (token, { ip, userAgent } = {}) => {
+  const decoded = verifyRefreshToken(token);
+  if (!decoded) return { status: 'invalid' };
+
+  const record = await RefreshToken.findByTokenId(decoded.jti);
+  if (!record) return { status: 'invalid', decoded };
+
+  // Claiming atomically means two concurrent uses of one token cannot both succeed
+  const claimed = record.revokedAt ? null : await RefreshToken.claimForRotation(record._id);
+  if (!claimed) {
+    // Only a token retired by rotation counts as reuse; logout and forced revocation just fail
+    if (record.revokedReason === REVOKE_REASONS.ROTATED || !record.revokedAt) {
+      await RefreshToken.revokeFamily(record.family, REVOKE_REASONS.REUSE_DETECTED);
+      return { status: 'reused', decoded, record };
+    }
+    return { status: 'invalid', decoded, record };
+  }
+
+  const next = await createRefreshToken({ _id: record.user }, { family: record.family, ip, userAgent });
+  await RefreshToken.updateOne({ _id: claimed._id }, { replacedBy: next.record._id });
+
+  return { status: 'rotated', decoded, token: next.token, record: next.record };
+};
+
+// Revoke the session a refresh token belongs to; resolves with the number of tokens revoked
+const revokeRefreshToken = async (token, reason = REVOKE_REASONS.LOGOUT) => {
+  const decoded = verifyRefreshToken(token);
+  if (!decoded) return 0;
+
+  const record = await RefreshToken.findByTokenId(decoded.jti);
+  if (!record) return 0;
+
+  return RefreshToken.revokeFamily(record.family, reason);
+};
+
+// Revoke every session a user holds
+const revokeUserSessions = (userId, reason) => RefreshToken.revokeAllForUser(userId, reason);
+
+module.exports = {
+  REVOKE_REASONS,
+  issueRefreshToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+};
@@ -0,0 +1,11 @@
+/**
+ * Regex Helpers
+ * User input used in $regex filters is escaped first, so it always matches literally
+ */
+
+// Escape every regex metacharacter in a value
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
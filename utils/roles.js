@@ -7,6 +7,7 @@
  */
 const ROLES = {
   ADMIN: 'Admin',
+  MANAGER: 'Manager',
   EMPLOYEE: 'Employee'
 };
 
@@ -15,7 +16,59 @@ const ROLES = {
  */
 const ROLE_HIERARCHY = {
   [ROLES.EMPLOYEE]: 1,
-  [ROLES.ADMIN]: 2
+  [ROLES.MANAGER]: 2,
+  [ROLES.ADMIN]: 3
+};
+
+/**
+ * Permissions checked by requirePermission, one per guarded action
+ */
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  LEADS_VIEW: 'leads.view',
+  LEADS_ASSIGN: 'leads.assign',
+  LEADS_UPDATE: 'leads.update',
+  LEADS_DELETE: 'leads.delete',
+  LEADS_DISTRIBUTE: 'leads.distribute',
+  LEADS_IMPORT: 'leads.import',
+  LEADS_EXPORT: 'leads.export',
+  EMPLOYEES_VIEW: 'employees.view',
+  TEAMS_VIEW: 'teams.view',
+  TEAMS_MANAGE: 'teams.manage',
+  CALLS_STATS: 'calls.stats',
+  COMPLIANCE_VIEW: 'compliance.view',
+  USERS_MANAGE: 'users.manage',
+  SECURITY_MANAGE: 'security.manage',
+  AUDIT_VIEW: 'audit.view',
+  PERMISSIONS_MANAGE: 'permissions.manage'
+};
+
+/**
+ * Permission sets used until an admin stores a different set for a role.
+ * Admins always hold every permission so they cannot lock themselves out.
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.MANAGER]: [
+    PERMISSIONS.DASHBOARD_VIEW,
+    PERMISSIONS.LEADS_VIEW,
+    PERMISSIONS.LEADS_ASSIGN,
+    PERMISSIONS.LEADS_UPDATE,
+    PERMISSIONS.EMPLOYEES_VIEW,
+    PERMISSIONS.TEAMS_VIEW,
+    PERMISSIONS.CALLS_STATS,
+    PERMISSIONS.COMPLIANCE_VIEW
+  ],
+  [ROLES.EMPLOYEE]: []
+};
+
+/**
+ * Check if a permission exists in the system
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if permission exists
+ */
+const isValidPermission = (permission) => {
+  return Object.values(PERMISSIONS).includes(permission);
 };
 
 /**
@@ -50,6 +103,15 @@ const isAdmin = (role) => {
   return role === ROLES.ADMIN;
 };
 
+/**
+ * Check if user is manager
+ * @param {string} role - User role
+ * @returns {boolean} True if user is manager
+ */
+const isManager = (role) => {
+  return role === ROLES.MANAGER;
+};
+
 /**
  * Check if user is employee
  * @param {string} role - User role
@@ -113,6 +175,7 @@ const canAssignRole = (assignerRole, targetRole) => {
 const getRoleDisplayName = (role) => {
   const displayNames = {
     [ROLES.ADMIN]: 'Administrator',
+    [ROLES.MANAGER]: 'Manager',
     [ROLES.EMPLOYEE]: 'Employee'
   };
 
@@ -135,6 +198,17 @@ const getRolePermissions = (role) => {
       canViewReports: true,
       canManageSettings: true
     },
+    [ROLES.MANAGER]: {
+      canManageUsers: false,
+      canViewAllData: false,
+      canViewTeamData: true,
+      canAssignLeads: true,
+      canExportData: false,
+      canImportData: false,
+      canManageCampaigns: true,
+      canViewReports: true,
+      canManageSettings: false
+    },
     [ROLES.EMPLOYEE]: {
       canManageUsers: false,
       canViewAllData: false,
@@ -187,9 +261,13 @@ const validateRoleTransition = (currentRole, newRole, assignerRole) => {
 module.exports = {
   ROLES,
   ROLE_HIERARCHY,
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
   isValidRole,
+  isValidPermission,
   hasRolePermission,
   isAdmin,
+  isManager,
   isEmployee,
   getRolesInHierarchy,
   getManageableRoles,
@@ -0,0 +1,103 @@
+/**
+ * Team Scope
+ * Works out whose work a signed-in user may see: Admins see everyone,
+ * Managers see themselves and the members of the teams they lead, everyone
+ * else only themselves
+ */
+
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { ROLES, ROLE_HIERARCHY } = require('./roles');
+
+// Ids of the members of one or more teams
+const getTeamUserIds = async (teamIds) => {
+  return User.find({ team: { $in: [].concat(teamIds) } }).distinct('_id');
+};
+
+// Ids of the members of every team a manager leads
+const getTeamMemberIds = async (managerId) => {
+  const teamIds = await Team.find({ lead: managerId }).distinct('_id');
+  return teamIds.length > 0 ? getTeamUserIds(teamIds) : [];
+};
+
+/**
+ * Ids of the users whose leads, calls and stats `user` may see
+ * @param {object} user - Signed-in user
+ * @returns {Array|null} User ids, or null when access is unrestricted
+ */
+const getScopedUserIds = async (user) => {
+  if (user.role === ROLES.ADMIN) return null;
+
+  if (user.role === ROLES.MANAGER) {
+    return [user._id, ...(await getTeamMemberIds(user._id))];
+  }
+
+  return [user._id];
+};
+
+// Query condition limiting `field` (a user reference) to the user's scope; {} when unrestricted
+const scopeFilter = async (user, field) => {
+  const ids = await getScopedUserIds(user);
+  return ids ? { [field]: { $in: ids } } : {};
+};
+
+// Leads the user may see, matched on the assignee
+const leadScopeFilter = (user) => scopeFilter(user, 'assignee');
+
+// Users the user may see
+const userScopeFilter = (user) => scopeFilter(user, '_id');
+
+// Query condition limiting `field` (a user reference) to the members of a team
+const teamFilter = async (teamId, field = 'assignee') => {
+  return { [field]: { $in: await getTeamUserIds(teamId) } };
+};
+
+// Combine a query with a scope condition without either overwriting the other's fields
+const applyScope = (filter, scope) => {
+  if (!scope || Object.keys(scope).length === 0) return filter;
+  if (!filter || Object.keys(filter).length === 0) return scope;
+  return { $and: [filter, scope] };
+};
+
+// Whether `user` may see or manage the user with `targetId`
+const canAccessUser = async (user, targetId) => {
+  const ids = await getScopedUserIds(user);
+  return !ids || ids.some(id => id.toString() === String(targetId));
+};
+
+// Whether `user` may see or manage a lead
+const canAccessLead = async (user, lead) => {
+  const ids = await getScopedUserIds(user);
+  if (!ids) return true;
+  return !!lead.assignee && ids.some(id => id.toString() === lead.assignee.toString());
+};
+
+// Whether `user` may act on the account of `target` (password, sessions, lockouts): Admins on anyone,
+// everyone else only on users of a lower role within their scope
+const canManageUser = async (user, target) => {
+  if (user.role === ROLES.ADMIN) return true;
+  if ((ROLE_HIERARCHY[target.role] || 0) >= (ROLE_HIERARCHY[user.role] || 0)) return false;
+  return canAccessUser(user, target._id);
+};
+
+// Whether `member` may sit on a team led by `lead` (null for a team without a lead): Admins never join
+// teams, and members must rank below the lead so the lead's scope never covers an equal or higher role
+const canJoinTeam = (member, lead) => {
+  if (member.role === ROLES.ADMIN) return false;
+  if (!lead) return true;
+  return (ROLE_HIERARCHY[member.role] || 0) < (ROLE_HIERARCHY[lead.role] || 0);
+};
+
+module.exports = {
+  getTeamUserIds,
+  getTeamMemberIds,
+  getScopedUserIds,
+  leadScopeFilter,
+  userScopeFilter,
+  teamFilter,
+  applyScope,
+  canAccessUser,
+  canAccessLead,
+  canManageUser,
+  canJoinTeam
+};
@@ -0,0 +1,143 @@
+/**
+ * Time Zone Utilities
+ * Helpers for reading and building wall-clock times in an IANA time zone
+ * (e.g. a campaign's communicationSettings.timeZone) without extra dependencies
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+// Local date-time without an offset, e.g. "2024-01-15T17:30" or "2024-01-15 17:30:00"
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+// Leading date and time of any ISO-style value, absolute or local
+const DATE_TIME_PARTS = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+// Check that date-time parts name a real calendar date and clock time (no rolling over into the next month or day)
+const isValidDateTimeParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }) => {
+  if (month < 1 || month > 12) return false;
+
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return day >= 1 && day <= daysInMonth &&
+    hour >= 0 && hour <= 23 &&
+    minute >= 0 && minute <= 59 &&
+    second >= 0 && second <= 59;
+};
+
+// Check that a time zone name is known to the runtime
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Break a date into its wall-clock parts in the given time zone
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = formatter.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: parts.weekday.toLowerCase()
+  };
+};
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert wall-clock parts in a time zone into the matching UTC instant
+const zonedPartsToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = DEFAULT_TIME_ZONE) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Resolve the offset twice so times next to a DST switch land on the right side
+  let offset = getTimeZoneOffset(new Date(asUtc), timeZone);
+  offset = getTimeZoneOffset(new Date(asUtc - offset), timeZone);
+
+  return new Date(asUtc - offset);
+};
+
+/**
+ * Parse a date-time sent by a client.
+ * Values carrying an offset or "Z" are absolute; bare local values such as
+ * "2024-01-15T17:30" are read as wall-clock time in the given time zone.
+ * @param {string|Date} value - Date-time to parse
+ * @param {string} timeZone - IANA time zone for local values
+ * @returns {Date|null} Parsed date, or null when the value is not a valid date-time or has out-of-range parts
+ */
+const parseDateTimeInZone = (value, timeZone = DEFAULT_TIME_ZONE) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  // Out-of-range parts such as month 13 or 25:00 are rejected rather than rolled over
+  const parts = value.trim().match(DATE_TIME_PARTS);
+  if (parts) {
+    const [, year, month, day, hour, minute, second] = parts.map(part => (part === undefined ? 0 : Number(part)));
+    if (!isValidDateTimeParts({ year, month, day, hour, minute, second })) return null;
+  }
+
+  const match = value.trim().match(LOCAL_DATE_TIME);
+  if (match) {
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return zonedPartsToDate({ year, month, day, hour, minute, second: second || 0 }, timeZone);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Format a date as "YYYY-MM-DD HH:MM" wall-clock time in the given time zone
+const formatInTimeZone = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  if (!date) return null;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const parts = getZonedParts(date, timeZone);
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Start of the calendar day containing the date, in the given time zone
+const startOfDayInZone = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedPartsToDate({ year, month, day }, timeZone);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  isValidDateTimeParts,
+  getZonedParts,
+  zonedPartsToDate,
+  parseDateTimeInZone,
+  formatInTimeZone,
+  startOfDayInZone
+};
@@ -0,0 +1,82 @@
+/**
+ * Two-Factor Login
+ * Decides whether a login needs a second step and issues the short-lived
+ * pre-auth tokens that are swapped for real tokens once a TOTP code is checked
+ */
+
+const jwt = require('jsonwebtoken');
+const SystemSetting = require('../models/SystemSetting');
+
+// Roles that may enrol in two-factor authentication
+const TWO_FACTOR_ROLES = ['Admin', 'Manager'];
+
+const REQUIRE_FOR_ADMINS_SETTING = 'security.requireTwoFactorForAdmins';
+
+const PRE_AUTH_PURPOSES = {
+  // Password checked, waiting for a TOTP or recovery code
+  VERIFY: '2fa_verify',
+  // Password checked, but the role requires 2FA and the user has not enrolled yet
+  SETUP: '2fa_setup'
+};
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Telecalling App';
+
+const canUseTwoFactor = (user) => TWO_FACTOR_ROLES.includes(user.role);
+
+// Whether policy forces this user to have 2FA enabled
+const isTwoFactorRequired = async (user) => {
+  if (user.role !== 'Admin') return false;
+  return !!(await SystemSetting.getValue(REQUIRE_FOR_ADMINS_SETTING));
+};
+
+// Sign a pre-auth token; authenticateToken refuses any token carrying a purpose
+const issuePreAuthToken = (user, purpose) => jwt.sign(
+  { userId: user._id, purpose },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.TWO_FACTOR_PRE_AUTH_EXPIRE || '5m' }
+);
+
+// Verify a pre-auth token for one of the given purposes; resolves with the payload or null
+const verifyPreAuthToken = (token, purposes) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return purposes.includes(decoded.purpose) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Work out the second login step for a user whose password has been checked
+ * @param {object} user - User logging in
+ * @returns {object|null} The challenge to return instead of tokens, or null when none is needed
+ */
+const getLoginChallenge = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return {
+      twoFactorRequired: true,
+      preAuthToken: issuePreAuthToken(user, PRE_AUTH_PURPOSES.VERIFY)
+    };
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      preAuthToken: issuePreAuthToken(user, PRE_AUTH_PURPOSES.SETUP)
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  REQUIRE_FOR_ADMINS_SETTING,
+  PRE_AUTH_PURPOSES,
+  getIssuer,
+  canUseTwoFactor,
+  isTwoFactorRequired,
+  issuePreAuthToken,
+  verifyPreAuthToken,
+  getLoginChallenge
+};
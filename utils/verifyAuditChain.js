@@ -0,0 +1,57 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('./seedAdmin');
+const { verifyAuditChain, createCheckpoint } = require('./auditChain');
+
+// Main execution function
+const runVerification = async () => {
+  const checkpoint = process.argv.includes('--checkpoint');
+
+  try {
+    await connectDB();
+
+    const result = await verifyAuditChain();
+
+    if (result.valid) {
+      console.log(`✅ Audit chain intact: ${result.checkedEntries} entries checked (sequence ${result.firstSequence ?? '-'} to ${result.lastSequence ?? '-'}), ${result.checkpointsChecked} checkpoints matched`);
+      if (result.startsAfterExpiredEntries) {
+        console.log(`ℹ️ Entries before sequence ${result.firstSequence} have passed their retention date and were removed`);
+        if (!result.startRetentionVerified) {
+          console.log(`⚠️ Sequence ${result.firstSequence} predates retention tracking, so the removal date of the entry before it cannot be checked`);
+        }
+      }
+    } else {
+      const { sequence, eventId, reason } = result.brokenLink;
+      console.log(`❌ Audit chain broken at sequence ${sequence} (event ${eventId}): ${reason}`);
+      console.log(JSON.stringify(result.brokenLink, null, 2));
+      process.exitCode = 1;
+    }
+
+    if (result.unchainedEntries > 0) {
+      console.log(`⚠️ ${result.unchainedEntries} entries were written before the hash chain existed and cannot be verified`);
+    }
+
+    // Only sign the head of a chain that checked out
+    if (checkpoint && result.valid) {
+      const created = await createCheckpoint();
+      console.log(created
+        ? `🔏 Checkpoint signed at sequence ${created.sequence}`
+        : '🔏 No new entries since the last checkpoint');
+    }
+  } catch (error) {
+    console.error('💥 Verification failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+};
+
+module.exports = {
+  runVerification
+};
+
+// Run verification if this file is executed directly
+if (require.main === module) {
+  runVerification();
+}
@@ -0,0 +1,163 @@
+/**
+ * Employee Work Queue
+ * Serves an agent the next lead to call, in priority order, and locks it to
+ * that agent for a short time so two people never dial the same number
+ */
+
+const Lead = require('../models/Lead');
+const { getCampaignRestrictions } = require('./callingWindow');
+
+const CLOSED_STATUSES = ['Completed', 'Not Interested'];
+
+const getLockMinutes = () => parseInt(process.env.QUEUE_LOCK_MINUTES) || 5;
+
+// A lead is free when nobody holds a live lock, or the lock is the agent's own
+const lockFreeFor = (agentId, now) => ({
+  $or: [
+    { lockExpiresAt: null },
+    { lockExpiresAt: { $lte: now } },
+    { lockedBy: agentId }
+  ]
+});
+
+// Leads with a callback still in the future wait for it instead of being served early
+const noPendingCallback = (now) => ({
+  $or: [
+    { 'callback.scheduledAt': null },
+    { 'callback.completedAt': { $ne: null } },
+    { 'callback.scheduledAt': { $lte: now } }
+  ]
+});
+
+// Priority tiers, served strictly in this order
+const buildTiers = (now) => [
+  {
+    name: 'callback',
+    filter: { 'callback.scheduledAt': { $ne: null, $lte: now }, 'callback.completedAt': null },
+    sort: { 'callback.scheduledAt': 1 }
+  },
+  {
+    name: 'hot',
+    filter: { status: 'Hot', ...noPendingCallback(now) },
+    sort: { lastContactedAt: 1, assignedDate: 1 }
+  },
+  {
+    name: 'new',
+    filter: { status: 'New', ...noPendingCallback(now) },
+    sort: { assignedDate: 1, createdAt: 1 }
+  },
+  {
+    name: 'pending',
+    filter: { status: 'Pending', ...noPendingCallback(now) },
+    sort: { lastContactedAt: 1, lastUpdatedAt: 1 }
+  }
+];
+
+// Name of the tier a lead is served from
+const tierOf = (lead, now) => {
+  if (lead.hasOpenCallback() && lead.callback.scheduledAt <= now) return 'callback';
+  return lead.status.toLowerCase();
+};
+
+/**
+ * Build the part of the queue filter shared by every tier: the agent's open leads,
+ * outside blocked campaigns and not sharing a phone number another agent is dialling
+ * @param {ObjectId} agentId - Agent being served
+ * @param {Date} now - Reference time
+ * @returns {object} { base, heldBackCampaigns }
+ */
+const buildBaseFilter = async (agentId, now) => {
+  const campaignIds = await Lead.distinct('campaign', {
+    assignee: agentId,
+    status: { $nin: CLOSED_STATUSES },
+    campaign: { $ne: null }
+  });
+
+  const restrictions = await getCampaignRestrictions(campaignIds, agentId, now);
+  const heldBackCampaigns = [...restrictions.values()].filter(restriction => !restriction.allowed);
+
+  const phonesInUse = await Lead.distinct('phone', {
+    lockedBy: { $ne: null, $nin: [agentId] },
+    lockExpiresAt: { $gt: now }
+  });
+
+  const base = {
+    assignee: agentId,
+    status: { $nin: CLOSED_STATUSES },
+    ...lockFreeFor(agentId, now)
+  };
+
+  if (heldBackCampaigns.length > 0) {
+    base.campaign = { $nin: heldBackCampaigns.map(restriction => restriction.campaignId) };
+  }
+
+  if (phonesInUse.length > 0) {
+    base.phone = { $nin: phonesInUse };
+  }
+
+  return { base, heldBackCampaigns };
+};
+
+/**
+ * Serve the next lead to an agent and lock it to them.
+ * A lead the agent already holds a live lock on is served again, so refreshing
+ * the screen never hands out a second lead.
+ * @param {ObjectId} agentId - Agent being served
+ * @param {Date} now - Reference time
+ * @returns {object} { lead, tier, resumed, lockExpiresAt, heldBackCampaigns }
+ */
+const claimNextLead = async (agentId, now = new Date()) => {
+  const { base, heldBackCampaigns } = await buildBaseFilter(agentId, now);
+  const lockExpiresAt = new Date(now.getTime() + getLockMinutes() * 60 * 1000);
+
+  const held = await Lead.findOne({ ...base, lockedBy: agentId, lockExpiresAt: { $gt: now } });
+  if (held) {
+    await Lead.updateOne({ _id: held._id, lockedBy: agentId }, { lockExpiresAt });
+    held.lockExpiresAt = lockExpiresAt;
+
+    return { lead: held, tier: tierOf(held, now), resumed: true, lockExpiresAt, heldBackCampaigns };
+  }
+
+  for (const tier of buildTiers(now)) {
+    // base and the tier both use $or, so they are combined with $and
+    const lead = await Lead.findOneAndUpdate(
+      { $and: [base, tier.filter] },
+      { lockedBy: agentId, lockExpiresAt },
+      { sort: tier.sort, new: true }
+    );
+
+    if (lead) {
+      return { lead, tier: tier.name, resumed: false, lockExpiresAt, heldBackCampaigns };
+    }
+  }
+
+  return { lead: null, tier: null, resumed: false, lockExpiresAt: null, heldBackCampaigns };
+};
+
+// Count what is left in each tier for the agent (excluding leads locked by others)
+const countQueue = async (agentId, now = new Date()) => {
+  const { base } = await buildBaseFilter(agentId, now);
+  const tiers = buildTiers(now);
+
+  const counts = await Promise.all(tiers.map(tier => Lead.countDocuments({ $and: [base, tier.filter] })));
+
+  return tiers.reduce((acc, tier, index) => {
+    acc[tier.name] = counts[index];
+    return acc;
+  }, {});
+};
+
+// Release the agent's lock on a lead; resolves with true when a lock was released
+const releaseLead = async (leadId, agentId) => {
+  const result = await Lead.updateOne(
+    { _id: leadId, lockedBy: agentId },
+    { lockedBy: null, lockExpiresAt: null }
+  );
+  return result.modifiedCount > 0;
+};
+
+module.exports = {
+  claimNextLead,
+  countQueue,
+  releaseLead
+};
@@ -0,0 +1,386 @@
+const zlib = require('zlib');
+const { once } = require('events');
+
+/**
+ * Streaming XLSX Writer
+ * Writes a workbook row by row straight into a writable stream (usually the
+ * HTTP response), so memory use stays flat however many rows are exported.
+ * Writes wait for the stream to drain, and stop with an EXPORT_CANCELLED error
+ * once it closes (for example when the client disconnects).
+ *
+ * The xlsx library builds the whole workbook in memory, so the file is put
+ * together here: a ZIP archive of SpreadsheetML parts. Sizes are limited to
+ * 4GB per part since ZIP64 is not written.
+ */
+
+const FLUSH_SIZE = 64 * 1024;
+const MAX_CELL_LENGTH = 32767;
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+// Cell style indexes in styles.xml
+const STYLE_DATE = 1;
+const STYLE_HEADER = 2;
+
+const cancelledError = () => {
+  const error = new Error('Export cancelled');
+  error.code = 'EXPORT_CANCELLED';
+  return error;
+};
+
+// CRC-32 used by ZIP; zlib ships one from Node 20.15
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = zlib.crc32 || ((buffer, value = 0) => {
+  let crc = (value ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+});
+
+/**
+ * Write to a stream, waiting for 'drain' when its buffer is full
+ * @param {Writable} output - Destination stream
+ * @param {Buffer|string} chunk - Data to write
+ * @returns {Promise} Resolves once more data may be written; rejects with EXPORT_CANCELLED if the stream closes first
+ */
+const writeWithBackpressure = (output, chunk) => {
+  if (output.destroyed || output.writableEnded) {
+    return Promise.reject(cancelledError());
+  }
+
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off('drain', onDrain);
+      reject(cancelledError());
+    };
+
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+};
+
+// DOS date and time fields used in ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+// General purpose flags: sizes follow the data (bit 3), names are UTF-8 (bit 11)
+const ZIP_FLAGS = 0x0808;
+const ZIP_DEFLATE = 8;
+
+// Writes ZIP entries one after another, deflating each as it is streamed
+class ZipStreamWriter {
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+    this.current = null;
+    this.deflate = null;
+    this.stamp = dosDateTime(new Date());
+
+    // Settles only if the output closes before the archive is finished
+    this.closed = new Promise((resolve, reject) => {
+      this.onOutputClose = () => reject(cancelledError());
+    });
+    this.closed.catch(() => {});
+    output.once('close', this.onOutputClose);
+  }
+
+  wait(promise) {
+    return Promise.race([promise, this.closed]);
+  }
+
+  async writeRaw(buffer) {
+    this.offset += buffer.length;
+    await writeWithBackpressure(this.output, buffer);
+  }
+
+  async startEntry(name) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    this.current = { name: nameBuffer, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(ZIP_DEFLATE, 8);
+    header.writeUInt16LE(this.stamp.time, 10);
+    header.writeUInt16LE(this.stamp.date, 12);
+    // CRC and sizes (14-25) stay zero; they follow in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    await this.writeRaw(Buffer.concat([header, nameBuffer]));
+
+    const entry = this.current;
+    this.deflate = zlib.createDeflateRaw();
+    this.deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      this.offset += chunk.length;
+
+      // Hold the compressor until the output catches up
+      if (!this.output.write(chunk)) {
+        this.deflate.pause();
+        this.output.once('drain', () => this.deflate && this.deflate.resume());
+      }
+    });
+  }
+
+  async write(data) {
+    const buffer = Buffer.from(data, 'utf8');
+    this.current.crc = crc32(buffer, this.current.crc);
+    this.current.size += buffer.length;
+
+    if (!this.deflate.write(buffer)) {
+      await this.wait(once(this.deflate, 'drain'));
+    }
+  }
+
+  async endEntry() {
+    const ended = once(this.deflate, 'end');
+    this.deflate.end();
+    await this.wait(ended);
+    this.deflate = null;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(this.current.crc, 4);
+    descriptor.writeUInt32LE(this.current.compressedSize, 8);
+    descriptor.writeUInt32LE(this.current.size, 12);
+    await this.writeRaw(descriptor);
+
+    this.entries.push(this.current);
+    this.current = null;
+  }
+
+  async addEntry(name, content) {
+    await this.startEntry(name);
+    await this.write(content);
+    await this.endEntry();
+  }
+
+  async finish() {
+    const directoryOffset = this.offset;
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(ZIP_DEFLATE, 10);
+      record.writeUInt16LE(this.stamp.time, 12);
+      record.writeUInt16LE(this.stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.name.length, 28);
+      // Extra field, comment, disk number and attributes (30-41) stay zero
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.name]);
+    });
+
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.writeRaw(Buffer.concat([directory, end]));
+
+    this.output.off('close', this.onOutputClose);
+    this.output.end();
+  }
+
+  abort() {
+    if (this.deflate) {
+      this.deflate.destroy();
+      this.deflate = null;
+    }
+    this.output.off('close', this.onOutputClose);
+  }
+}
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) => String(value)
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Column letters for a zero-based index: 0 -> A, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Excel stores dates as days since 1899-12-30
+const toExcelDate = (date) => date.getTime() / 86400000 + 25569;
+
+const buildCell = (value, ref, style) => {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${toExcelDate(value)}</v></c>`;
+  }
+
+  const styleAttr = style ? ` s="${style}"` : '';
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  const text = String(value).slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  `<numFmts count="1"><numFmt numFmtId="164" formatCode="${DATE_FORMAT}"/></numFmts>` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '</cellXfs>' +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  '</styleSheet>';
+
+// Streams a workbook one sheet and one row at a time
+class XlsxStreamWriter {
+  constructor(output) {
+    this.zip = new ZipStreamWriter(output);
+    this.sheets = [];
+    this.buffer = '';
+    this.rowNumber = 0;
+  }
+
+  /**
+   * Begin a new worksheet; the previous one must have been ended
+   * @param {string} name - Sheet name (at most 31 characters)
+   * @param {object} options - { widths: column widths in characters }
+   */
+  async startSheet(name, { widths = [] } = {}) {
+    this.sheets.push(name.slice(0, 31));
+    this.rowNumber = 0;
+
+    await this.zip.startEntry(`xl/worksheets/sheet${this.sheets.length}.xml`);
+
+    const cols = widths.length > 0
+      ? `<cols>${widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+      : '';
+
+    this.buffer = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      `${cols}<sheetData>`;
+  }
+
+  /**
+   * Append a row to the current sheet. Dates become Excel dates and numbers stay numeric.
+   * @param {Array} values - Cell values
+   * @param {object} options - { header: bold the row }
+   */
+  async writeRow(values, { header = false } = {}) {
+    this.rowNumber++;
+    const cells = values
+      .map((value, i) => buildCell(value, `${columnName(i)}${this.rowNumber}`, header ? STYLE_HEADER : 0))
+      .join('');
+
+    this.buffer += `<row r="${this.rowNumber}">${cells}</row>`;
+
+    if (this.buffer.length >= FLUSH_SIZE) {
+      await this.flush();
+    }
+  }
+
+  async flush() {
+    if (!this.buffer) return;
+    const chunk = this.buffer;
+    this.buffer = '';
+    await this.zip.write(chunk);
+  }
+
+  async endSheet() {
+    this.buffer += '</sheetData></worksheet>';
+    await this.flush();
+    await this.zip.endEntry();
+  }
+
+  // Write the workbook parts that list the sheets, then close the archive and the output
+  async finish() {
+    const sheetIndexes = this.sheets.map((name, i) => i + 1);
+
+    await this.zip.addEntry('[Content_Types].xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheetIndexes.map(i => `<Override PartName="/xl/worksheets/sheet${i}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+      '</Types>');
+
+    await this.zip.addEntry('_rels/.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>');
+
+    await this.zip.addEntry('xl/workbook.xml',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      `<sheets>${this.sheets.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets>` +
+      '</workbook>');
+
+    await this.zip.addEntry('xl/_rels/workbook.xml.rels',
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheetIndexes.map(i => `<Relationship Id="rId${i}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i}.xml"/>`).join('') +
+      `<Relationship Id="rId${this.sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+      '</Relationships>');
+
+    await this.zip.addEntry('xl/styles.xml', STYLES_XML);
+
+    await this.zip.finish();
+  }
+
+  // Stop writing after a failure or cancellation; the output is left for the caller to destroy
+  abort() {
+    this.zip.abort();
+  }
+}
+
+module.exports = {
+  XlsxStreamWriter,
+  writeWithBackpressure
+};